@@ -0,0 +1,262 @@
+import { analyzeExamStrategy, generateContentWithRetry, withModelFallback } from '../src/services/geminiService';
+import { seedOcrPages } from '../src/utils/ocr';
+import { EXAM_TERMS } from '../src/utils/paperTags';
+import { FileTooLargeError, QuotaError, toErrorJson } from '../src/utils/errors';
+import { buildTaskRequest, GENERATE_TASKS } from '../src/services/taskPrompts';
+
+/** Fields of a /api/generate body. Prompts and generation config come from the task, never the client. */
+const GENERATE_FIELDS = ['task', 'input'];
+
+const httpError = (status, message, code) => Object.assign(new Error(message), { status, code });
+const withStatus = (status, error) => Object.assign(error, { status });
+
+/**
+ * The parts of an error the browser needs: the message, plus the code and
+ * details the UI reacts to (e.g. QUOTA with `retryAfterMs`). The browser
+ * rebuilds the typed error from them (errorFromJson).
+ */
+function describeError(error) {
+  return { ...toErrorJson(error), message: error.message || 'The analysis failed.' };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Abort `controller` if the client disconnects before the response is complete.
+ */
+function abortOnDisconnect(res, controller) {
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+}
+
+async function readBody(req, maxBytes) {
+  const tooLarge = () =>
+    withStatus(413, new FileTooLargeError(`Upload is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit.`, { limitBytes: maxBytes }));
+  if (Number(req.headers['content-length']) > maxBytes) throw tooLarge();
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readForm(req, maxBytes) {
+  const body = await readBody(req, maxBytes);
+  try {
+    return await new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'Content-Type': req.headers['content-type'] || '' },
+      body,
+    }).formData();
+  } catch {
+    throw httpError(400, 'Send the PDFs as multipart/form-data.', 'BAD_REQUEST');
+  }
+}
+
+function parseJsonField(form, name, fallback) {
+  const value = form.get(name);
+  if (value == null) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw httpError(400, `Field "${name}" is not valid JSON.`, 'BAD_REQUEST');
+  }
+}
+
+/**
+ * Read the uploaded syllabus and tagged papers, and the OCR text the browser
+ * recognised for their scanned pages.
+ */
+async function readAnalysisUpload(req, maxBytes) {
+  const form = await readForm(req, maxBytes);
+  const syllabusFile = form.get('syllabus');
+  const paperFiles = form.getAll('papers');
+  if (!(syllabusFile instanceof File) || paperFiles.length === 0 || !paperFiles.every((file) => file instanceof File)) {
+    throw httpError(400, 'Upload the syllabus and at least one past year question paper.', 'BAD_REQUEST');
+  }
+
+  const tags = parseJsonField(form, 'paperTags', []);
+  const pyqPapers = paperFiles.map((file, index) => {
+    const year = Number(tags[index]?.year);
+    const term = tags[index]?.term;
+    if (!Number.isInteger(year) || !EXAM_TERMS.includes(term)) {
+      throw httpError(400, `Paper ${index + 1} (${file.name}) needs a year and a term (${EXAM_TERMS.join(' or ')}).`, 'BAD_REQUEST');
+    }
+    return { file, year, term };
+  });
+
+  const ocrPages = parseJsonField(form, 'ocrPages', []);
+  [syllabusFile, ...paperFiles].forEach((file, index) => {
+    if (ocrPages[index] && typeof ocrPages[index] === 'object') seedOcrPages(file, ocrPages[index]);
+  });
+
+  return { syllabusFile, pyqPapers, forceRefresh: form.get('forceRefresh') === '1', textOnly: form.get('textOnly') === '1' };
+}
+
+/**
+ * The model request for a /api/generate body, built here from the task and
+ * its input so the server's key only ever runs the app's own prompts.
+ */
+function readTaskRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Send the task and its input as a JSON object.', 'BAD_REQUEST');
+  }
+  const unknownFields = Object.keys(body).filter((key) => !GENERATE_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    throw httpError(
+      400,
+      `Unknown field${unknownFields.length === 1 ? '' : 's'} ${unknownFields.map((key) => `"${key}"`).join(', ')}. Send only "task" and "input"; the server builds the prompt and generation config.`,
+      'BAD_REQUEST'
+    );
+  }
+  if (!GENERATE_TASKS.includes(body.task)) {
+    throw httpError(400, `"task" must be one of: ${GENERATE_TASKS.join(', ')}.`, 'BAD_REQUEST');
+  }
+  try {
+    return buildTaskRequest(body.task, body.input);
+  } catch (error) {
+    if (error.code === 'INVALID_TASK_INPUT') throw httpError(400, error.message, 'BAD_REQUEST');
+    throw error;
+  }
+}
+
+/**
+ * Request handler for the API server.
+ *
+ *   POST /api/analyze  - multipart upload (syllabus, papers, paperTags, ocrPages, forceRefresh, textOnly);
+ *                        runs analyzeExamStrategy and streams newline-delimited
+ *                        JSON events: progress, topics, then result or error
+ *   POST /api/generate - { task, input } for a quiz, grading or chat request (see taskPrompts.js);
+ *                        the prompt is built here. Replies { text }
+ *   GET  /api/health   - { ok, provider, maxUploadBytes }, so the browser can check sizes before uploading
+ *
+ * @param {object} options
+ * @param {object} options.provider - Provider holding the model key
+ * @param {number} options.maxUploadBytes - Request bodies above this get 413
+ * @param {object|null} options.responseCache - Cache for analysis replies (see fileCache.js)
+ * @param {{ take: (ip: string) => { allowed: boolean, retryAfterMs: number } }} options.analyzeLimiter
+ * @param {{ take: (ip: string) => { allowed: boolean, retryAfterMs: number } }} options.generateLimiter
+ * @param {string} options.allowedOrigin - CORS origin allowed to call the API
+ * @param {boolean} options.trustProxy - Take the client IP from X-Forwarded-For
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => Promise<void>}
+ */
+export function createApiHandler({ provider, maxUploadBytes, responseCache, analyzeLimiter, generateLimiter, allowedOrigin, trustProxy }) {
+  function clientIp(req) {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for']?.split(',')[0].trim() : null;
+    return forwarded || req.socket.remoteAddress || 'unknown';
+  }
+
+  function checkRateLimit(limiter, req, res, what) {
+    const { allowed, retryAfterMs } = limiter.take(clientIp(req));
+    if (allowed) return;
+    const minutes = Math.max(1, Math.ceil(retryAfterMs / 60000));
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    throw withStatus(
+      429,
+      new QuotaError(`Too many ${what} from your network. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, { retryAfterMs })
+    );
+  }
+
+  async function handleAnalyze(req, res) {
+    checkRateLimit(analyzeLimiter, req, res, 'analyses');
+    const { syllabusFile, pyqPapers, forceRefresh, textOnly } = await readAnalysisUpload(req, maxUploadBytes);
+
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+    const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+    const controller = new AbortController();
+    abortOnDisconnect(res, controller);
+
+    try {
+      const analysis = await analyzeExamStrategy(syllabusFile, pyqPapers, (step) => send({ type: 'progress', step }), {
+        provider,
+        responseCache,
+        forceRefresh,
+        textOnly,
+        signal: controller.signal,
+        onPartialTopics: (topics) => send({ type: 'topics', topics }),
+      });
+      send({ type: 'result', analysis });
+    } catch (error) {
+      // The browser went away; nobody is listening
+      if (error?.code === 'CANCELLED') return;
+      send({ type: 'error', error: describeError(error) });
+    } finally {
+      res.end();
+    }
+  }
+
+  async function handleGenerate(req, res) {
+    checkRateLimit(generateLimiter, req, res, 'requests');
+    let body;
+    try {
+      body = JSON.parse((await readBody(req, maxUploadBytes)).toString('utf8'));
+    } catch (error) {
+      if (error.status) throw error;
+      throw httpError(400, 'Request body is not valid JSON.', 'BAD_REQUEST');
+    }
+    const { parts, history, generationConfig } = readTaskRequest(body);
+
+    const controller = new AbortController();
+    abortOnDisconnect(res, controller);
+
+    try {
+      const text = await withModelFallback(
+        provider,
+        (modelConfig) =>
+          generateContentWithRetry(provider, {
+            model: modelConfig.name,
+            parts,
+            history,
+            generationConfig,
+            signal: controller.signal,
+            task: body.task,
+          }),
+        { signal: controller.signal }
+      );
+      sendJson(res, 200, { text });
+    } catch (error) {
+      if (error?.code === 'CANCELLED') return;
+      // Already typed by withModelFallback; the browser shows the same recovery card
+      throw withStatus(502, error);
+    }
+  }
+
+  return async function handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+      } else if (req.method === 'GET' && pathname === '/api/health') {
+        sendJson(res, 200, { ok: true, provider: provider.id, maxUploadBytes });
+      } else if (req.method === 'POST' && pathname === '/api/analyze') {
+        await handleAnalyze(req, res);
+      } else if (req.method === 'POST' && pathname === '/api/generate') {
+        await handleGenerate(req, res);
+      } else {
+        throw httpError(404, 'Not found.', 'NOT_FOUND');
+      }
+    } catch (error) {
+      if (!error.status) console.error('Request failed:', error);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      // Stop reading an upload that was rejected part-way
+      if (error.status === 413) res.setHeader('Connection', 'close');
+      sendJson(res, error.status || 500, { error: describeError(error.status ? error : new Error('Internal server error.')) });
+    }
+  };
+}
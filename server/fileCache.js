@@ -0,0 +1,37 @@
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Response cache (see src/services/responseCache.js) kept as one JSON file
+ * per key. Expired entries are deleted when read.
+ * @param {{ dir: string, ttlMs: number }} options
+ */
+export function createFileResponseCache({ dir, ttlMs }) {
+  // Keys are SHA-256 hex, so they are safe file names
+  const pathFor = (key) => join(dir, `${key}.json`);
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(pathFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (Date.now() - entry.createdAt > ttlMs) {
+        await rm(pathFor(key), { force: true });
+        return null;
+      }
+      return { value: entry.value, createdAt: entry.createdAt };
+    },
+
+    async set(key, value) {
+      await mkdir(dir, { recursive: true });
+      // Write then rename so a concurrent read never sees half a file
+      const tempPath = `${pathFor(key)}.${process.pid}.tmp`;
+      await writeFile(tempPath, JSON.stringify({ createdAt: Date.now(), value }));
+      await rename(tempPath, pathFor(key));
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { createServer } from 'node:http';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import { GlobalWorkerOptions } from 'pdfjs-dist';
+import { createProvider } from '../src/services/providers';
+import { createApiHandler } from './apiHandler';
+import { createRateLimiter } from './rateLimit';
+import { createFileResponseCache } from './fileCache';
+
+/**
+ * API server that runs the analysis pipeline with the model key held in the
+ * server's environment instead of the browser bundle. Build with
+ * `npm run build:server`, then start with `npm run server`.
+ *
+ *   PORT                 Port to listen on (8787)
+ *   LLM_PROVIDER         gemini (default), openai, mock or offline
+ *   GEMINI_API_KEY       Key for Gemini
+ *   GEMINI_BASE_URL      Other Gemini API host, e.g. the local mock (npm run mock-api)
+ *   OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL   For LLM_PROVIDER=openai
+ *   MAX_UPLOAD_MB        Largest accepted request (25)
+ *   RATE_LIMIT_ANALYSES  Analyses per IP per hour (10)
+ *   RATE_LIMIT_REQUESTS  Quiz / chat requests per IP per hour (120)
+ *   ALLOWED_ORIGIN       Origin allowed to call the API (*)
+ *   TRUST_PROXY          Set to 1 behind a reverse proxy to rate-limit by X-Forwarded-For
+ *   RESPONSE_CACHE_DIR   Where model replies are cached (.cache/responses)
+ *   RESPONSE_CACHE_TTL_HOURS  How long a cached reply is reused (168); 0 turns the cache off
+ */
+
+const env = process.env;
+const HOUR_MS = 60 * 60 * 1000;
+
+const numberFromEnv = (name, fallback) => (Number(env[name]) > 0 ? Number(env[name]) : fallback);
+const cacheTtlHours = env.RESPONSE_CACHE_TTL_HOURS === '0' ? 0 : numberFromEnv('RESPONSE_CACHE_TTL_HOURS', 168);
+
+// pdf.js runs its worker in-process in Node; the browser build loads it with ?url instead
+const require = createRequire(import.meta.url);
+GlobalWorkerOptions.workerSrc = pathToFileURL(require.resolve('pdfjs-dist/legacy/build/pdf.worker.min.mjs')).href;
+
+function createModelProvider() {
+  const id = env.LLM_PROVIDER || 'gemini';
+  switch (id) {
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set.');
+      return createProvider('gemini', { apiKey: env.GEMINI_API_KEY, baseUrl: env.GEMINI_BASE_URL });
+    case 'openai': {
+      const model = env.OPENAI_MODEL || 'local-model';
+      return createProvider('openai', {
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        models: [{ name: model, label: model }],
+      });
+    }
+    case 'mock':
+    case 'offline':
+      return createProvider(id);
+    default:
+      throw new Error(`LLM_PROVIDER must be gemini, openai, mock or offline (got "${id}").`);
+  }
+}
+
+let provider;
+try {
+  provider = createModelProvider();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const handler = createApiHandler({
+  provider,
+  maxUploadBytes: numberFromEnv('MAX_UPLOAD_MB', 25) * 1024 * 1024,
+  analyzeLimiter: createRateLimiter({ limit: numberFromEnv('RATE_LIMIT_ANALYSES', 10), windowMs: HOUR_MS }),
+  generateLimiter: createRateLimiter({ limit: numberFromEnv('RATE_LIMIT_REQUESTS', 120), windowMs: HOUR_MS }),
+  responseCache: cacheTtlHours
+    ? createFileResponseCache({ dir: env.RESPONSE_CACHE_DIR || '.cache/responses', ttlMs: cacheTtlHours * HOUR_MS })
+    : null,
+  allowedOrigin: env.ALLOWED_ORIGIN || '*',
+  trustProxy: env.TRUST_PROXY === '1',
+});
+
+const port = numberFromEnv('PORT', 8787);
+createServer(handler).listen(port, () => {
+  console.log(`Exam Pilot API listening on http://localhost:${port} (${provider.label})`);
+});
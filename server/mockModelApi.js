@@ -0,0 +1,72 @@
+import { createServer } from 'node:http';
+import { buildMockReply } from '../src/services/providers/mockProvider';
+
+/**
+ * Local stand-in for the Gemini REST API (generateContent and
+ * streamGenerateContent), so the API server can be run end to end without a
+ * real key:
+ *
+ *   npm run mock-api
+ *   GEMINI_API_KEY=test GEMINI_BASE_URL=http://localhost:8788 npm run server
+ *
+ * Replies come from the mock provider. MOCK_API_PORT sets the port (8788);
+ * MOCK_API_OVERLOADED_MODELS (comma separated) answers 503 for those models
+ * to exercise the model fallback.
+ */
+
+const MODEL_ROUTE = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+const overloadedModels = new Set((process.env.MOCK_API_OVERLOADED_MODELS || '').split(',').filter(Boolean));
+
+/**
+ * Which canned reply a request wants, from the prompt the app sends.
+ */
+function taskFor(contents) {
+  if (contents.length > 1) return 'chat';
+  const text = contents[0]?.parts?.map((part) => part.text || '').join('\n') || '';
+  if (text.includes('Answers to grade:')) return 'grading';
+  if (text.includes('practice quiz')) return 'quiz';
+  return undefined;
+}
+
+const candidate = (text) => ({ candidates: [{ index: 0, content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }] });
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const route = req.method === 'POST' ? url.pathname.match(MODEL_ROUTE) : null;
+  if (!route) {
+    sendJson(res, 404, { error: { code: 404, message: `No mock for ${req.method} ${url.pathname}`, status: 'NOT_FOUND' } });
+    return;
+  }
+
+  const [, model, method] = route;
+  if (overloadedModels.has(model)) {
+    sendJson(res, 503, { error: { code: 503, message: 'The model is overloaded. Please try again later.', status: 'UNAVAILABLE' } });
+    return;
+  }
+
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const { contents = [] } = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  const text = buildMockReply({ parts: contents.at(-1)?.parts || [], task: taskFor(contents) });
+
+  if (method === 'generateContent') {
+    sendJson(res, 200, candidate(text));
+    return;
+  }
+  // Server-sent events, a few hundred characters per event
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (let i = 0; i < text.length; i += 256) {
+    res.write(`data: ${JSON.stringify(candidate(text.slice(i, i + 256)))}\n\n`);
+  }
+  res.end();
+});
+
+const port = Number(process.env.MOCK_API_PORT) || 8788;
+server.listen(port, () => {
+  console.log(`Mock Gemini API listening on http://localhost:${port}`);
+});
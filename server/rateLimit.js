@@ -0,0 +1,35 @@
+/**
+ * Fixed-window request limit per client IP.
+ * @param {{ limit: number, windowMs: number }} options
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // ip -> { start, count }
+  let lastSweep = Date.now();
+
+  return {
+    /**
+     * Count one request from `ip`.
+     * @param {string} ip
+     * @param {number} [now]
+     * @returns {{ allowed: boolean, retryAfterMs: number }}
+     */
+    take(ip, now = Date.now()) {
+      // Forget clients whose window has ended, at most once per window
+      if (now - lastSweep >= windowMs) {
+        for (const [key, window] of windows) {
+          if (now - window.start >= windowMs) windows.delete(key);
+        }
+        lastSweep = now;
+      }
+
+      let window = windows.get(ip);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(ip, window);
+      }
+      if (window.count >= limit) return { allowed: false, retryAfterMs: window.start + windowMs - now };
+      window.count += 1;
+      return { allowed: true, retryAfterMs: 0 };
+    },
+  };
+}
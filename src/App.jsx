@@ -1,11 +1,37 @@
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import PDFDropzone from './components/PDFDropzone';
+import PYQPaperList from './components/PYQPaperList';
+import HistoryPanel from './components/HistoryPanel';
+import CourseSwitcher from './components/CourseSwitcher';
+import SemesterDashboard from './components/SemesterDashboard';
+import StudyPlanner from './components/StudyPlanner';
+import QuizPanel from './components/QuizPanel';
+import ChatPanel from './components/ChatPanel';
 import ProgressBar from './components/ProgressBar';
 import ResultsDisplay from './components/ResultsDisplay';
+import ShareButton from './components/ShareButton';
+import ErrorCard from './components/ErrorCard';
+import SettingsDrawer from './components/SettingsDrawer';
 import { analyzeExamStrategy } from './services/geminiService';
-import { useMarkdownExport } from './hooks/useMarkdownExport';
-import { Compass } from 'lucide-react';
+import { createIndexedDbResponseCache } from './services/responseCache';
+import { createProvider, getDefaultProvider, withModelOrder } from './services/providers';
+import { useAnalysisExport } from './hooks/useAnalysisExport';
+import { useAnalysisHistory } from './hooks/useAnalysisHistory';
+import { useCourseLibrary } from './hooks/useCourseLibrary';
+import { useSettings } from './hooks/useSettings';
+import { analysisOptionsFromSettings } from './services/settingsStore';
+import { describeInputs, findAnalysisByInputs } from './services/historyStore';
+import { importAnalysisFile } from './services/analysisImport';
+import { cleanCourseDetails, describeCourseChanges, formatCourseLabel } from './services/courseStore';
+import { isShareFragment, readShareFragment } from './services/analysisShare';
+import { hashFile } from './utils/fileHash';
+import { abortable } from './utils/abort';
+import { overrideTopicRating } from './utils/analysisSchema';
+import { setTopicProgress, applyStudyPlan, carryOverProgress } from './utils/topicProgress';
+import { statusFromQuizScore } from './utils/quiz';
+import { createPaper } from './utils/paperTags';
+import { Compass, History, CircleSlash, WifiOff, FolderOpen, X, Eye, Library, RefreshCw, LayoutDashboard, Settings } from 'lucide-react';
 
 const PROGRESS_STEPS = [
   'Step 1: Extracting PDFs',
@@ -13,67 +39,441 @@ const PROGRESS_STEPS = [
   'Step 3: Generating Priority Matrix',
 ];
 
+const responseCache = createIndexedDbResponseCache();
+
 function App() {
   const [syllabusFile, setSyllabusFile] = useState(null);
-  const [pyqFile, setPyqFile] = useState(null);
+  const [pyqPapers, setPyqPapers] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [currentStep, setCurrentStep] = useState(null);
   const [analysis, setAnalysis] = useState(null);
-  const [error, setError] = useState(null);
-  const [invalidDocumentType, setInvalidDocumentType] = useState(null); // Layer 3: INVALID_DOCUMENT friendly UI
-  const { exportToMarkdown } = useMarkdownExport();
+  const [error, setError] = useState(null); // Error; typed ones (utils/errors) get a recovery card
+  const [failedModels, setFailedModels] = useState([]); // Models of the failed run, for "Try <model>"
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [activeHistoryId, setActiveHistoryId] = useState(null);
+  const [streamedTopics, setStreamedTopics] = useState([]);
+  const [wasCancelled, setWasCancelled] = useState(false);
+  const [offlineMode, setOfflineMode] = useState(() => import.meta.env.VITE_LLM_PROVIDER === 'offline');
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [sharedAnalysis, setSharedAnalysis] = useState(null);
+  const [activeCourseId, setActiveCourseId] = useState(null);
+  const [isDashboardOpen, setIsDashboardOpen] = useState(false);
+  const [topicFocusRequest, setTopicFocusRequest] = useState(null);
+  const [activeQuiz, setActiveQuiz] = useState(null); // { topic, pastQuestions, provider }
+  const abortControllerRef = useRef(null);
+  const importInputRef = useRef(null);
+  const syncedCourseFilesRef = useRef(null);
+  const lastOverridesRef = useRef({});
+  const { formats: exportFormats, exportAs } = useAnalysisExport();
+  const history = useAnalysisHistory();
+  const {
+    save: saveToHistory,
+    rename: renameHistoryEntry,
+    update: updateHistoryEntry,
+    remove: removeHistoryEntry,
+    refresh: refreshHistory,
+  } = history;
+  const {
+    courses,
+    create: createCourse,
+    update: updateCourse,
+    markAnalyzed: markCourseAnalyzed,
+    remove: removeCourse,
+    error: courseLibraryError,
+    clearError: clearCourseLibraryError,
+  } = useCourseLibrary();
+  const activeCourse = useMemo(
+    () => courses.find((course) => course.id === activeCourseId) || null,
+    [courses, activeCourseId]
+  );
+  const courseChanges = useMemo(() => describeCourseChanges(activeCourse), [activeCourse]);
+  const { settings, save: saveSettings } = useSettings();
+  // A key pasted in settings takes the place of the one from .env
+  const baseProvider = useMemo(
+    () => getDefaultProvider(settings.apiKey ? { apiKey: settings.apiKey } : {}),
+    [settings.apiKey]
+  );
+  // Quizzes and chat try the models in the order chosen in settings
+  const aiProvider = useMemo(() => withModelOrder(baseProvider, settings.models), [baseProvider, settings.models]);
+
+  // Keep the active course's stored files in step with the upload area
+  useEffect(() => {
+    if (!activeCourseId) return;
+    const synced = syncedCourseFilesRef.current;
+    if (synced?.id === activeCourseId && synced.syllabus === syllabusFile && synced.papers === pyqPapers) return;
+    syncedCourseFilesRef.current = { id: activeCourseId, syllabus: syllabusFile, papers: pyqPapers };
+    updateCourse(activeCourseId, { syllabus: syllabusFile, papers: pyqPapers });
+  }, [activeCourseId, syllabusFile, pyqPapers, updateCourse]);
 
-  const handleAnalyze = useCallback(async () => {
-    if (!syllabusFile || !pyqFile) {
-      setError('Please upload both syllabus and past year question papers');
+  const handleAddPaper = useCallback((file) => {
+    if (!file) return;
+    const paper = createPaper(file);
+    setPyqPapers((prev) => (prev.some((p) => p.id === paper.id) ? prev : [...prev, paper]));
+  }, []);
+
+  /**
+   * Run the analysis. `overrides` come from the error card's recovery actions:
+   * `models` (names, in the order to try), `textOnly`, `offline`.
+   */
+  const runAnalysis = useCallback(async (overrides = {}) => {
+    if (!syllabusFile || pyqPapers.length === 0) {
+      setError(new Error('Please upload both syllabus and past year question papers'));
       return;
     }
 
+    lastOverridesRef.current = overrides;
     setIsAnalyzing(true);
     setError(null);
-    setInvalidDocumentType(null);
     setAnalysis(null);
+    setActiveHistoryId(null);
+    setStreamedTopics([]);
+    setWasCancelled(false);
     setCurrentStep(PROGRESS_STEPS[0]);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const provider = offlineMode || overrides.offline ? createProvider('offline') : baseProvider;
+    const models = overrides.models ?? settings.models;
 
     try {
-      const result = await analyzeExamStrategy(
+      // Reuse a stored result for the same files instead of calling the API again. The
+      // API server analyses at its own depth, so any depth it stored will do
+      const inputs = await abortable(describeInputs(syllabusFile, pyqPapers), controller.signal);
+      const depth = provider.analyze ? undefined : settings.depth;
+      const saved = forceRefresh
+        ? null
+        : await abortable(findAnalysisByInputs(inputs.cacheKey, provider.id, depth).catch(() => null), controller.signal);
+      if (saved) {
+        // A result saved outside this course is copied in so the course keeps it
+        const record =
+          activeCourseId && saved.courseId !== activeCourseId
+            ? await saveToHistory({ name: formatCourseLabel(activeCourse), inputs, analysis: saved.analysis, courseId: activeCourseId })
+            : saved;
+        setAnalysis(saved.analysis);
+        setActiveHistoryId(record?.id ?? null);
+        setCurrentStep(null);
+        if (activeCourseId) markCourseAnalyzed(activeCourseId, syllabusFile, pyqPapers);
+        return;
+      }
+
+      const fresh = await analyzeExamStrategy(
         syllabusFile,
-        pyqFile,
+        pyqPapers,
         (step) => {
           setCurrentStep(step);
+        },
+        {
+          ...analysisOptionsFromSettings(settings),
+          models,
+          provider,
+          responseCache,
+          forceRefresh,
+          textOnly: overrides.textOnly,
+          signal: controller.signal,
+          onPartialTopics: setStreamedTopics,
         }
       );
+      // Study progress from the result being replaced carries over to matching topics
+      const previous =
+        analysis ??
+        history.entries.find((entry) =>
+          activeCourseId ? entry.courseId === activeCourseId : entry.syllabus?.hash === inputs.syllabus.hash
+        )?.analysis;
+      const result = carryOverProgress(previous, fresh);
       setAnalysis(result);
       setCurrentStep(null);
+
+      const record = await saveToHistory({
+        name: activeCourse ? formatCourseLabel(activeCourse) : syllabusFile.name.replace(/\.pdf$/i, ''),
+        inputs,
+        analysis: result,
+        courseId: activeCourseId,
+      });
+      setActiveHistoryId(record?.id ?? null);
+      if (activeCourseId) markCourseAnalyzed(activeCourseId, syllabusFile, pyqPapers);
     } catch (err) {
-      if (err && err.code === 'INVALID_DOCUMENT') {
-        setInvalidDocumentType(err.detectedType || 'non-academic document');
-        setError('INVALID_DOCUMENT');
+      if (err && err.code === 'CANCELLED') {
+        // Keep whatever topics streamed in before the stop
+        if (err.partialAnalysis) setAnalysis(err.partialAnalysis);
+        else setWasCancelled(true);
       } else {
-        setInvalidDocumentType(null);
-        setError(err.message || 'Failed to analyze documents. Please try again.');
+        setError(err instanceof Error ? err : new Error('Failed to analyze documents. Please try again.'));
+        setFailedModels(withModelOrder(provider, models).models);
       }
       setCurrentStep(null);
     } finally {
       setIsAnalyzing(false);
+      setStreamedTopics([]);
+      abortControllerRef.current = null;
     }
-  }, [syllabusFile, pyqFile]);
+  }, [
+    syllabusFile,
+    pyqPapers,
+    offlineMode,
+    baseProvider,
+    settings,
+    forceRefresh,
+    saveToHistory,
+    activeCourseId,
+    activeCourse,
+    markCourseAnalyzed,
+    analysis,
+    history.entries,
+  ]);
+
+  const handleAnalyze = useCallback(() => runAnalysis(), [runAnalysis]);
+
+  // Recovery actions of the error card; each re-runs with what the failed run used plus its change
+  const handleRetry = useCallback(() => runAnalysis(lastOverridesRef.current), [runAnalysis]);
+
+  const handleSwitchModel = useCallback(
+    (name) => {
+      const models = [name, ...failedModels.map((model) => model.name).filter((other) => other !== name)];
+      runAnalysis({ ...lastOverridesRef.current, models });
+    },
+    [runAnalysis, failedModels]
+  );
+
+  const handleUseOffline = useCallback(() => {
+    setOfflineMode(true);
+    runAnalysis({ ...lastOverridesRef.current, offline: true });
+  }, [runAnalysis]);
+
+  const handleSendTextOnly = useCallback(() => runAnalysis({ ...lastOverridesRef.current, textOnly: true }), [runAnalysis]);
+
+  const handleChooseFiles = useCallback(() => {
+    setSyllabusFile(null);
+    setPyqPapers([]);
+    setError(null);
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  const streamingAnalysis = useMemo(() => ({ topics: streamedTopics }), [streamedTopics]);
+
+  // Apply a user edit to the current analysis and keep its history entry in sync
+  const commitAnalysis = useCallback(
+    (updated) => {
+      setAnalysis(updated);
+      if (activeHistoryId) updateHistoryEntry(activeHistoryId, updated);
+    },
+    [activeHistoryId, updateHistoryEntry]
+  );
+
+  const handleUpdateTopic = useCallback(
+    (topicName, patch) => commitAnalysis(overrideTopicRating(analysis, topicName, patch)),
+    [analysis, commitAnalysis]
+  );
+
+  const handleUpdateStudyPlan = useCallback(
+    (studyPlan) => commitAnalysis(applyStudyPlan(analysis, studyPlan)),
+    [analysis, commitAnalysis]
+  );
+
+  const handleUpdateProgress = useCallback(
+    (topicName, patch) => commitAnalysis(setTopicProgress(analysis, topicName, patch)),
+    [analysis, commitAnalysis]
+  );
+
+  const handleUpdateChat = useCallback(
+    (chat) => commitAnalysis({ ...analysis, chat }),
+    [analysis, commitAnalysis]
+  );
+
+  // The uploaded files go to the chat only when they are the ones this analysis was made from
+  const analysisFiles = useMemo(() => {
+    if (!syllabusFile) return null;
+    const entry = history.entries.find((item) => item.id === activeHistoryId);
+    if (!entry) return { syllabusFile, pyqPapers };
+    const sameFiles =
+      entry.syllabus?.name === syllabusFile.name &&
+      entry.papers?.length === pyqPapers.length &&
+      entry.papers.every((paper, index) => paper.name === pyqPapers[index].file.name);
+    return sameFiles ? { syllabusFile, pyqPapers } : null;
+  }, [syllabusFile, pyqPapers, activeHistoryId, history.entries]);
+
+  // Name exported and shared files after the saved analysis when there is one
+  const fileBasename = useMemo(() => {
+    const entryName = history.entries.find((entry) => entry.id === activeHistoryId)?.name;
+    return entryName ? entryName.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || undefined : undefined;
+  }, [activeHistoryId, history.entries]);
+
+  const handleStartQuiz = useCallback(
+    (topic) => {
+      setActiveQuiz({
+        topic,
+        pastQuestions: (analysis?.questions || []).filter((question) => question.topic === topic.name),
+        provider: offlineMode ? createProvider('offline') : aiProvider,
+      });
+    },
+    [analysis, offlineMode, aiProvider]
+  );
+
+  // The quiz score sets the topic's status
+  const handleQuizComplete = useCallback(
+    (topicName, result) =>
+      commitAnalysis(
+        setTopicProgress(analysis, topicName, {
+          status: statusFromQuizScore(result.percent),
+          lastQuiz: { percent: result.percent, at: Date.now() },
+        })
+      ),
+    [analysis, commitAnalysis]
+  );
 
-  const handleExport = useCallback(() => {
-    exportToMarkdown(analysis);
-  }, [analysis, exportToMarkdown]);
+  const handleExport = useCallback(
+    (formatId) => exportAs(formatId, analysis, fileBasename),
+    [analysis, fileBasename, exportAs]
+  );
 
+  // Inside a course the files stay, so a new paper can be added and the analysis re-run
   const handleReset = useCallback(() => {
     setAnalysis(null);
-    setSyllabusFile(null);
-    setPyqFile(null);
+    if (!activeCourseId) {
+      setSyllabusFile(null);
+      setPyqPapers([]);
+    }
+    setError(null);
+    setActiveHistoryId(null);
+    setWasCancelled(false);
+  }, [activeCourseId]);
+
+  // Load a course's files and its latest analysis, or clear everything for no course
+  const handleSelectCourse = useCallback(
+    (course) => {
+      const latest = course ? history.entries.find((entry) => entry.courseId === course.id) : null;
+      syncedCourseFilesRef.current = course ? { id: course.id, syllabus: course.syllabus, papers: course.papers } : null;
+      setActiveCourseId(course?.id ?? null);
+      setIsDashboardOpen(false);
+      setTopicFocusRequest(null);
+      setSyllabusFile(course?.syllabus ?? null);
+      setPyqPapers(course?.papers ?? []);
+      setAnalysis(latest?.analysis ?? null);
+      setActiveHistoryId(latest?.id ?? null);
+      setError(null);
+      setWasCancelled(false);
+    },
+    [history.entries]
+  );
+
+  // Dashboard entries open the subject's results, scrolled to the picked topic
+  const handleOpenFromDashboard = useCallback(
+    (course, topicName) => {
+      handleSelectCourse(course);
+      setTopicFocusRequest(topicName ? { name: topicName, id: Date.now() } : null);
+    },
+    [handleSelectCourse]
+  );
+
+  const handleUpdateCourse = useCallback(
+    (id, details) => updateCourse(id, cleanCourseDetails(details)),
+    [updateCourse]
+  );
+
+  const handleDeleteCourse = useCallback(
+    async (id) => {
+      if (!(await removeCourse(id))) return;
+      await refreshHistory();
+      if (id === activeCourseId) handleSelectCourse(null);
+    },
+    [removeCourse, refreshHistory, activeCourseId, handleSelectCourse]
+  );
+
+  // With a course open, history lists only that course's analyses
+  const historyEntries = useMemo(
+    () => (activeCourseId ? history.entries.filter((entry) => entry.courseId === activeCourseId) : history.entries),
+    [history.entries, activeCourseId]
+  );
+
+  const handleOpenHistoryEntry = useCallback((entry) => {
+    setAnalysis(entry.analysis);
+    setActiveHistoryId(entry.id);
     setError(null);
-    setInvalidDocumentType(null);
+    setIsHistoryOpen(false);
+    setIsDashboardOpen(false);
+    setTopicFocusRequest(null);
+  }, []);
+
+  // Open a JSON or Markdown export and keep it in history so edits are saved
+  const handleImportAnalysis = useCallback(
+    async (file) => {
+      if (!file) return;
+      setImportError(null);
+      try {
+        const imported = await importAnalysisFile(file);
+        const hash = await hashFile(file);
+        const record = await saveToHistory({
+          name: file.name.replace(/\.(json|md)$/i, ''),
+          inputs: { syllabus: { name: file.name, hash }, papers: [], cacheKey: `import:${hash}` },
+          analysis: imported,
+        });
+        setAnalysis(imported);
+        setActiveHistoryId(record?.id ?? null);
+        setIsDashboardOpen(false);
+        setError(null);
+      } catch (err) {
+        setImportError(err.message || 'Could not open this file.');
+      }
+    },
+    [saveToHistory]
+  );
+
+  // A share link carries the analysis in the URL fragment; show it read-only
+  useEffect(() => {
+    const openSharedLink = async () => {
+      if (!isShareFragment(window.location.hash)) {
+        setSharedAnalysis(null);
+        return;
+      }
+      try {
+        setSharedAnalysis(await readShareFragment(window.location.hash));
+      } catch (err) {
+        setSharedAnalysis(null);
+        setImportError(err.message);
+      }
+    };
+    openSharedLink();
+    window.addEventListener('hashchange', openSharedLink);
+    return () => window.removeEventListener('hashchange', openSharedLink);
+  }, []);
+
+  const handleCloseShared = useCallback(() => {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setSharedAnalysis(null);
   }, []);
 
+  const handleSaveShared = useCallback(async () => {
+    try {
+      const hash = await hashFile(new Blob([window.location.hash]));
+      const record = await saveToHistory({
+        name: 'Shared analysis',
+        inputs: { syllabus: { name: 'Shared link', hash }, papers: [], cacheKey: `share:${hash}` },
+        analysis: sharedAnalysis,
+      });
+      setAnalysis(sharedAnalysis);
+      setActiveHistoryId(record?.id ?? null);
+      setError(null);
+      handleCloseShared();
+    } catch (err) {
+      setImportError(err.message || 'Could not save the shared analysis.');
+    }
+  }, [sharedAnalysis, saveToHistory, handleCloseShared]);
+
+  const handleDeleteHistoryEntry = useCallback(
+    async (id) => {
+      if (!(await removeHistoryEntry(id))) return;
+      setActiveHistoryId((current) => (current === id ? null : current));
+    },
+    [removeHistoryEntry]
+  );
+
   const canAnalyze = useMemo(() => {
-    return !isAnalyzing && syllabusFile && pyqFile;
-  }, [isAnalyzing, syllabusFile, pyqFile]);
+    return !isAnalyzing && syllabusFile && pyqPapers.length > 0;
+  }, [isAnalyzing, syllabusFile, pyqPapers]);
 
   return (
     <div className="min-h-screen bg-zinc-950 relative overflow-hidden">
@@ -89,14 +489,135 @@ function App() {
         transition={{ duration: 0.4 }}
         className="relative z-50 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-6"
       >
-        <div className="glass-card px-6 py-4 flex items-center justify-center">
+        <div className="glass-card px-6 py-4 flex items-center justify-between">
           <div className="flex items-center gap-3">
             <Compass className="w-6 h-6 text-zinc-100" />
             <span className="text-xl font-semibold text-zinc-100">NITP Exam Pilot</span>
           </div>
+          <div className="flex items-center gap-2">
+            <CourseSwitcher
+              courses={courses}
+              activeCourseId={activeCourseId}
+              onSelect={handleSelectCourse}
+              onCreate={createCourse}
+              onUpdate={handleUpdateCourse}
+              onDelete={handleDeleteCourse}
+              disabled={isAnalyzing}
+            />
+            <button
+              type="button"
+              onClick={() => setIsDashboardOpen((open) => !open)}
+              disabled={isAnalyzing || !!sharedAnalysis}
+              aria-pressed={isDashboardOpen}
+              className={`secondary-button flex items-center gap-2 ${isDashboardOpen ? 'bg-white/15' : ''}`}
+              title="Compare all subjects of a semester"
+            >
+              <LayoutDashboard className="w-4 h-4" />
+              <span className="text-sm font-medium">Semester</span>
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,.md,application/json,text/markdown"
+              className="hidden"
+              onChange={(e) => {
+                handleImportAnalysis(e.target.files?.[0]);
+                e.target.value = '';
+              }}
+            />
+            <button
+              type="button"
+              onClick={() => importInputRef.current?.click()}
+              disabled={isAnalyzing}
+              className="secondary-button flex items-center gap-2"
+              title="Open a JSON export or Markdown report"
+            >
+              <FolderOpen className="w-4 h-4" />
+              <span className="text-sm font-medium">Open analysis</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsSettingsOpen(true)}
+              className="secondary-button flex items-center gap-2"
+              title="API key, models and generation settings"
+            >
+              <Settings className="w-4 h-4" />
+              <span className="text-sm font-medium">Settings</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsHistoryOpen(true)}
+              className="secondary-button flex items-center gap-2"
+            >
+              <History className="w-4 h-4" />
+              <span className="text-sm font-medium">History</span>
+              {historyEntries.length > 0 && (
+                <span className="text-xs text-zinc-500">{historyEntries.length}</span>
+              )}
+            </button>
+          </div>
         </div>
+        {importError && (
+          <div className="mt-3 p-4 rounded-xl border bg-red-950/50 border-red-900/50 flex items-start gap-3">
+            <p className="flex-1 text-sm text-red-300">{importError}</p>
+            <button
+              type="button"
+              onClick={() => setImportError(null)}
+              aria-label="Dismiss"
+              className="text-red-300 hover:text-red-100"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+        {courseLibraryError && (
+          <div role="alert" className="mt-3 p-4 rounded-xl border bg-red-950/50 border-red-900/50 flex items-start gap-3">
+            <p className="flex-1 text-sm text-red-300">{courseLibraryError}</p>
+            <button
+              type="button"
+              onClick={clearCourseLibraryError}
+              aria-label="Dismiss"
+              className="text-red-300 hover:text-red-100"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
       </motion.nav>
 
+      <HistoryPanel
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        title={activeCourse ? `${activeCourse.code} History` : undefined}
+        entries={historyEntries}
+        activeId={activeHistoryId}
+        onOpen={handleOpenHistoryEntry}
+        onRename={renameHistoryEntry}
+        onDelete={handleDeleteHistoryEntry}
+        error={history.error}
+        onDismissError={history.clearError}
+      />
+
+      <SettingsDrawer
+        isOpen={isSettingsOpen}
+        onClose={() => setIsSettingsOpen(false)}
+        settings={settings}
+        models={baseProvider.models}
+        serverMode={!!baseProvider.analyze}
+        onSave={saveSettings}
+      />
+
+      {activeQuiz && (
+        <QuizPanel
+          key={activeQuiz.topic.name}
+          topic={activeQuiz.topic}
+          pastQuestions={activeQuiz.pastQuestions}
+          provider={activeQuiz.provider}
+          onClose={() => setActiveQuiz(null)}
+          onComplete={handleQuizComplete}
+        />
+      )}
+
       {/* Main Content */}
       <div className="relative z-10">
         {/* Hero Section */}
@@ -116,13 +637,66 @@ function App() {
 
         {/* Main Content */}
         <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pb-12">
-          {!analysis ? (
+          {sharedAnalysis ? (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              transition={{ duration: 0.4 }}
+              className="space-y-6"
+            >
+              <div className="glass-card p-4 flex flex-wrap items-center gap-3">
+                <Eye className="w-4 h-4 text-zinc-400 shrink-0" />
+                <p className="flex-1 text-sm text-zinc-300">
+                  You are viewing a shared analysis. It is read-only until you save a copy to your history.
+                </p>
+                <motion.button
+                  onClick={handleSaveShared}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  transition={{ duration: 0.2 }}
+                  className="primary-button text-sm"
+                >
+                  Save to my history
+                </motion.button>
+                <motion.button
+                  onClick={handleCloseShared}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  transition={{ duration: 0.2 }}
+                  className="secondary-button"
+                >
+                  Close
+                </motion.button>
+              </div>
+              <ResultsDisplay analysis={sharedAnalysis} />
+            </motion.div>
+          ) : isDashboardOpen ? (
+            <SemesterDashboard
+              courses={courses}
+              entries={history.entries}
+              initialSemester={activeCourse?.semester}
+              onOpenSubject={handleOpenFromDashboard}
+            />
+          ) : !analysis ? (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
               transition={{ delay: 0.2, duration: 0.4 }}
               className="space-y-8"
             >
+              {activeCourse && (
+                <div className="glass-card p-4 flex items-center gap-3">
+                  <Library className="w-4 h-4 text-zinc-400 shrink-0" />
+                  <p className="text-sm text-zinc-300">
+                    <span className="font-semibold text-zinc-100">{formatCourseLabel(activeCourse)}</span>
+                    {' · '}Semester {activeCourse.semester}
+                    {activeCourse.branch && ` · ${activeCourse.branch}`}. Files you add here are kept with the course.
+                    {courseChanges.newPapers > 0 &&
+                      ` ${courseChanges.newPapers} paper${courseChanges.newPapers === 1 ? ' has' : 's have'} been added since the last analysis.`}
+                  </p>
+                </div>
+              )}
+
               {/* Upload Section */}
               <div className="grid md:grid-cols-2 gap-6">
                 <PDFDropzone
@@ -130,11 +704,15 @@ function App() {
                   onFileSelect={setSyllabusFile}
                   file={syllabusFile}
                 />
-                <PDFDropzone
-                  label="Past Year Question Papers (PYQs)"
-                  onFileSelect={setPyqFile}
-                  file={pyqFile}
-                />
+                <div>
+                  <PDFDropzone
+                    label="Past Year Question Papers (PYQs)"
+                    onFileSelect={handleAddPaper}
+                    multiple
+                    fileCount={pyqPapers.length}
+                  />
+                  <PYQPaperList papers={pyqPapers} onChange={setPyqPapers} />
+                </div>
               </div>
 
               {/* Progress Bar */}
@@ -149,26 +727,42 @@ function App() {
                 </motion.div>
               )}
 
-              {/* Error Message */}
-              {error && (
+              {/* Topics received so far while the reply streams in */}
+              {isAnalyzing && streamedTopics.length > 0 && (
+                <ResultsDisplay analysis={streamingAnalysis} isStreaming onStop={handleCancel} />
+              )}
+
+              {/* Cancelled (not an error) */}
+              {wasCancelled && !isAnalyzing && (
                 <motion.div
                   initial={{ opacity: 0, scale: 0.95 }}
                   animate={{ opacity: 1, scale: 1 }}
                   transition={{ duration: 0.2 }}
-                  className={error === 'INVALID_DOCUMENT' ? 'p-4 rounded-xl border bg-red-950/50 border-red-900/50' : 'glass-card border-red-900/30 bg-red-900/10 p-4'}
+                  className="glass-card p-4 flex items-center gap-3"
                 >
-                  {error === 'INVALID_DOCUMENT' ? (
-                    <p className="text-red-300 text-sm">
-                      Oops! That looks like a <span className="font-semibold text-red-200">{invalidDocumentType || 'non-academic file'}</span>. Please upload a valid Syllabus or Past Question Papers.
-                    </p>
-                  ) : (
-                    <p className="text-red-400 text-sm">{error}</p>
-                  )}
+                  <CircleSlash className="w-4 h-4 text-zinc-400 shrink-0" />
+                  <p className="text-zinc-300 text-sm">
+                    Analysis cancelled. Your files are still selected, so you can run it again whenever you're ready.
+                  </p>
                 </motion.div>
               )}
 
-              {/* Analyze Button */}
-              <div className="flex justify-center pt-4">
+              {/* Error Message */}
+              {error && (
+                <ErrorCard
+                  error={error}
+                  models={failedModels}
+                  onRetry={canAnalyze ? handleRetry : undefined}
+                  onSwitchModel={canAnalyze ? handleSwitchModel : undefined}
+                  onUseOffline={canAnalyze && !offlineMode ? handleUseOffline : undefined}
+                  onSendTextOnly={canAnalyze ? handleSendTextOnly : undefined}
+                  onChooseFiles={handleChooseFiles}
+                  onOpenSettings={() => setIsSettingsOpen(true)}
+                />
+              )}
+
+              {/* Analyze / Cancel Buttons */}
+              <div className="flex justify-center gap-3 pt-4">
                 <motion.button
                   onClick={handleAnalyze}
                   disabled={!canAnalyze}
@@ -179,9 +773,46 @@ function App() {
                     ${canAnalyze ? 'primary-button' : 'bg-zinc-800 text-zinc-500 cursor-not-allowed opacity-50 rounded-full px-8 py-3'}
                   `}
                 >
-                  {isAnalyzing ? 'Analyzing...' : 'Analyze Exam Strategy'}
+                  {isAnalyzing ? 'Analyzing...' : activeCourse?.analyzed ? 'Re-run Analysis' : 'Analyze Exam Strategy'}
                 </motion.button>
+                {isAnalyzing && (
+                  <motion.button
+                    onClick={handleCancel}
+                    initial={{ opacity: 0, x: -8 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    transition={{ duration: 0.2 }}
+                    className="secondary-button"
+                  >
+                    Cancel
+                  </motion.button>
+                )}
               </div>
+              <label className="flex items-center justify-center gap-2 text-sm text-zinc-400 cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={offlineMode}
+                  disabled={isAnalyzing}
+                  onChange={(e) => setOfflineMode(e.target.checked)}
+                  className="accent-indigo-500"
+                />
+                <WifiOff className="w-4 h-4" />
+                Offline mode
+                <span className="text-zinc-600">(keyword matching, no AI or API key)</span>
+              </label>
+              <label className="flex items-center justify-center gap-2 text-sm text-zinc-400 cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={forceRefresh}
+                  disabled={isAnalyzing || offlineMode}
+                  onChange={(e) => setForceRefresh(e.target.checked)}
+                  className="accent-indigo-500"
+                />
+                <RefreshCw className="w-4 h-4" />
+                Force refresh
+                <span className="text-zinc-600">(ignore saved results and cached AI responses)</span>
+              </label>
             </motion.div>
           ) : (
             <motion.div
@@ -192,17 +823,60 @@ function App() {
             >
               <div className="flex justify-between items-center">
                 <h2 className="text-3xl font-bold text-zinc-100">Analysis Results</h2>
-                <motion.button
-                  onClick={handleReset}
-                  whileHover={{ scale: 1.02 }}
-                  whileTap={{ scale: 0.98 }}
-                  transition={{ duration: 0.2 }}
-                  className="secondary-button"
-                >
-                  Start New Analysis
-                </motion.button>
+                <div className="flex items-center gap-2">
+                  <ShareButton analysis={analysis} basename={fileBasename} />
+                  <motion.button
+                    onClick={handleReset}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    transition={{ duration: 0.2 }}
+                    className="secondary-button"
+                  >
+                    {activeCourse ? 'Edit Course Files' : 'Start New Analysis'}
+                  </motion.button>
+                </div>
+              </div>
+              {activeCourse && courseChanges.changed && (
+                <div className="p-4 rounded-xl border bg-indigo-950/30 border-indigo-900/50 flex flex-wrap items-center gap-3">
+                  <RefreshCw className="w-4 h-4 text-indigo-300 shrink-0" />
+                  <p className="flex-1 text-sm text-indigo-200">
+                    {courseChanges.newPapers > 0
+                      ? `${courseChanges.newPapers} new paper${courseChanges.newPapers === 1 ? '' : 's'} added to ${activeCourse.code} since this analysis.`
+                      : `The files of ${activeCourse.code} changed since this analysis.`}
+                  </p>
+                  <button type="button" onClick={handleAnalyze} disabled={!canAnalyze} className="secondary-button text-sm">
+                    Re-run analysis
+                  </button>
+                </div>
+              )}
+              <div className="grid grid-cols-1 xl:grid-cols-[minmax(0,1fr)_360px] gap-6">
+                <ResultsDisplay
+                  analysis={analysis}
+                  papers={pyqPapers}
+                  onExport={handleExport}
+                  exportFormats={exportFormats}
+                  onUpdateTopic={handleUpdateTopic}
+                  onUpdateProgress={handleUpdateProgress}
+                  onStartQuiz={handleStartQuiz}
+                  focusRequest={topicFocusRequest}
+                />
+                <div className="space-y-6 self-start">
+                  <StudyPlanner
+                    topics={analysis.topics}
+                    settings={analysis.studyPlan}
+                    onChange={handleUpdateStudyPlan}
+                  />
+                  <ChatPanel
+                    key={activeHistoryId ?? 'current'}
+                    analysis={analysis}
+                    syllabusFile={analysisFiles?.syllabusFile}
+                    pyqPapers={analysisFiles?.pyqPapers}
+                    provider={aiProvider}
+                    offline={offlineMode}
+                    onChange={handleUpdateChat}
+                  />
+                </div>
               </div>
-              <ResultsDisplay analysis={analysis} onExport={handleExport} />
             </motion.div>
           )}
         </main>
@@ -0,0 +1,218 @@
+import { memo, useEffect, useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { MessageSquare, Send, Square, Trash2, Loader2 } from 'lucide-react';
+import { createSyllabusChat } from '../services/chatService';
+
+const CITATION = /(\[[^\]\n]{2,60}\])/g;
+
+const NO_PAPERS = [];
+
+/**
+ * Reply text with its [2022 End-Sem Q3b] / [Syllabus p. 3] citations highlighted.
+ */
+function renderWithCitations(text) {
+  return text.split(CITATION).map((piece, index) =>
+    index % 2 === 1 ? (
+      <span key={index} className="px-1 rounded bg-indigo-500/15 text-indigo-200 text-xs whitespace-nowrap">
+        {piece.slice(1, -1)}
+      </span>
+    ) : (
+      piece
+    )
+  );
+}
+
+/**
+ * Follow-up questions about the analysis, answered by the model from the
+ * uploaded PDFs (when `syllabusFile` is given) and the analysis itself. The
+ * conversation lives on `analysis.chat` and is saved through `onChange`.
+ * `provider` is the one from the settings (the default provider without it).
+ */
+const ChatPanel = memo(function ChatPanel({
+  analysis,
+  syllabusFile = null,
+  pyqPapers = NO_PAPERS,
+  provider,
+  offline = false,
+  onChange,
+}) {
+  const messages = useMemo(() => analysis.chat || [], [analysis.chat]);
+  const chat = useMemo(() => createSyllabusChat({ syllabusFile, pyqPapers, provider }), [syllabusFile, pyqPapers, provider]);
+  const [draft, setDraft] = useState('');
+  const [pending, setPending] = useState(null); // { question, reply }
+  const [step, setStep] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const listRef = useRef(null);
+  // The answer arrives after other edits may have changed the analysis
+  const latestRef = useRef({ messages, onChange });
+  latestRef.current = { messages, onChange };
+
+  // Stop an answer still streaming when the panel goes away
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    listRef.current?.scrollTo({ top: listRef.current.scrollHeight });
+  }, [messages.length, pending]);
+
+  const ask = async (question) => {
+    if (!question || pending) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const askedAt = Date.now();
+    setDraft('');
+    setError(null);
+    setPending({ question, reply: '' });
+    try {
+      const answer = await chat.ask(
+        { analysis, messages, question },
+        {
+          signal: controller.signal,
+          onProgress: setStep,
+          onText: (text) => setPending({ question, reply: text }),
+        }
+      );
+      const { messages: current, onChange: save } = latestRef.current;
+      save([
+        ...current,
+        { role: 'user', text: question, at: askedAt },
+        { role: 'model', text: answer, at: Date.now() },
+      ]);
+    } catch (err) {
+      // Give the question back so it can be edited or sent again
+      setDraft(question);
+      if (err?.code !== 'CANCELLED') setError(err.message || 'Could not get an answer.');
+    } finally {
+      setPending(null);
+      setStep(null);
+      controllerRef.current = null;
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    ask(draft.trim());
+  };
+
+  const handleClear = () => {
+    if (window.confirm('Delete this conversation?')) onChange([]);
+  };
+
+  const suggestions = [
+    'Which topics came as 10-mark questions?',
+    analysis.topics[0] && `Why is ${analysis.topics[0].name} high priority?`,
+  ].filter(Boolean);
+
+  return (
+    <motion.aside
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      transition={{ duration: 0.3 }}
+      className="glass-card p-6 space-y-4"
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <MessageSquare className="w-5 h-5 text-zinc-300" />
+          <h3 className="text-xl font-bold text-zinc-100">Ask about this</h3>
+        </div>
+        {messages.length > 0 && !pending && (
+          <button
+            type="button"
+            onClick={handleClear}
+            aria-label="Delete conversation"
+            className="p-1.5 hover:bg-white/10 rounded-lg transition-colors duration-200"
+          >
+            <Trash2 className="w-4 h-4 text-zinc-500" />
+          </button>
+        )}
+      </div>
+
+      {offline ? (
+        <p className="text-sm text-zinc-500">Chat needs an AI model. Turn off Offline mode to ask follow-up questions.</p>
+      ) : (
+        <>
+          {!chat.hasDocuments && (
+            <p className="text-xs text-zinc-500">
+              The original PDFs aren&apos;t loaded, so answers are based on the analysis and extracted questions only.
+            </p>
+          )}
+
+          <div ref={listRef} className="max-h-[420px] overflow-y-auto space-y-3 pr-1">
+            {messages.length === 0 && !pending && (
+              <div className="space-y-2">
+                <p className="text-sm text-zinc-500">Ask a follow-up question about your syllabus and past papers. Answers cite the page or question they rely on.</p>
+                {suggestions.map((suggestion) => (
+                  <button
+                    key={suggestion}
+                    type="button"
+                    onClick={() => ask(suggestion)}
+                    className="block w-full text-left text-xs text-zinc-300 px-3 py-2 rounded-lg border border-white/10 hover:bg-white/5 transition-colors duration-200"
+                  >
+                    {suggestion}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {[...messages, ...(pending ? [{ role: 'user', text: pending.question }, { role: 'model', text: pending.reply }] : [])].map(
+              (message, index) =>
+                message.role === 'user' ? (
+                  <p key={index} className="ml-8 px-3 py-2 rounded-xl bg-indigo-500/20 text-sm text-zinc-100 whitespace-pre-wrap">
+                    {message.text}
+                  </p>
+                ) : (
+                  <div key={index} className="mr-4 px-3 py-2 rounded-xl bg-white/5 text-sm text-zinc-200 whitespace-pre-wrap">
+                    {message.text ? (
+                      renderWithCitations(message.text)
+                    ) : (
+                      <span className="flex items-center gap-2 text-zinc-500">
+                        <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                        {step || 'Thinking...'}
+                      </span>
+                    )}
+                  </div>
+                )
+            )}
+          </div>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <form onSubmit={handleSubmit} className="flex items-end gap-2">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) handleSubmit(e);
+              }}
+              rows={2}
+              disabled={Boolean(pending)}
+              placeholder="e.g. Which Unit 3 topics came in 10-mark questions?"
+              className="flex-1 resize-none bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-zinc-100 placeholder:text-zinc-600"
+            />
+            {pending ? (
+              <button
+                type="button"
+                onClick={() => controllerRef.current?.abort()}
+                aria-label="Stop answer"
+                className="p-2.5 rounded-lg border border-white/10 hover:bg-white/10 transition-colors duration-200"
+              >
+                <Square className="w-4 h-4 text-zinc-300" />
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!draft.trim()}
+                aria-label="Send question"
+                className="p-2.5 rounded-lg bg-indigo-500/80 hover:bg-indigo-500 disabled:opacity-40 transition-colors duration-200"
+              >
+                <Send className="w-4 h-4 text-white" />
+              </button>
+            )}
+          </form>
+        </>
+      )}
+    </motion.aside>
+  );
+});
+
+export default ChatPanel;
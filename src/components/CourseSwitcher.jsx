@@ -0,0 +1,217 @@
+import { memo, useCallback, useEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Library, ChevronDown, Plus, Pencil, Trash2, Check } from 'lucide-react';
+import { SEMESTERS, formatCourseLabel } from '../services/courseStore';
+
+const EMPTY_COURSE = { code: '', name: '', semester: 1, branch: '' };
+
+const inputClass = 'w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-zinc-100 placeholder:text-zinc-600';
+
+/**
+ * Create/edit form for a course's details.
+ */
+const CourseForm = memo(function CourseForm({ initial = EMPTY_COURSE, submitLabel, onSubmit, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+  const set = (field) => (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+  const canSubmit = draft.code.trim() && draft.name.trim();
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (canSubmit) onSubmit(draft);
+      }}
+      className="p-2 space-y-2"
+    >
+      <div className="grid grid-cols-[96px_1fr] gap-2">
+        <input autoFocus value={draft.code} onChange={set('code')} placeholder="EC301" aria-label="Course code" className={inputClass} />
+        <input value={draft.name} onChange={set('name')} placeholder="Signals and Systems" aria-label="Course name" className={inputClass} />
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <select value={draft.semester} onChange={set('semester')} aria-label="Semester" className={inputClass}>
+          {SEMESTERS.map((semester) => (
+            <option key={semester} value={semester} className="bg-zinc-900">
+              Semester {semester}
+            </option>
+          ))}
+        </select>
+        <input value={draft.branch} onChange={set('branch')} placeholder="Branch (e.g. ECE)" aria-label="Branch" className={inputClass} />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-xs text-zinc-400 hover:text-zinc-200">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs bg-white/10 text-zinc-100 hover:bg-white/15 disabled:opacity-40"
+        >
+          <Check className="w-3 h-3" />
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+});
+
+/**
+ * Navbar menu to switch between courses in the library, or work without one,
+ * and to add, edit or delete courses. `onSelect` receives the course record,
+ * or null for no course. `onCreate` resolves with the new course, or null when
+ * it could not be stored.
+ */
+const CourseSwitcher = memo(function CourseSwitcher({ courses, activeCourseId, onSelect, onCreate, onUpdate, onDelete, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [editing, setEditing] = useState(null); // 'new' or a course id
+  const menuRef = useRef(null);
+  const activeCourse = courses.find((course) => course.id === activeCourseId);
+
+  // Closing the menu also drops any half-filled form
+  const close = useCallback(() => {
+    setIsOpen(false);
+    setEditing(null);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) close();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen, close]);
+
+  const select = (course) => {
+    close();
+    onSelect(course);
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => (isOpen ? close() : setIsOpen(true))}
+        disabled={disabled}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="secondary-button flex items-center gap-2 max-w-[220px]"
+        title={activeCourse ? formatCourseLabel(activeCourse) : 'Choose a course'}
+      >
+        <Library className="w-4 h-4 shrink-0" />
+        <span className="text-sm font-medium truncate">{activeCourse ? activeCourse.code : 'Courses'}</span>
+        <ChevronDown className={`w-4 h-4 shrink-0 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            role="menu"
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-80 z-20 glass-card bg-zinc-900/95 p-1.5"
+          >
+            <ul className="max-h-80 overflow-y-auto">
+              {courses.map((course) =>
+                editing === course.id ? (
+                  <li key={course.id}>
+                    <CourseForm
+                      initial={course}
+                      submitLabel="Save"
+                      onCancel={() => setEditing(null)}
+                      onSubmit={async (details) => {
+                        await onUpdate(course.id, details);
+                        setEditing(null);
+                      }}
+                    />
+                  </li>
+                ) : (
+                  <li key={course.id} className="group flex items-center rounded-lg hover:bg-white/10 transition-colors duration-200">
+                    <button
+                      type="button"
+                      role="menuitem"
+                      onClick={() => select(course)}
+                      className="flex-1 min-w-0 text-left px-3 py-2"
+                    >
+                      <span className={`block text-sm truncate ${course.id === activeCourseId ? 'text-indigo-300' : 'text-zinc-100'}`}>
+                        {formatCourseLabel(course)}
+                      </span>
+                      <span className="block text-xs text-zinc-500">
+                        Semester {course.semester}
+                        {course.branch && ` · ${course.branch}`} · {course.papers.length} paper{course.papers.length === 1 ? '' : 's'}
+                      </span>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditing(course.id)}
+                      aria-label={`Edit ${course.code}`}
+                      className="p-1.5 rounded-lg opacity-0 group-hover:opacity-100 focus:opacity-100 hover:bg-white/10"
+                    >
+                      <Pencil className="w-3.5 h-3.5 text-zinc-400" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (window.confirm(`Delete ${formatCourseLabel(course)} with its files and saved analyses?`)) {
+                          onDelete(course.id);
+                        }
+                      }}
+                      aria-label={`Delete ${course.code}`}
+                      className="p-1.5 mr-1 rounded-lg opacity-0 group-hover:opacity-100 focus:opacity-100 hover:bg-red-900/30"
+                    >
+                      <Trash2 className="w-3.5 h-3.5 text-zinc-400" />
+                    </button>
+                  </li>
+                )
+              )}
+            </ul>
+
+            {courses.length > 0 && activeCourseId && (
+              <button
+                type="button"
+                role="menuitem"
+                onClick={() => select(null)}
+                className="w-full text-left px-3 py-2 rounded-lg text-sm text-zinc-400 hover:bg-white/10 transition-colors duration-200"
+              >
+                Work without a course
+              </button>
+            )}
+
+            <div className="border-t border-white/10 mt-1.5 pt-1.5">
+              {editing === 'new' ? (
+                <CourseForm
+                  submitLabel="Add course"
+                  onCancel={() => setEditing(null)}
+                  onSubmit={async (details) => {
+                    // Stays open if the course could not be stored (the app shows why)
+                    const course = await onCreate(details);
+                    if (course) select(course);
+                  }}
+                />
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setEditing('new')}
+                  className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-zinc-300 hover:bg-white/10 transition-colors duration-200"
+                >
+                  <Plus className="w-4 h-4" />
+                  New course
+                </button>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+});
+
+export default CourseSwitcher;
@@ -0,0 +1,111 @@
+import { memo, useMemo, useState } from 'react';
+import { ChevronDown, FileQuestion } from 'lucide-react';
+import { buildCoverageReport } from '../utils/coverage';
+import { formatAppearance, sortAppearances } from '../utils/paperTags';
+
+const coverageColor = (percent) => {
+  if (percent >= 70) return 'bg-emerald-500/70';
+  if (percent >= 40) return 'bg-amber-500/70';
+  return 'bg-red-500/70';
+};
+
+/** Questions linked to no topic, under a heading; nothing when there are none. */
+function QuestionGroup({ title, note, questions, muted = false }) {
+  if (questions.length === 0) return null;
+  return (
+    <div className="pt-4 border-t border-white/10">
+      <div className="flex items-center gap-2 mb-1">
+        <FileQuestion className={`w-4 h-4 ${muted ? 'text-zinc-500' : 'text-amber-400'}`} />
+        <span className="text-sm font-semibold text-zinc-100">
+          {title} ({questions.length})
+        </span>
+      </div>
+      <p className="text-xs text-zinc-500 mb-3">{note}</p>
+      <ul className="space-y-2">
+        {sortAppearances(questions).map((question) => (
+          <li key={`${question.fileName}-${question.questionNo}`} className="text-xs">
+            <span className="font-medium text-zinc-300">{formatAppearance(question)}</span>
+            <p className="text-zinc-400 line-clamp-2">{question.text}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Reverse view of the analysis: per-unit share of syllabus topics that were
+ * ever asked, the topics that never were, questions the analysis placed
+ * outside the syllabus (a hint that the syllabus is outdated) and questions
+ * it linked to nothing at all.
+ */
+const CoverageReport = memo(function CoverageReport({ analysis }) {
+  const report = useMemo(() => buildCoverageReport(analysis), [analysis]);
+  const [openUnit, setOpenUnit] = useState(null);
+
+  return (
+    <div className="glass-card p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-baseline gap-3">
+        <h3 className="text-2xl font-bold text-zinc-100">Syllabus Coverage</h3>
+        <span className="text-sm text-zinc-400">
+          {report.overallPercent}% of syllabus topics have appeared in the papers
+        </span>
+      </div>
+
+      <ul className="space-y-3">
+        {report.units.map((unit) => {
+          const isOpen = openUnit === unit.name;
+          return (
+            <li key={unit.name}>
+              <button
+                type="button"
+                onClick={() => setOpenUnit(isOpen ? null : unit.name)}
+                disabled={unit.neverAsked.length === 0}
+                className="w-full text-left"
+              >
+                <div className="flex items-center justify-between gap-3 mb-1.5 text-sm">
+                  <span className="text-zinc-200 flex items-center gap-1">
+                    {unit.neverAsked.length > 0 && (
+                      <ChevronDown className={`w-3 h-3 text-zinc-500 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+                    )}
+                    {unit.name}
+                  </span>
+                  <span className="text-xs text-zinc-400 whitespace-nowrap">
+                    {unit.asked}/{unit.total} topics · {unit.percent}%
+                  </span>
+                </div>
+                <div className="h-2 rounded-full bg-white/5 overflow-hidden">
+                  <div className={`h-full rounded-full ${coverageColor(unit.percent)}`} style={{ width: `${unit.percent}%` }} />
+                </div>
+              </button>
+              {isOpen && (
+                <div className="mt-2 flex flex-wrap gap-1.5">
+                  <span className="text-xs text-zinc-500 mr-1">Never asked:</span>
+                  {unit.neverAsked.map((name) => (
+                    <span key={name} className="px-2 py-0.5 bg-white/5 border border-white/10 text-zinc-400 rounded text-xs">
+                      {name}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <QuestionGroup
+        title="Questions outside the syllabus"
+        note="The analysis placed these outside the syllabus. Many of them can mean the syllabus you uploaded is outdated."
+        questions={report.outsideSyllabus}
+      />
+      <QuestionGroup
+        title="Unmapped questions"
+        note="The analysis linked these to no topic and did not place them outside the syllabus. They may be on syllabus topics it left out."
+        questions={report.unmapped}
+        muted
+      />
+    </div>
+  );
+});
+
+export default CoverageReport;
@@ -0,0 +1,200 @@
+import { memo, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  AlertCircle,
+  Cpu,
+  FileArchive,
+  FileText,
+  FileWarning,
+  FileX,
+  Hourglass,
+  KeyRound,
+  RotateCcw,
+  ServerCrash,
+  Settings,
+  Timer,
+  WifiOff,
+} from 'lucide-react';
+
+/** Wait shown for QUOTA when the service didn't say how long. */
+const DEFAULT_QUOTA_WAIT_MS = 60000;
+
+const CARDS = {
+  AUTH: {
+    icon: KeyRound,
+    title: 'API key problem',
+    hint: (error) =>
+      error.missingKey
+        ? 'No API key is configured. Add one, or analyse with offline keyword matching instead.'
+        : 'The AI service rejected the API key. Check that it is correct and allowed to use this model.',
+  },
+  QUOTA: {
+    icon: Hourglass,
+    title: 'API quota reached',
+    hint: () => 'Wait for the quota to refill, try another model (quotas are per model), or use offline mode.',
+  },
+  OVERLOADED: {
+    icon: ServerCrash,
+    title: 'The AI is overloaded',
+    hint: () => 'The model is busy right now. Retry in a moment or try another model.',
+  },
+  TIMEOUT: {
+    icon: Timer,
+    title: 'The AI took too long',
+    hint: () => 'Large or scanned PDFs take longest. Retry, or send only their extracted text.',
+  },
+  PARSE: {
+    icon: FileWarning,
+    title: 'Unexpected AI response',
+    hint: () => 'The reply could not be read as an analysis. Running it again or with another model usually helps.',
+  },
+  INVALID_DOCUMENT: {
+    icon: FileX,
+    title: 'Not a syllabus or question paper',
+    hint: (error) => (
+      <>
+        Oops! That looks like a <span className="font-semibold text-red-200">{error.detectedType || 'non-academic file'}</span>. Please
+        upload a valid Syllabus or Past Question Papers.
+      </>
+    ),
+  },
+  NETWORK: {
+    icon: WifiOff,
+    title: "Can't reach the AI",
+    hint: () => 'Check your internet connection and retry, or analyse offline with keyword matching.',
+  },
+  FILE_TOO_LARGE: {
+    icon: FileArchive,
+    title: 'Upload too large',
+    hint: (error) =>
+      `${error.fileName ? `${error.fileName} is the largest file. ` : ''}Shrink it by compressing scans or removing cover and blank pages${
+        error.canSendText ? ', or send only the extracted text' : ''
+      }.`,
+  },
+};
+
+const FALLBACK_CARD = { icon: AlertCircle, title: 'Analysis failed', hint: () => null };
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` : `${seconds}s`;
+}
+
+function ActionButton({ icon: Icon, onClick, disabled = false, children }) {
+  return (
+    <motion.button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      whileHover={disabled ? {} : { scale: 1.02 }}
+      whileTap={disabled ? {} : { scale: 0.98 }}
+      transition={{ duration: 0.2 }}
+      className="secondary-button text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      <Icon className="w-4 h-4" />
+      {children}
+    </motion.button>
+  );
+}
+
+/**
+ * A failed analysis with what to do about it, picked by the error's code (see
+ * utils/errors). Actions only show when their handler is given; `models` are
+ * the models of the failed run, first one first, for "Try <model>".
+ * @param {{
+ *   error: Error,
+ *   models?: Array<{ name: string, label: string }>,
+ *   onRetry?: () => void,
+ *   onSwitchModel?: (name: string) => void,
+ *   onUseOffline?: () => void,
+ *   onSendTextOnly?: () => void,
+ *   onChooseFiles?: () => void,
+ *   onOpenSettings?: () => void,
+ * }} props
+ */
+const ErrorCard = memo(function ErrorCard({
+  error,
+  models = [],
+  onRetry,
+  onSwitchModel,
+  onUseOffline,
+  onSendTextOnly,
+  onChooseFiles,
+  onOpenSettings,
+}) {
+  const code = error.code;
+  const card = CARDS[code] || FALLBACK_CARD;
+  const Icon = card.icon;
+  const hint = card.hint(error);
+
+  // QUOTA: count down to when a retry can succeed
+  const [retryAt] = useState(() => (code === 'QUOTA' ? Date.now() + (error.retryAfterMs || DEFAULT_QUOTA_WAIT_MS) : 0));
+  const [now, setNow] = useState(() => Date.now());
+  const waitMs = Math.max(0, retryAt - now);
+  const isWaiting = waitMs > 0;
+  useEffect(() => {
+    if (!isWaiting) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isWaiting]);
+
+  const canRetry = onRetry && !['AUTH', 'INVALID_DOCUMENT', 'FILE_TOO_LARGE'].includes(code);
+  const canSwitchModel = onSwitchModel && ['QUOTA', 'OVERLOADED', 'PARSE'].includes(code);
+  const canUseOffline = onUseOffline && ['AUTH', 'QUOTA', 'OVERLOADED', 'NETWORK'].includes(code);
+  const canSendText = onSendTextOnly && (code === 'TIMEOUT' || (code === 'FILE_TOO_LARGE' && error.canSendText));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.2 }}
+      role="alert"
+      className="p-4 rounded-xl border bg-red-950/40 border-red-900/50 space-y-3"
+    >
+      <div className="flex items-start gap-3">
+        <Icon className="w-5 h-5 text-red-400 shrink-0 mt-0.5" />
+        <div className="space-y-1 min-w-0">
+          <p className="text-sm font-semibold text-red-200">{card.title}</p>
+          {hint && <p className="text-sm text-red-300">{hint}</p>}
+          {code !== 'INVALID_DOCUMENT' && <p className="text-xs text-red-400/80 break-words">{error.message}</p>}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 pl-8">
+        {canRetry && (
+          <ActionButton icon={RotateCcw} onClick={onRetry} disabled={isWaiting}>
+            {isWaiting ? `Retry in ${formatWait(waitMs)}` : 'Retry'}
+          </ActionButton>
+        )}
+        {canSwitchModel &&
+          models.slice(1).map((model) => (
+            <ActionButton key={model.name} icon={Cpu} onClick={() => onSwitchModel(model.name)}>
+              Try {model.label}
+            </ActionButton>
+          ))}
+        {canSendText && (
+          <ActionButton icon={FileText} onClick={onSendTextOnly}>
+            Send text only
+          </ActionButton>
+        )}
+        {onOpenSettings && code === 'AUTH' && (
+          <ActionButton icon={Settings} onClick={onOpenSettings}>
+            Open settings
+          </ActionButton>
+        )}
+        {canUseOffline && (
+          <ActionButton icon={WifiOff} onClick={onUseOffline}>
+            Use offline mode
+          </ActionButton>
+        )}
+        {onChooseFiles && code === 'INVALID_DOCUMENT' && (
+          <ActionButton icon={FileX} onClick={onChooseFiles}>
+            Choose different files
+          </ActionButton>
+        )}
+      </div>
+    </motion.div>
+  );
+});
+
+export default ErrorCard;
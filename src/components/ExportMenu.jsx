@@ -0,0 +1,79 @@
+import { memo, useEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Download, ChevronDown } from 'lucide-react';
+
+/**
+ * Export button that opens a menu of formats. Closes on selection, outside
+ * click or Escape.
+ * @param {{ formats: Array<{ id: string, label: string, description: string }>, onExport: (formatId: string) => void }} props
+ */
+const ExportMenu = memo(function ExportMenu({ formats, onExport }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <motion.button
+        onClick={() => setIsOpen((open) => !open)}
+        whileHover={{ scale: 1.02 }}
+        whileTap={{ scale: 0.98 }}
+        transition={{ duration: 0.2 }}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="secondary-button flex items-center gap-2"
+      >
+        <Download className="w-4 h-4" />
+        <span className="text-sm font-medium">Export</span>
+        <ChevronDown className={`w-4 h-4 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+      </motion.button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.ul
+            role="menu"
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-72 z-20 glass-card bg-zinc-900/95 p-1.5"
+          >
+            {formats.map((format) => (
+              <li key={format.id}>
+                <button
+                  type="button"
+                  role="menuitem"
+                  onClick={() => {
+                    setIsOpen(false);
+                    onExport(format.id);
+                  }}
+                  className="w-full text-left px-3 py-2 rounded-lg hover:bg-white/10 transition-colors duration-200"
+                >
+                  <span className="block text-sm text-zinc-100">{format.label}</span>
+                  <span className="block text-xs text-zinc-500">{format.description}</span>
+                </button>
+              </li>
+            ))}
+          </motion.ul>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+});
+
+export default ExportMenu;
@@ -0,0 +1,172 @@
+import { memo, useState, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { History, Pencil, Trash2, X, Check } from 'lucide-react';
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const HistoryEntry = memo(function HistoryEntry({ entry, isActive, onOpen, onRename, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftName, setDraftName] = useState(entry.name);
+
+  const commitRename = useCallback(() => {
+    const name = draftName.trim();
+    if (name && name !== entry.name) onRename(entry.id, name);
+    setIsEditing(false);
+  }, [draftName, entry.id, entry.name, onRename]);
+
+  const paperCount = entry.papers?.length || 0;
+
+  return (
+    <div
+      className={`glass-card p-4 transition-colors duration-200 ${isActive ? 'border-white/25 bg-white/15' : 'glass-card-hover'}`}
+    >
+      {isEditing ? (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            commitRename();
+          }}
+          className="flex items-center gap-2 mb-2"
+        >
+          <input
+            autoFocus
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onBlur={commitRename}
+            className="flex-1 bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-sm text-zinc-100"
+          />
+          <button type="submit" aria-label="Save name" className="p-1.5 hover:bg-white/10 rounded-lg">
+            <Check className="w-4 h-4 text-zinc-300" />
+          </button>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => onOpen(entry)}
+          className="block w-full text-left mb-2"
+        >
+          <span className="text-sm font-semibold text-zinc-100">{entry.name}</span>
+        </button>
+      )}
+      <p className="text-xs text-zinc-500">{formatDate(entry.createdAt)} · {entry.model}</p>
+      <p className="text-xs text-zinc-500 truncate" title={entry.syllabus?.name}>
+        {entry.analysis?.meta?.importedFrom
+          ? `Imported from ${entry.analysis.meta.importedFrom}`
+          : entry.analysis?.meta?.shared
+            ? 'Opened from a share link'
+            : `${entry.syllabus?.name} + ${paperCount} paper${paperCount === 1 ? '' : 's'}`}
+      </p>
+      <div className="flex justify-end gap-1 mt-2">
+        <button
+          type="button"
+          onClick={() => {
+            setDraftName(entry.name);
+            setIsEditing(true);
+          }}
+          aria-label={`Rename ${entry.name}`}
+          className="p-1.5 hover:bg-white/10 rounded-lg transition-colors duration-200"
+        >
+          <Pencil className="w-3.5 h-3.5 text-zinc-400" />
+        </button>
+        <button
+          type="button"
+          onClick={() => onDelete(entry.id)}
+          aria-label={`Delete ${entry.name}`}
+          className="p-1.5 hover:bg-red-900/30 rounded-lg transition-colors duration-200"
+        >
+          <Trash2 className="w-3.5 h-3.5 text-zinc-400 hover:text-red-300" />
+        </button>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * Drawer listing saved analyses. `error` is a failed rename or delete, shown
+ * above the list until `onDismissError`.
+ */
+const HistoryPanel = memo(function HistoryPanel({
+  isOpen,
+  onClose,
+  title = 'Analysis History',
+  entries,
+  activeId,
+  onOpen,
+  onRename,
+  onDelete,
+  error = null,
+  onDismissError,
+}) {
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/50 z-[60]"
+          />
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ duration: 0.25, ease: 'easeOut' }}
+            className="fixed top-0 right-0 bottom-0 w-full max-w-sm z-[70] bg-zinc-950/95 border-l border-white/10 backdrop-blur-md flex flex-col"
+          >
+            <div className="flex items-center justify-between px-6 py-5 border-b border-white/10">
+              <div className="flex items-center gap-2">
+                <History className="w-5 h-5 text-zinc-300" />
+                <h2 className="text-lg font-semibold text-zinc-100">{title}</h2>
+              </div>
+              <button
+                type="button"
+                onClick={onClose}
+                aria-label="Close history"
+                className="p-2 hover:bg-white/10 rounded-lg transition-colors duration-200"
+              >
+                <X className="w-4 h-4 text-zinc-400" />
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+              {error && (
+                <div role="alert" className="p-3 rounded-lg border bg-red-950/50 border-red-900/50 flex items-start gap-2">
+                  <p className="flex-1 text-sm text-red-300">{error}</p>
+                  <button type="button" onClick={onDismissError} aria-label="Dismiss" className="text-red-300 hover:text-red-100">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+              {entries.length === 0 ? (
+                <p className="text-sm text-zinc-500 text-center pt-8">
+                  Past analyses will appear here.
+                </p>
+              ) : (
+                entries.map((entry) => (
+                  <HistoryEntry
+                    key={entry.id}
+                    entry={entry}
+                    isActive={entry.id === activeId}
+                    onOpen={onOpen}
+                    onRename={onRename}
+                    onDelete={onDelete}
+                  />
+                ))
+              )}
+            </div>
+          </motion.aside>
+        </>
+      )}
+    </AnimatePresence>
+  );
+});
+
+export default HistoryPanel;
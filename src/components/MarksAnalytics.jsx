@@ -0,0 +1,194 @@
+import { memo, useMemo } from 'react';
+import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { buildMarksAnalytics, OUTSIDE_SYLLABUS, UNMAPPED } from '../utils/marksAnalytics';
+
+const UNIT_COLORS = ['#818cf8', '#34d399', '#fbbf24', '#f87171', '#60a5fa', '#c084fc', '#2dd4bf', '#fb923c'];
+const OUTSIDE_COLOR = '#52525b';
+const UNMAPPED_COLOR = '#3f3f46';
+
+const CHART_HEIGHT = 160;
+const TOP_TOPICS = 10;
+
+const TREND_ICONS = {
+  rising: { Icon: TrendingUp, className: 'text-emerald-400', label: 'Rising' },
+  falling: { Icon: TrendingDown, className: 'text-red-400', label: 'Falling' },
+  steady: { Icon: Minus, className: 'text-zinc-500', label: 'Steady' },
+};
+
+/**
+ * SVG path for one slice of a donut, from `start` to `end` (fractions of a turn).
+ */
+function slicePath(start, end, radius = 50, inner = 30) {
+  // A full circle can't be drawn as one arc
+  const stop = Math.min(end, start + 0.9999);
+  const point = (fraction, r) => {
+    const angle = fraction * 2 * Math.PI - Math.PI / 2;
+    return `${60 + r * Math.cos(angle)} ${60 + r * Math.sin(angle)}`;
+  };
+  const large = stop - start > 0.5 ? 1 : 0;
+  return [
+    `M ${point(start, radius)}`,
+    `A ${radius} ${radius} 0 ${large} 1 ${point(stop, radius)}`,
+    `L ${point(stop, inner)}`,
+    `A ${inner} ${inner} 0 ${large} 0 ${point(start, inner)}`,
+    'Z',
+  ].join(' ');
+}
+
+/**
+ * Marks-based view of the analysis: marks per year stacked by syllabus unit,
+ * each unit's share of all marks, and the topics worth the most marks.
+ */
+const MarksAnalytics = memo(function MarksAnalytics({ analysis }) {
+  const stats = useMemo(() => buildMarksAnalytics(analysis), [analysis]);
+
+  const colorOf = useMemo(() => {
+    const colors = new Map();
+    stats.units
+      .filter((unit) => unit.name !== OUTSIDE_SYLLABUS && unit.name !== UNMAPPED)
+      .forEach((unit, index) => colors.set(unit.name, UNIT_COLORS[index % UNIT_COLORS.length]));
+    colors.set(OUTSIDE_SYLLABUS, OUTSIDE_COLOR);
+    colors.set(UNMAPPED, UNMAPPED_COLOR);
+    return (name) => colors.get(name);
+  }, [stats.units]);
+
+  if (stats.totalMarks === 0) {
+    return (
+      <div className="glass-card p-6 text-sm text-zinc-400">
+        No marks were found next to the questions in your papers, so there is nothing to chart yet. Marks are read
+        from labels like "(5 marks)", "[10]" or "10M" printed with each question.
+      </div>
+    );
+  }
+
+  const maxYearMarks = Math.max(...stats.years.map((year) => year.totalMarks));
+  const maxTopicMarks = stats.topics[0]?.totalMarks || 1;
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-zinc-400">
+        {stats.totalMarks} marks across {stats.papers.length} paper{stats.papers.length === 1 ? '' : 's'}
+        {stats.questionsWithoutMarks > 0 &&
+          ` · ${stats.questionsWithoutMarks} question${stats.questionsWithoutMarks === 1 ? '' : 's'} without printed marks left out`}
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Marks per year, stacked by unit */}
+        <div className="glass-card p-6">
+          <h4 className="text-lg font-semibold text-zinc-100 mb-4">Marks per Year by Unit</h4>
+          <div className="flex items-end gap-4" style={{ height: CHART_HEIGHT }}>
+            {stats.years.map((year) => (
+              <div key={year.year} className="flex-1 flex flex-col items-center justify-end h-full">
+                <span className="text-[11px] text-zinc-400 mb-1">{year.totalMarks}</span>
+                <div
+                  className="w-full max-w-[48px] flex flex-col-reverse rounded-t overflow-hidden"
+                  style={{ height: `${(year.totalMarks / maxYearMarks) * 100}%` }}
+                >
+                  {stats.units.map((unit) =>
+                    year.byUnit[unit.name] ? (
+                      <div
+                        key={unit.name}
+                        title={`${unit.name}: ${year.byUnit[unit.name]} marks`}
+                        style={{ height: `${(year.byUnit[unit.name] / year.totalMarks) * 100}%`, background: colorOf(unit.name) }}
+                      />
+                    ) : null
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-4 mt-2">
+            {stats.years.map((year) => (
+              <span key={year.year} className="flex-1 text-center text-xs text-zinc-500">{year.year}</span>
+            ))}
+          </div>
+        </div>
+
+        {/* Unit weightage */}
+        <div className="glass-card p-6">
+          <h4 className="text-lg font-semibold text-zinc-100 mb-4">Unit Weightage</h4>
+          <div className="flex flex-col sm:flex-row items-center gap-6">
+            <svg viewBox="0 0 120 120" className="w-40 h-40 shrink-0">
+              {stats.units.map((unit) => (
+                <path key={unit.name} d={slicePath(unit.start, unit.end)} fill={colorOf(unit.name)}>
+                  <title>{`${unit.name}: ${unit.share}%`}</title>
+                </path>
+              ))}
+            </svg>
+            <ul className="space-y-1.5 text-xs w-full">
+              {stats.units.map((unit) => (
+                <li key={unit.name} className="flex items-center gap-2">
+                  <span className="w-3 h-3 rounded-sm shrink-0" style={{ background: colorOf(unit.name) }} />
+                  <span className="flex-1 text-zinc-300 truncate" title={unit.name}>{unit.name}</span>
+                  <span className="text-zinc-400">{unit.share}%</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+
+      {/* Unit table */}
+      <div className="glass-card p-6 overflow-x-auto">
+        <h4 className="text-lg font-semibold text-zinc-100 mb-4">Units</h4>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-zinc-500 text-left">
+              <th className="font-medium pb-2">Unit</th>
+              <th className="font-medium pb-2 text-right">Total marks</th>
+              <th className="font-medium pb-2 text-right">Avg per paper</th>
+              <th className="font-medium pb-2 text-right">Share</th>
+              <th className="font-medium pb-2 text-right">Trend</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.units.map((unit) => {
+              const { Icon, className, label } = TREND_ICONS[unit.trend];
+              return (
+                <tr key={unit.name} className="border-t border-white/5">
+                  <td className="py-2 text-zinc-200">{unit.name}</td>
+                  <td className="py-2 text-right text-zinc-300">{unit.totalMarks}</td>
+                  <td className="py-2 text-right text-zinc-300">{unit.averagePerPaper}</td>
+                  <td className="py-2 text-right text-zinc-300">{unit.share}%</td>
+                  <td className="py-2">
+                    <span className={`flex items-center justify-end gap-1 text-xs ${className}`}>
+                      <Icon className="w-3 h-3" />
+                      {label}
+                    </span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Topics worth the most marks */}
+      {stats.topics.length > 0 && (
+        <div className="glass-card p-6">
+          <h4 className="text-lg font-semibold text-zinc-100 mb-4">Topics by Marks</h4>
+          <ul className="space-y-2">
+            {stats.topics.slice(0, TOP_TOPICS).map((topic) => (
+              <li key={topic.name} className="text-sm">
+                <div className="flex justify-between gap-3 mb-1">
+                  <span className="text-zinc-200 truncate" title={topic.name}>{topic.name}</span>
+                  <span className="text-xs text-zinc-400 whitespace-nowrap">
+                    {topic.totalMarks} marks · {topic.averagePerPaper}/paper · {topic.share}%
+                  </span>
+                </div>
+                <div className="h-1.5 rounded-full bg-white/5 overflow-hidden">
+                  <div
+                    className="h-full rounded-full"
+                    style={{ width: `${(topic.totalMarks / maxTopicMarks) * 100}%`, background: colorOf(topic.unit) }}
+                  />
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default MarksAnalytics;
@@ -4,11 +4,18 @@ import { Upload, FileCheck, X, BookOpen, Clock, AlertTriangle } from 'lucide-rea
 import { extractTextFromPdf } from '../utils/pdfTextExtractor';
 import { hasMinimumAcademicKeywords } from '../utils/documentValidation';
 
-const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
+/**
+ * PDF upload dropzone. In `multiple` mode the zone stays open and calls
+ * `onFileSelect` once per accepted file, so the parent can keep a list.
+ */
+const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file, multiple = false, fileCount = 0 }) {
   const [isDragging, setIsDragging] = useState(false);
   const [isChecking, setIsChecking] = useState(false);
-  const [showAcademicWarning, setShowAcademicWarning] = useState(false);
-  const [pendingFile, setPendingFile] = useState(null);
+  const [ocrStatus, setOcrStatus] = useState(null); // { page, numPages, progress } while OCR runs
+  // Files that failed the academic quick check and await confirmation
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const pendingFile = pendingFiles[0] || null;
+  const showAcademicWarning = !!pendingFile;
 
   const validateAndSetFile = useCallback(
     async (selectedFile) => {
@@ -17,24 +24,23 @@ const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
       // Layer 1: Reject non-PDF by filename
       const name = (selectedFile.name || '').toLowerCase();
       if (!name.endsWith('.pdf')) {
-        onFileSelect(null);
+        if (!multiple) onFileSelect(null);
         return;
       }
 
       // Optional: Quick check - scan first 1000 chars for academic keywords
       setIsChecking(true);
-      setShowAcademicWarning(false);
-      setPendingFile(null);
+      if (!multiple) setPendingFiles([]);
 
       try {
-        const text = await extractTextFromPdf(selectedFile, 1500);
+        // Scanned pages are OCR'd here; the result is cached for the analysis step
+        const text = await extractTextFromPdf(selectedFile, 1500, { onOcrProgress: setOcrStatus });
         const looksAcademic = hasMinimumAcademicKeywords(text, 1000, 2);
 
         if (looksAcademic) {
           onFileSelect(selectedFile);
         } else {
-          setPendingFile(selectedFile);
-          setShowAcademicWarning(true);
+          setPendingFiles((prev) => [...prev, selectedFile]);
         }
       } catch (err) {
         // If extraction fails (e.g. scanned PDF), allow the file anyway
@@ -42,24 +48,34 @@ const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
         onFileSelect(selectedFile);
       } finally {
         setIsChecking(false);
+        setOcrStatus(null);
       }
     },
-    [onFileSelect]
+    [onFileSelect, multiple]
+  );
+
+  const validateAndSetFiles = useCallback(
+    async (fileList) => {
+      const pdfs = Array.from(fileList || []).filter((f) => f.type === 'application/pdf');
+      const selected = multiple ? pdfs : pdfs.slice(0, 1);
+      for (const selectedFile of selected) {
+        await validateAndSetFile(selectedFile);
+      }
+    },
+    [multiple, validateAndSetFile]
   );
 
   const handleConfirmAnyway = useCallback(() => {
     if (pendingFile) {
       onFileSelect(pendingFile);
-      setPendingFile(null);
-      setShowAcademicWarning(false);
+      setPendingFiles((prev) => prev.slice(1));
     }
   }, [pendingFile, onFileSelect]);
 
   const handleCancelWarning = useCallback(() => {
-    setPendingFile(null);
-    setShowAcademicWarning(false);
-    onFileSelect(null);
-  }, [onFileSelect]);
+    setPendingFiles((prev) => prev.slice(1));
+    if (!multiple) onFileSelect(null);
+  }, [onFileSelect, multiple]);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -75,30 +91,23 @@ const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
     (e) => {
       e.preventDefault();
       setIsDragging(false);
-      const droppedFile = e.dataTransfer.files[0];
-      if (droppedFile && droppedFile.type === 'application/pdf') {
-        validateAndSetFile(droppedFile);
-      }
+      validateAndSetFiles(e.dataTransfer.files);
     },
-    [validateAndSetFile]
+    [validateAndSetFiles]
   );
 
   const handleFileInput = useCallback(
     (e) => {
-      const selectedFile = e.target.files[0];
-      if (selectedFile && selectedFile.type === 'application/pdf') {
-        validateAndSetFile(selectedFile);
-      }
+      validateAndSetFiles(e.target.files);
       e.target.value = '';
     },
-    [validateAndSetFile]
+    [validateAndSetFiles]
   );
 
   const handleRemove = useCallback(
     (e) => {
       e.stopPropagation();
-      setPendingFile(null);
-      setShowAcademicWarning(false);
+      setPendingFiles([]);
       onFileSelect(null);
     },
     [onFileSelect]
@@ -110,7 +119,7 @@ const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
     }
   }, [file, pendingFile, showAcademicWarning, label]);
 
-  const hasFile = !!file;
+  const hasFile = !multiple && !!file;
   const fileSize = file ? (file.size / 1024 / 1024).toFixed(2) : null;
   const isSyllabus = label.toLowerCase().includes('syllabus');
   const Icon = isSyllabus ? BookOpen : Clock;
@@ -140,6 +149,7 @@ const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
           id={`file-input-${label}`}
           type="file"
           accept="application/pdf"
+          multiple={multiple}
           onChange={handleFileInput}
           className="hidden"
         />
@@ -181,7 +191,11 @@ const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
         ) : isChecking ? (
           <div className="flex flex-col items-center py-4">
             <div className="w-8 h-8 border-2 border-white/20 border-t-zinc-100 rounded-full animate-spin mb-3" />
-            <p className="text-sm text-zinc-400">Checking document...</p>
+            <p className="text-sm text-zinc-400">
+              {ocrStatus
+                ? `Scanned page detected. Running OCR on page ${ocrStatus.page}/${ocrStatus.numPages} (${Math.round(ocrStatus.progress * 100)}%)...`
+                : 'Checking document...'}
+            </p>
           </div>
         ) : hasFile ? (
           <motion.div
@@ -218,9 +232,13 @@ const PDFDropzone = memo(function PDFDropzone({ label, onFileSelect, file }) {
               <Icon className="w-12 h-12 text-zinc-500 mb-3" />
             </motion.div>
             <p className="text-sm font-medium text-zinc-300 mb-1">
-              Drop PDF here or click to upload
+              {multiple ? 'Drop PDFs here or click to upload' : 'Drop PDF here or click to upload'}
+            </p>
+            <p className="text-xs text-zinc-600">
+              {multiple && fileCount > 0
+                ? `${fileCount} paper${fileCount === 1 ? '' : 's'} added · drop more to add`
+                : multiple ? 'One PDF per paper · Only PDF files are accepted' : 'Only PDF files are accepted'}
             </p>
-            <p className="text-xs text-zinc-600">Only PDF files are accepted</p>
           </div>
         )}
       </div>
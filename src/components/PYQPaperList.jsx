@@ -0,0 +1,73 @@
+import { memo, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FileText, X } from 'lucide-react';
+import { EXAM_TERMS } from '../utils/paperTags';
+
+const PYQPaperList = memo(function PYQPaperList({ papers, onChange }) {
+  const updatePaper = useCallback(
+    (id, patch) => {
+      onChange(papers.map((paper) => (paper.id === id ? { ...paper, ...patch } : paper)));
+    },
+    [papers, onChange]
+  );
+
+  const removePaper = useCallback(
+    (id) => {
+      onChange(papers.filter((paper) => paper.id !== id));
+    },
+    [papers, onChange]
+  );
+
+  if (!papers.length) return null;
+
+  return (
+    <div className="mt-4 space-y-2">
+      <AnimatePresence initial={false}>
+        {papers.map((paper) => (
+          <motion.div
+            key={paper.id}
+            initial={{ opacity: 0, y: -6 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.2 }}
+            className="glass-card px-4 py-3 flex items-center gap-3"
+          >
+            <FileText className="w-4 h-4 text-zinc-500 shrink-0" />
+            <span className="text-sm text-zinc-200 truncate flex-1" title={paper.file.name}>
+              {paper.file.name}
+            </span>
+            <input
+              type="number"
+              min="1990"
+              max="2100"
+              value={paper.year}
+              onChange={(e) => updatePaper(paper.id, { year: Number(e.target.value) })}
+              aria-label={`Exam year for ${paper.file.name}`}
+              className="w-20 bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-sm text-zinc-100"
+            />
+            <select
+              value={paper.term}
+              onChange={(e) => updatePaper(paper.id, { term: e.target.value })}
+              aria-label={`Exam term for ${paper.file.name}`}
+              className="bg-zinc-900 border border-white/10 rounded-lg px-2 py-1 text-sm text-zinc-100"
+            >
+              {EXAM_TERMS.map((term) => (
+                <option key={term} value={term}>{term}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => removePaper(paper.id)}
+              aria-label={`Remove ${paper.file.name}`}
+              className="p-1.5 hover:bg-white/10 rounded-lg transition-colors duration-200"
+            >
+              <X className="w-4 h-4 text-zinc-400 hover:text-zinc-100" />
+            </button>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  );
+});
+
+export default PYQPaperList;
@@ -0,0 +1,166 @@
+import { memo, useMemo, useState, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Zap } from 'lucide-react';
+import { LEVELS, priorityFromConfidence } from '../utils/analysisSchema';
+
+// Reward runs top (High) to bottom (Low); effort runs left (Low) to right (High),
+// so the "Low Effort, High Reward" cell is the top-left corner.
+const REWARD_ROWS = [...LEVELS].reverse();
+const EFFORT_COLUMNS = LEVELS;
+
+const MIN_BUBBLE = 24;
+const MAX_BUBBLE = 60;
+
+const PRIORITY_COLORS = {
+  High: 'bg-red-500/70 border-red-300/60',
+  Medium: 'bg-amber-500/70 border-amber-300/60',
+  Low: 'bg-emerald-500/70 border-emerald-300/60',
+};
+
+const TOPIC_MIME = 'application/x-exam-pilot-topic';
+
+/**
+ * 3x3 Effort x Reward chart. Bubbles are sized by frequency and coloured by
+ * priority. Click a bubble to focus its card; drag it to another cell to
+ * override the AI's effort/reward rating.
+ */
+const PriorityMatrix = memo(function PriorityMatrix({ topics, selectedTopic, onSelectTopic, onMoveTopic }) {
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const { cells, maxFrequency } = useMemo(() => {
+    const grouped = {};
+    for (const topic of topics) {
+      const key = `${topic.effort}|${topic.reward}`;
+      (grouped[key] ||= []).push(topic);
+    }
+    const max = Math.max(1, ...topics.map((t) => t.frequency || 0));
+    return { cells: grouped, maxFrequency: max };
+  }, [topics]);
+
+  const bubbleSize = useCallback(
+    (frequency) => MIN_BUBBLE + ((frequency || 0) / maxFrequency) * (MAX_BUBBLE - MIN_BUBBLE),
+    [maxFrequency]
+  );
+
+  const handleDrop = useCallback(
+    (e, effort, reward) => {
+      e.preventDefault();
+      setDropTarget(null);
+      const name = e.dataTransfer.getData(TOPIC_MIME);
+      const topic = topics.find((t) => t.name === name);
+      if (topic && (topic.effort !== effort || topic.reward !== reward)) {
+        onMoveTopic?.(name, { effort, reward });
+      }
+    },
+    [topics, onMoveTopic]
+  );
+
+  const canEdit = !!onMoveTopic;
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="text-2xl font-bold text-zinc-100">Priority Matrix</h3>
+        <div className="flex items-center gap-4 text-xs text-zinc-400">
+          {LEVELS.map((level) => (
+            <span key={level} className="flex items-center gap-1.5">
+              <span className={`w-3 h-3 rounded-full border ${PRIORITY_COLORS[level]}`} />
+              {level} priority
+            </span>
+          ))}
+          <span>Size = frequency</span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-[auto_repeat(3,minmax(0,1fr))] gap-2">
+        <div />
+        {EFFORT_COLUMNS.map((effort) => (
+          <div key={effort} className="text-center text-xs font-medium text-zinc-500 pb-1">
+            {effort} Effort
+          </div>
+        ))}
+
+        {REWARD_ROWS.map((reward) => (
+          <div key={reward} className="contents">
+            <div className="flex items-center justify-end pr-2 text-xs font-medium text-zinc-500 whitespace-nowrap">
+              {reward} Reward
+            </div>
+            {EFFORT_COLUMNS.map((effort) => {
+              const key = `${effort}|${reward}`;
+              const cellTopics = cells[key] || [];
+              const isQuickWin = effort === 'Low' && reward === 'High';
+              const isDropTarget = dropTarget === key;
+
+              return (
+                <div
+                  key={key}
+                  onDragOver={canEdit ? (e) => {
+                    e.preventDefault();
+                    setDropTarget(key);
+                  } : undefined}
+                  onDragLeave={canEdit ? () => setDropTarget(null) : undefined}
+                  onDrop={canEdit ? (e) => handleDrop(e, effort, reward) : undefined}
+                  className={`
+                    relative min-h-[120px] rounded-lg border p-3 flex flex-wrap content-start gap-3 transition-colors duration-200
+                    ${isQuickWin ? 'border-emerald-700/60 bg-emerald-900/15 glow-emerald-subtle' : 'border-white/10 bg-white/5'}
+                    ${isDropTarget ? 'border-indigo-400/70 bg-indigo-500/10' : ''}
+                  `}
+                >
+                  {isQuickWin && (
+                    <span className="absolute top-2 right-2 flex items-center gap-1 text-[10px] font-semibold uppercase tracking-wide text-emerald-300">
+                      <Zap className="w-3 h-3" />
+                      Quick wins
+                    </span>
+                  )}
+                  {cellTopics.map((topic) => {
+                    const size = bubbleSize(topic.frequency);
+                    const priority = topic.priority || priorityFromConfidence(topic.confidence);
+                    const isSelected = selectedTopic === topic.name;
+                    return (
+                      <motion.button
+                        key={topic.name}
+                        type="button"
+                        layout
+                        draggable={canEdit}
+                        onDragStart={(e) => {
+                          e.dataTransfer.setData(TOPIC_MIME, topic.name);
+                          e.dataTransfer.effectAllowed = 'move';
+                        }}
+                        onClick={() => onSelectTopic?.(topic.name)}
+                        whileHover={{ scale: 1.05 }}
+                        title={`${topic.name}: ${topic.confidence}% confidence, ${topic.frequency}x asked${topic.aiRating ? ' (moved by you)' : ''}`}
+                        className="flex flex-col items-center gap-1 w-20 cursor-pointer"
+                      >
+                        <span
+                          style={{ width: size, height: size }}
+                          className={`
+                            rounded-full border-2 flex items-center justify-center text-[11px] font-semibold text-white
+                            ${PRIORITY_COLORS[priority]}
+                            ${topic.aiRating ? 'border-dashed' : ''}
+                            ${isSelected ? 'ring-2 ring-indigo-300' : ''}
+                          `}
+                        >
+                          {topic.frequency}
+                        </span>
+                        <span className="text-[11px] leading-tight text-zinc-300 text-center line-clamp-2">
+                          {topic.name}
+                        </span>
+                      </motion.button>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      {canEdit && (
+        <p className="text-xs text-zinc-500 mt-3">
+          Click a bubble to open its card. Drag it to another cell if you rate the effort or reward differently.
+        </p>
+      )}
+    </div>
+  );
+});
+
+export default PriorityMatrix;
@@ -2,21 +2,37 @@ import { memo, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Loader2 } from 'lucide-react';
 
+const stepPrefix = (step) => step.split(':')[0];
+
 const ProgressBar = memo(function ProgressBar({ currentStep, steps }) {
   const [elapsedTime, setElapsedTime] = useState(0);
-  const currentIndex = steps.findIndex(step => step === currentStep);
+  const [lastIndex, setLastIndex] = useState(0);
+  // Match on "Step N" so detailed messages (OCR pages, model names) still count;
+  // messages without a step (e.g. retries) keep the previous step highlighted.
+  const matchedIndex = currentStep
+    ? steps.findIndex(step => currentStep.startsWith(stepPrefix(step)))
+    : -1;
+  if (matchedIndex !== -1 && matchedIndex !== lastIndex) {
+    setLastIndex(matchedIndex);
+  }
+  const currentIndex = matchedIndex !== -1 ? matchedIndex : lastIndex;
   const progress = ((currentIndex + 1) / steps.length) * 100;
 
+  // The timer restarts from zero whenever a run starts or ends
+  const isRunning = Boolean(currentStep);
+  const [wasRunning, setWasRunning] = useState(isRunning);
+  if (isRunning !== wasRunning) {
+    setWasRunning(isRunning);
+    setElapsedTime(0);
+  }
+
   useEffect(() => {
-    if (currentStep) {
-      const interval = setInterval(() => {
-        setElapsedTime(prev => prev + 1);
-      }, 1000);
-      return () => clearInterval(interval);
-    } else {
-      setElapsedTime(0);
-    }
-  }, [currentStep]);
+    if (!isRunning) return undefined;
+    const interval = setInterval(() => {
+      setElapsedTime(prev => prev + 1);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
 
   const formatTime = (seconds) => {
     if (seconds < 60) return `${seconds}s`;
@@ -70,7 +86,7 @@ const ProgressBar = memo(function ProgressBar({ currentStep, steps }) {
       {currentStep && (
         <div className="flex items-center justify-center gap-3 text-sm text-zinc-400">
           <Loader2 className="w-4 h-4 animate-spin" />
-          <span>Processing... {elapsedTime > 0 && `(${formatTime(elapsedTime)})`}</span>
+          <span>{currentStep.replace(/\s*\(\d+s\)$/, '')} {elapsedTime > 0 && `(${formatTime(elapsedTime)})`}</span>
         </div>
       )}
     </div>
@@ -0,0 +1,249 @@
+import { memo, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { GraduationCap, X, Loader2, CheckCircle2, XCircle, RotateCcw } from 'lucide-react';
+import { generateQuiz, gradeShortAnswers } from '../services/quizService';
+import { gradeQuiz, statusFromQuizScore } from '../utils/quiz';
+import { TOPIC_STATUSES } from '../utils/topicProgress';
+
+const statusLabel = (id) => TOPIC_STATUSES.find((status) => status.id === id)?.label;
+
+/**
+ * Practice quiz for one topic, in a modal. Questions are generated from the
+ * topic's past questions; on submit MCQs are checked here and short answers
+ * are graded by the model. `onComplete(topicName, result)` receives the
+ * graded result so the topic's status can follow the score.
+ */
+const QuizPanel = memo(function QuizPanel({ topic, pastQuestions, provider, onClose, onComplete }) {
+  const [phase, setPhase] = useState('loading'); // loading | answering | grading | results | error
+  const [quiz, setQuiz] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('Writing questions...');
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [controller] = useState(() => new AbortController());
+
+  // Stop any request still running when the panel closes
+  useEffect(() => () => controller.abort(), [controller]);
+
+  useEffect(() => {
+    let isCurrent = true;
+    generateQuiz(topic, pastQuestions, { provider, signal: controller.signal, onProgress: setMessage })
+      .then((generated) => {
+        if (!isCurrent) return;
+        setQuiz(generated);
+        setPhase('answering');
+      })
+      .catch((err) => {
+        if (!isCurrent || err?.code === 'CANCELLED') return;
+        setError(err.message || 'Could not create a quiz.');
+        setPhase('error');
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [topic, pastQuestions, provider, controller, attempt]);
+
+  // A fresh quiz on the same topic; the effect above writes it
+  const handleNewQuiz = () => {
+    setPhase('loading');
+    setMessage('Writing questions...');
+    setAnswers({});
+    setResult(null);
+    setError(null);
+    setAttempt((n) => n + 1);
+  };
+
+  const handleSubmit = async () => {
+    setPhase('grading');
+    setError(null);
+    try {
+      const shortGrades = await gradeShortAnswers(quiz, answers, { provider, signal: controller.signal });
+      const graded = gradeQuiz(quiz, answers, shortGrades);
+      setResult(graded);
+      setPhase('results');
+      onComplete(topic.name, graded);
+    } catch (err) {
+      if (err?.code === 'CANCELLED') return;
+      // Keep the answers so the student can submit again
+      setError(err.message || 'Could not grade the answers.');
+      setPhase('answering');
+    }
+  };
+
+  const setAnswer = (id, value) => setAnswers((prev) => ({ ...prev, [id]: value }));
+  const resultsById = new Map((result?.results || []).map((entry) => [entry.id, entry]));
+  const isLocked = phase !== 'answering';
+
+  return (
+    <>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="fixed inset-0 bg-black/60 z-[60]"
+      />
+      <motion.div
+        role="dialog"
+        aria-label={`Practice quiz: ${topic.name}`}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: 20 }}
+        transition={{ duration: 0.25, ease: 'easeOut' }}
+        className="fixed inset-x-4 top-10 bottom-10 md:inset-x-auto md:left-1/2 md:-translate-x-1/2 md:w-[680px] z-[70] bg-zinc-950/95 border border-white/10 rounded-2xl backdrop-blur-md flex flex-col"
+      >
+        <div className="flex items-center justify-between px-6 py-5 border-b border-white/10">
+          <div className="flex items-center gap-2 min-w-0">
+            <GraduationCap className="w-5 h-5 text-zinc-300 shrink-0" />
+            <h2 className="text-lg font-semibold text-zinc-100 truncate">Practice: {topic.name}</h2>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close quiz"
+            className="p-2 hover:bg-white/10 rounded-lg transition-colors duration-200"
+          >
+            <X className="w-4 h-4 text-zinc-400" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {phase === 'loading' && (
+            <p className="flex items-center justify-center gap-2 pt-12 text-sm text-zinc-400">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              {message}
+            </p>
+          )}
+
+          {phase === 'error' && (
+            <div className="p-4 rounded-xl border bg-red-950/50 border-red-900/50 space-y-3">
+              <p className="text-sm text-red-300">{error}</p>
+              <button
+                type="button"
+                onClick={handleNewQuiz}
+                className="secondary-button text-sm flex items-center gap-2"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Try again
+              </button>
+            </div>
+          )}
+
+          {result && (
+            <div className="glass-card p-5 text-center">
+              <div className="text-4xl font-bold text-zinc-100">{result.percent}%</div>
+              <p className="text-sm text-zinc-400 mt-1">
+                {result.score}/{result.maxScore} marks · topic marked as {statusLabel(statusFromQuizScore(result.percent))}
+              </p>
+            </div>
+          )}
+
+          {quiz && phase !== 'loading' && phase !== 'error' &&
+            quiz.questions.map((question, index) => {
+              const graded = resultsById.get(question.id);
+              return (
+                <div key={question.id} className="glass-card p-5 space-y-3">
+                  <div className="flex justify-between gap-3">
+                    <p className="text-sm text-zinc-100">
+                      <span className="text-zinc-500 mr-1">{index + 1}.</span>
+                      {question.prompt}
+                    </p>
+                    <span className="text-xs text-zinc-500 whitespace-nowrap">
+                      {graded ? `${graded.score}/${graded.maxScore}` : `${question.type === 'mcq' ? 1 : question.marks} mark${question.type === 'mcq' || question.marks === 1 ? '' : 's'}`}
+                    </span>
+                  </div>
+
+                  {question.type === 'mcq' ? (
+                    <div className="space-y-1.5">
+                      {question.options.map((option, optionIndex) => {
+                        const isChosen = answers[question.id] === optionIndex;
+                        const isAnswer = graded && optionIndex === question.answerIndex;
+                        return (
+                          <label
+                            key={optionIndex}
+                            className={`
+                              flex items-center gap-2 px-3 py-2 rounded-lg text-sm border transition-colors duration-200
+                              ${isAnswer ? 'border-emerald-700/60 bg-emerald-950/30 text-emerald-200' : ''}
+                              ${graded && isChosen && !isAnswer ? 'border-red-800/60 bg-red-950/30 text-red-200' : ''}
+                              ${!graded ? `border-white/10 ${isChosen ? 'bg-white/10 text-zinc-100' : 'text-zinc-300 hover:bg-white/5'} cursor-pointer` : 'border-white/5 text-zinc-400'}
+                            `}
+                          >
+                            <input
+                              type="radio"
+                              name={question.id}
+                              checked={isChosen}
+                              disabled={isLocked}
+                              onChange={() => setAnswer(question.id, optionIndex)}
+                              className="accent-indigo-500"
+                            />
+                            {option}
+                          </label>
+                        );
+                      })}
+                    </div>
+                  ) : (
+                    <textarea
+                      value={answers[question.id] || ''}
+                      onChange={(e) => setAnswer(question.id, e.target.value)}
+                      disabled={isLocked}
+                      rows={4}
+                      placeholder="Write your answer as you would in the exam"
+                      className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-zinc-100 placeholder:text-zinc-600"
+                    />
+                  )}
+
+                  {graded && (
+                    <div className="text-xs space-y-1.5">
+                      <p className={`flex items-start gap-1.5 ${graded.correct ? 'text-emerald-300' : 'text-amber-200'}`}>
+                        {graded.correct ? (
+                          <CheckCircle2 className="w-3.5 h-3.5 shrink-0 mt-0.5" />
+                        ) : (
+                          <XCircle className="w-3.5 h-3.5 shrink-0 mt-0.5" />
+                        )}
+                        {graded.feedback}
+                      </p>
+                      {question.type === 'short' && question.modelAnswer && (
+                        <p className="text-zinc-400">
+                          <span className="text-zinc-500">Model answer: </span>
+                          {question.modelAnswer}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+        </div>
+
+        {quiz && (phase === 'answering' || phase === 'grading' || phase === 'results') && (
+          <div className="px-6 py-4 border-t border-white/10 flex items-center justify-end gap-3">
+            {phase === 'answering' && error && <p className="flex-1 text-sm text-red-300">{error}</p>}
+            {phase === 'results' ? (
+              <button
+                type="button"
+                onClick={handleNewQuiz}
+                className="secondary-button text-sm flex items-center gap-2"
+              >
+                <RotateCcw className="w-4 h-4" />
+                New quiz
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleSubmit}
+                disabled={phase === 'grading'}
+                className="primary-button text-sm flex items-center gap-2"
+              >
+                {phase === 'grading' && <Loader2 className="w-4 h-4 animate-spin" />}
+                {phase === 'grading' ? 'Grading...' : 'Submit answers'}
+              </button>
+            )}
+          </div>
+        )}
+      </motion.div>
+    </>
+  );
+});
+
+export default QuizPanel;
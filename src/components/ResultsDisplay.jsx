@@ -1,23 +1,76 @@
-import { useMemo, memo, useCallback } from 'react';
+import { useMemo, memo, useCallback, useState } from 'react';
 import { motion } from 'framer-motion';
-import { Download, TrendingUp, Target, Zap } from 'lucide-react';
+import { Square, Loader2, AlertTriangle, WifiOff, ListOrdered, BarChart3, Zap } from 'lucide-react';
+import TopicCard from './TopicCard';
+import PriorityMatrix from './PriorityMatrix';
+import CoverageReport from './CoverageReport';
+import MarksAnalytics from './MarksAnalytics';
+import ExportMenu from './ExportMenu';
+import { getTopicProgress, summarizeProgress, isRemainingQuickWin } from '../utils/topicProgress';
 
-const ResultsDisplay = memo(function ResultsDisplay({ analysis, onExport }) {
+const RESULT_TABS = [
+  { id: 'priorities', label: 'Priorities', Icon: ListOrdered },
+  { id: 'analytics', label: 'Marks Analytics', Icon: BarChart3 },
+];
+
+/**
+ * Analysis results: summary, priority matrix, topic cards and syllabus coverage,
+ * with marks analytics in a second tab. `papers` are the
+ * uploaded past papers, used to open a question's PDF at its page.
+ * `onExport(formatId)` is called with one of `exportFormats`. A new
+ * `focusRequest` ({ name, id }) scrolls to and highlights that topic's card.
+ * `onUpdateProgress(name, patch)` makes the per-topic study status editable and
+ * `onStartQuiz(topic)` offers a practice quiz on each card.
+ */
+const ResultsDisplay = memo(function ResultsDisplay({ analysis, onExport, onUpdateTopic, onUpdateProgress, onStartQuiz, isStreaming = false, onStop, papers = [], exportFormats = [], focusRequest = null }) {
+  const [focus, setFocus] = useState({ name: null, requestId: 0 });
+  const [activeTab, setActiveTab] = useState('priorities');
+  const [quickWinsOnly, setQuickWinsOnly] = useState(false);
+
+  // A new focus request shows the topic's card: back to the priorities tab with no filter
+  const [handledFocusRequest, setHandledFocusRequest] = useState(null);
+  if (focusRequest && focusRequest !== handledFocusRequest) {
+    setHandledFocusRequest(focusRequest);
+    setActiveTab('priorities');
+    setQuickWinsOnly(false);
+    setFocus((prev) => ({ name: focusRequest.name, requestId: prev.requestId + 1 }));
+  }
+
+  const questionsByTopic = useMemo(() => {
+    const grouped = new Map();
+    for (const question of analysis?.questions || []) {
+      if (!question.topic) continue;
+      const paper = papers.find(
+        (p) => p.file.name === question.fileName && p.year === question.year && p.term === question.term
+      );
+      const list = grouped.get(question.topic) || [];
+      list.push({ ...question, file: paper?.file ?? null });
+      grouped.set(question.topic, list);
+    }
+    return grouped;
+  }, [analysis, papers]);
+
+  // Keep arrival order while streaming so cards don't jump around
   const sortedTopics = useMemo(() => {
     if (!analysis?.topics) return [];
+    if (isStreaming) return analysis.topics;
     return [...analysis.topics].sort((a, b) => b.confidence - a.confidence);
-  }, [analysis]);
+  }, [analysis, isStreaming]);
 
-  const getPriorityGlow = useCallback((priority) => {
-    if (priority === 'High') return 'glow-red-subtle border-red-900/50';
-    if (priority === 'Medium') return 'glow-amber-subtle border-amber-900/50';
-    return 'glow-emerald-subtle border-emerald-900/50';
-  }, []);
+  const progressByTopic = useMemo(
+    () => new Map((analysis?.topics || []).map((topic) => [topic.name, getTopicProgress(analysis, topic.name)])),
+    [analysis]
+  );
+  const progressSummary = useMemo(() => summarizeProgress(analysis), [analysis]);
 
-  const getPriorityFromConfidence = useCallback((confidence) => {
-    if (confidence >= 80) return 'High';
-    if (confidence >= 60) return 'Medium';
-    return 'Low';
+  const visibleTopics = useMemo(
+    () => (quickWinsOnly && !isStreaming ? sortedTopics.filter((topic) => isRemainingQuickWin(analysis, topic)) : sortedTopics),
+    [quickWinsOnly, isStreaming, sortedTopics, analysis]
+  );
+
+  const handleSelectTopic = useCallback((name) => {
+    setQuickWinsOnly(false);
+    setFocus((prev) => ({ name, requestId: prev.requestId + 1 }));
   }, []);
 
   if (!analysis) return null;
@@ -49,157 +102,195 @@ const ResultsDisplay = memo(function ResultsDisplay({ analysis, onExport }) {
       animate="visible"
       className="space-y-6"
     >
-      {/* Summary Cards */}
-      {analysis.summary && (
+      {analysis.meta?.partial && (
         <motion.div
           variants={itemVariants}
-          className="grid grid-cols-1 md:grid-cols-3 gap-4"
+          className="p-4 rounded-xl border bg-amber-950/30 border-amber-900/50 flex items-center gap-2"
         >
-          <motion.div
-            whileHover={{ scale: 1.01 }}
-            transition={{ duration: 0.2 }}
-            className="glass-card glass-card-hover p-6 text-center"
-          >
-            <div className="text-4xl font-bold text-zinc-100 mb-2">
-              {analysis.summary.totalTopics}
-            </div>
-            <div className="text-sm text-zinc-400">Total Topics</div>
-          </motion.div>
-          <motion.div
-            whileHover={{ scale: 1.01 }}
-            transition={{ duration: 0.2 }}
-            className="glass-card glass-card-hover p-6 text-center glow-red-subtle border-red-900/50"
-          >
-            <div className="text-4xl font-bold text-zinc-100 mb-2">
-              {analysis.summary.highPriorityCount}
-            </div>
-            <div className="text-sm text-zinc-400">High Priority</div>
-          </motion.div>
-          <motion.div
-            whileHover={{ scale: 1.01 }}
-            transition={{ duration: 0.2 }}
-            className="glass-card glass-card-hover p-6 text-center"
-          >
-            <div className="text-4xl font-bold text-zinc-100 mb-2">
-              {analysis.summary.lowEffortHighReward}
-            </div>
-            <div className="text-sm text-zinc-400">Low Effort, High Reward</div>
-          </motion.div>
+          <AlertTriangle className="w-4 h-4 text-amber-400 shrink-0" />
+          <p className="text-sm text-amber-200">
+            Analysis was stopped early. Showing the {analysis.topics.length} topic{analysis.topics.length === 1 ? '' : 's'} received before cancelling.
+          </p>
         </motion.div>
       )}
 
-      {/* Header with Export */}
-      <motion.div
-        variants={itemVariants}
-        className="flex justify-between items-center"
-      >
-        <h3 className="text-2xl font-bold text-zinc-100">Priority List</h3>
-        <motion.button
-          onClick={onExport}
-          whileHover={{ scale: 1.02 }}
-          whileTap={{ scale: 0.98 }}
-          transition={{ duration: 0.2 }}
-          className="secondary-button flex items-center gap-2"
+      {analysis.meta?.fallbackReason && (
+        <motion.div
+          variants={itemVariants}
+          className="p-4 rounded-xl border bg-amber-950/30 border-amber-900/50 flex items-center gap-2"
+          title={analysis.meta.fallbackReason}
         >
-          <Download className="w-4 h-4" />
-          <span className="text-sm font-medium">Export as Markdown</span>
-        </motion.button>
-      </motion.div>
-
-      {/* Priority Grid */}
-      <motion.div
-        variants={containerVariants}
-        className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4"
-      >
-        {sortedTopics.map((topic, index) => {
-          const priority = topic.priority || getPriorityFromConfidence(topic.confidence);
-          const priorityGlow = getPriorityGlow(priority);
-          const isLowEffortHighReward = topic.effort === 'Low' && topic.reward === 'High';
-          
-          return (
-            <motion.div
-              key={`${topic.name}-${index}`}
-              variants={itemVariants}
-              whileHover={{ scale: 1.01, y: -2 }}
-              transition={{ duration: 0.2 }}
+          <WifiOff className="w-4 h-4 text-amber-400 shrink-0" />
+          <p className="text-sm text-amber-200">
+            {analysis.meta.fallbackFrom || 'The AI'} could not be reached, so this result comes from offline keyword matching. Run the analysis again later for an AI result.
+          </p>
+        </motion.div>
+      )}
+
+      {!isStreaming && (
+        <motion.div variants={itemVariants} className="flex gap-1 p-1 bg-white/5 border border-white/10 rounded-full w-fit">
+          {RESULT_TABS.map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => setActiveTab(tab.id)}
               className={`
-                glass-card glass-card-hover p-6 relative overflow-hidden
-                ${priorityGlow}
+                flex items-center gap-2 px-4 py-1.5 rounded-full text-sm transition-colors duration-200
+                ${activeTab === tab.id ? 'bg-white/10 text-zinc-100' : 'text-zinc-400 hover:text-zinc-200'}
               `}
             >
-              {/* Header */}
-              <div className="flex justify-between items-start mb-4">
-                <h4 className="text-lg font-semibold text-zinc-100 pr-2 flex-1">
-                  {topic.name}
-                </h4>
-                <div className="flex flex-col gap-2 items-end">
-                  <span className="px-3 py-1 rounded-full text-xs font-medium bg-white/5 border border-white/10 text-zinc-300">
-                    {topic.confidence}%
-                  </span>
-                  <span className={`px-3 py-1 rounded-full text-xs font-medium border ${priorityGlow} text-zinc-300`}>
-                    {priority} Priority
-                  </span>
-                </div>
-              </div>
-
-              {/* Stats Grid */}
-              <div className="grid grid-cols-2 gap-3 mb-4">
-                <div className="glass-card bg-white/5 p-3 rounded-lg">
-                  <div className="flex items-center gap-2 mb-1">
-                    <Target className="w-4 h-4 text-zinc-500" />
-                    <span className="text-xs text-zinc-500">Effort</span>
-                  </div>
-                  <div className="text-sm font-semibold text-zinc-100">{topic.effort}</div>
+              <tab.Icon className="w-4 h-4" />
+              {tab.label}
+            </button>
+          ))}
+        </motion.div>
+      )}
+
+      {activeTab === 'analytics' && !isStreaming ? (
+        <motion.div variants={itemVariants}>
+          <MarksAnalytics analysis={analysis} />
+        </motion.div>
+      ) : (
+        <>
+          {/* Summary Cards */}
+          {analysis.summary && (
+            <motion.div
+              variants={itemVariants}
+              className="grid grid-cols-1 md:grid-cols-3 gap-4"
+            >
+              <motion.div
+                whileHover={{ scale: 1.01 }}
+                transition={{ duration: 0.2 }}
+                className="glass-card glass-card-hover p-6 text-center"
+              >
+                <div className="text-4xl font-bold text-zinc-100 mb-2">
+                  {analysis.summary.totalTopics}
                 </div>
-                <div className="glass-card bg-white/5 p-3 rounded-lg">
-                  <div className="flex items-center gap-2 mb-1">
-                    <TrendingUp className="w-4 h-4 text-zinc-500" />
-                    <span className="text-xs text-zinc-500">Reward</span>
-                  </div>
-                  <div className="text-sm font-semibold text-zinc-100">{topic.reward}</div>
+                <div className="text-sm text-zinc-400">Total Topics</div>
+              </motion.div>
+              <motion.div
+                whileHover={{ scale: 1.01 }}
+                transition={{ duration: 0.2 }}
+                className="glass-card glass-card-hover p-6 text-center glow-red-subtle border-red-900/50"
+              >
+                <div className="text-4xl font-bold text-zinc-100 mb-2">
+                  {analysis.summary.highPriorityCount}
                 </div>
-                <div className="glass-card bg-white/5 p-3 rounded-lg col-span-2">
-                  <div className="flex items-center gap-2 mb-1">
-                    <Zap className="w-4 h-4 text-zinc-500" />
-                    <span className="text-xs text-zinc-500">Frequency</span>
+                <div className="text-sm text-zinc-400">High Priority</div>
+                {!isStreaming && progressSummary.highPriorityTotal > 0 && (
+                  <div className="mt-3">
+                    <div className="h-1.5 rounded-full bg-white/5 overflow-hidden">
+                      <div
+                        className="h-full rounded-full bg-emerald-500/70 transition-all duration-300"
+                        style={{ width: `${(progressSummary.highPriorityDone / progressSummary.highPriorityTotal) * 100}%` }}
+                      />
+                    </div>
+                    <div className="text-xs text-zinc-500 mt-1.5">
+                      {progressSummary.highPriorityDone}/{progressSummary.highPriorityTotal} done
+                      {progressSummary.needsRevision > 0 && ` · ${progressSummary.needsRevision} to revise`}
+                    </div>
                   </div>
-                  <div className="text-sm font-semibold text-zinc-100">{topic.frequency}x appearances</div>
+                )}
+              </motion.div>
+              <motion.div
+                whileHover={{ scale: 1.01 }}
+                transition={{ duration: 0.2 }}
+                className="glass-card glass-card-hover p-6 text-center"
+              >
+                <div className="text-4xl font-bold text-zinc-100 mb-2">
+                  {analysis.summary.lowEffortHighReward}
                 </div>
-              </div>
+                <div className="text-sm text-zinc-400">Low Effort, High Reward</div>
+              </motion.div>
+            </motion.div>
+          )}
 
-              {/* Low Effort High Reward Badge */}
-              {isLowEffortHighReward && (
-                <div className="mb-3 px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg inline-flex items-center gap-2">
-                  <Zap className="w-3 h-3 text-zinc-300" />
-                  <span className="text-xs font-medium text-zinc-300">Low Effort, High Reward</span>
-                </div>
-              )}
-
-              {/* Key Concepts */}
-              {topic.keyConcepts && topic.keyConcepts.length > 0 && (
-                <div className="mt-4 pt-4 border-t border-white/10">
-                  <span className="text-xs text-zinc-500 mb-2 block">Key Concepts:</span>
-                  <div className="flex flex-wrap gap-2">
-                    {topic.keyConcepts.slice(0, 3).map((concept, idx) => (
-                      <span
-                        key={idx}
-                        className="px-2 py-1 bg-white/5 border border-white/10 text-zinc-300 rounded text-xs"
-                      >
-                        {concept}
-                      </span>
-                    ))}
-                    {topic.keyConcepts.length > 3 && (
-                      <span className="px-2 py-1 text-zinc-500 text-xs">
-                        +{topic.keyConcepts.length - 3} more
-                      </span>
-                    )}
-                  </div>
+          {/* Effort x Reward Matrix */}
+          {!isStreaming && (
+            <motion.div variants={itemVariants}>
+              <PriorityMatrix
+                topics={sortedTopics}
+                selectedTopic={focus.name}
+                onSelectTopic={handleSelectTopic}
+                onMoveTopic={onUpdateTopic}
+              />
+            </motion.div>
+          )}
+
+          {/* Header with Export */}
+          <motion.div
+            variants={itemVariants}
+            className="flex justify-between items-center"
+          >
+            {isStreaming ? (
+              <>
+                <h3 className="text-2xl font-bold text-zinc-100 flex items-center gap-3">
+                  <Loader2 className="w-5 h-5 animate-spin text-zinc-400" />
+                  Receiving topics ({sortedTopics.length})
+                </h3>
+                <motion.button
+                  onClick={onStop}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  transition={{ duration: 0.2 }}
+                  className="secondary-button flex items-center gap-2"
+                >
+                  <Square className="w-4 h-4" />
+                  <span className="text-sm font-medium">Stop and keep these</span>
+                </motion.button>
+              </>
+            ) : (
+              <>
+                <h3 className="text-2xl font-bold text-zinc-100">Priority List</h3>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setQuickWinsOnly((on) => !on)}
+                    aria-pressed={quickWinsOnly}
+                    className={`secondary-button flex items-center gap-2 ${quickWinsOnly ? 'bg-white/15' : ''}`}
+                    title="Only Low Effort, High Reward topics you haven't finished"
+                  >
+                    <Zap className="w-4 h-4" />
+                    <span className="text-sm font-medium">Remaining quick wins ({progressSummary.remainingQuickWins})</span>
+                  </button>
+                  {onExport && <ExportMenu formats={exportFormats} onExport={onExport} />}
                 </div>
-              )}
+              </>
+            )}
+          </motion.div>
+
+          {/* Priority Grid */}
+          <motion.div
+            variants={containerVariants}
+            className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4"
+          >
+            {visibleTopics.map((topic, index) => (
+              <TopicCard
+                key={`${topic.name}-${index}`}
+                topic={topic}
+                variants={itemVariants}
+                focusRequestId={focus.name === topic.name ? focus.requestId : null}
+                questions={questionsByTopic.get(topic.name)}
+                progress={isStreaming ? null : progressByTopic.get(topic.name)}
+                onProgressChange={onUpdateProgress}
+                onStartQuiz={isStreaming ? undefined : onStartQuiz}
+              />
+            ))}
+            {visibleTopics.length === 0 && quickWinsOnly && (
+              <p className="text-sm text-zinc-400 col-span-full">
+                No quick wins left. Every Low Effort, High Reward topic is done.
+              </p>
+            )}
+          </motion.div>
+
+          {/* Syllabus Coverage */}
+          {!isStreaming && (
+            <motion.div variants={itemVariants}>
+              <CoverageReport analysis={analysis} />
             </motion.div>
-          );
-        })}
-      </motion.div>
+          )}
+        </>
+      )}
     </motion.div>
   );
 });
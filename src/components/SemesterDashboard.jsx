@@ -0,0 +1,178 @@
+import { memo, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { LayoutDashboard, ArrowRight, Clock, Library } from 'lucide-react';
+import { buildSemesterDashboard, SEMESTER_TOP_TOPICS } from '../utils/semesterDashboard';
+import { formatCourseLabel } from '../services/courseStore';
+
+const PRIORITY_DOT = {
+  High: 'bg-red-400',
+  Medium: 'bg-amber-400',
+  Low: 'bg-emerald-400',
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 10 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.3, ease: 'easeOut' } },
+};
+
+/**
+ * All subjects of one semester side by side: high-priority counts, estimated
+ * study hours and the top topics across every subject. `entries` are history
+ * records (newest first); each course shows its latest one.
+ * `onOpenSubject(course, topicName?)` opens that subject's results.
+ */
+const SemesterDashboard = memo(function SemesterDashboard({ courses, entries, initialSemester, onOpenSubject }) {
+  const semesters = useMemo(() => [...new Set(courses.map((course) => course.semester))].sort((a, b) => a - b), [courses]);
+  const [selectedSemester, setSemester] = useState(initialSemester);
+  // Falls back to the latest semester when the chosen one has no courses left
+  const semester = semesters.includes(selectedSemester) ? selectedSemester : semesters[semesters.length - 1];
+
+  const dashboard = useMemo(() => {
+    const subjects = courses
+      .filter((course) => course.semester === semester)
+      .map((course) => ({
+        course,
+        analysis: entries.find((entry) => entry.courseId === course.id)?.analysis ?? null,
+      }));
+    return buildSemesterDashboard(subjects);
+  }, [courses, entries, semester]);
+
+  if (courses.length === 0) {
+    return (
+      <div className="glass-card p-8 text-center space-y-2">
+        <Library className="w-6 h-6 text-zinc-500 mx-auto" />
+        <p className="text-zinc-300">No courses yet.</p>
+        <p className="text-sm text-zinc-500">
+          Add your subjects from the Courses menu and analyse each one to compare them here.
+        </p>
+      </div>
+    );
+  }
+
+  const analysedCount = dashboard.subjects.filter((row) => row.analysis).length;
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      variants={{ visible: { transition: { staggerChildren: 0.05 } } }}
+      className="space-y-6"
+    >
+      <motion.div variants={itemVariants} className="flex flex-wrap justify-between items-center gap-3">
+        <h2 className="text-3xl font-bold text-zinc-100 flex items-center gap-3">
+          <LayoutDashboard className="w-7 h-7 text-zinc-400" />
+          Semester {semester}
+        </h2>
+        {semesters.length > 1 && (
+          <select
+            value={semester}
+            onChange={(e) => setSemester(Number(e.target.value))}
+            aria-label="Semester"
+            className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-zinc-100"
+          >
+            {semesters.map((value) => (
+              <option key={value} value={value} className="bg-zinc-900">
+                Semester {value}
+              </option>
+            ))}
+          </select>
+        )}
+      </motion.div>
+
+      {/* Totals */}
+      <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="glass-card p-6 text-center">
+          <div className="text-4xl font-bold text-zinc-100 mb-2">
+            {analysedCount}/{dashboard.subjects.length}
+          </div>
+          <div className="text-sm text-zinc-400">Subjects Analysed</div>
+        </div>
+        <div className="glass-card p-6 text-center glow-red-subtle border-red-900/50">
+          <div className="text-4xl font-bold text-zinc-100 mb-2">{dashboard.totalHighPriority}</div>
+          <div className="text-sm text-zinc-400">High-Priority Topics</div>
+        </div>
+        <div className="glass-card p-6 text-center">
+          <div className="text-4xl font-bold text-zinc-100 mb-2">{dashboard.totalStudyHours}h</div>
+          <div className="text-sm text-zinc-400">
+            Estimated Study Time
+            {dashboard.totalRemainingHours < dashboard.totalStudyHours && ` · ${dashboard.totalRemainingHours}h left`}
+          </div>
+        </div>
+      </motion.div>
+
+      {/* Per subject */}
+      <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {dashboard.subjects.map((row) => (
+          <button
+            key={row.course.id}
+            type="button"
+            onClick={() => onOpenSubject(row.course)}
+            className="glass-card glass-card-hover p-5 text-left space-y-3"
+          >
+            <div className="flex justify-between items-start gap-2">
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-zinc-100 truncate">{formatCourseLabel(row.course)}</p>
+                {row.course.branch && <p className="text-xs text-zinc-500">{row.course.branch}</p>}
+              </div>
+              <ArrowRight className="w-4 h-4 text-zinc-500 shrink-0" />
+            </div>
+            {row.analysis ? (
+              <div className="grid grid-cols-3 gap-2 text-center">
+                <div>
+                  <p className="text-xl font-bold text-red-300">{row.highPriority}</p>
+                  <p className="text-[11px] text-zinc-500">High priority</p>
+                </div>
+                <div>
+                  <p className="text-xl font-bold text-zinc-100">{row.totalTopics}</p>
+                  <p className="text-[11px] text-zinc-500">Topics</p>
+                </div>
+                <div>
+                  <p className="text-xl font-bold text-zinc-100">{row.remainingHours}h</p>
+                  <p className="text-[11px] text-zinc-500">
+                    {row.remainingHours < row.studyHours ? `of ${row.studyHours}h left` : 'Study time'}
+                  </p>
+                </div>
+              </div>
+            ) : (
+              <p className="text-xs text-zinc-500">Not analysed yet. Open it to upload the syllabus and papers.</p>
+            )}
+          </button>
+        ))}
+      </motion.div>
+
+      {/* Combined priority list */}
+      {dashboard.topTopics.length > 0 && (
+        <motion.div variants={itemVariants} className="glass-card p-6">
+          <h3 className="text-2xl font-bold text-zinc-100 mb-4">Top {SEMESTER_TOP_TOPICS} Topics This Semester</h3>
+          <ol className="divide-y divide-white/5">
+            {dashboard.topTopics.map(({ course, topic }, index) => (
+              <li key={`${course.id}-${topic.name}`}>
+                <button
+                  type="button"
+                  onClick={() => onOpenSubject(course, topic.name)}
+                  className="w-full flex items-center gap-3 py-2.5 px-2 rounded-lg text-left hover:bg-white/5 transition-colors duration-200"
+                >
+                  <span className="w-6 text-right text-xs text-zinc-500">{index + 1}</span>
+                  <span className={`w-2 h-2 rounded-full shrink-0 ${PRIORITY_DOT[topic.priority] || PRIORITY_DOT.Low}`} />
+                  <span className="flex-1 min-w-0 text-sm text-zinc-200 truncate" title={topic.name}>
+                    {topic.name}
+                  </span>
+                  <span className="px-2 py-0.5 bg-white/5 border border-white/10 rounded text-xs text-zinc-400">
+                    {course.code}
+                  </span>
+                  <span className="hidden sm:flex items-center gap-1 text-xs text-zinc-500 w-20">
+                    <Clock className="w-3 h-3" />
+                    {topic.effort} effort
+                  </span>
+                  <span className="w-10 text-right text-sm font-semibold text-zinc-100">{topic.confidence}%</span>
+                </button>
+              </li>
+            ))}
+          </ol>
+        </motion.div>
+      )}
+    </motion.div>
+  );
+});
+
+export default SemesterDashboard;
@@ -0,0 +1,287 @@
+import { memo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ChevronDown, ChevronUp, Eye, EyeOff, KeyRound, Cpu, Layers, RotateCcw, Save, Settings, SlidersHorizontal, X } from 'lucide-react';
+import { ANALYSIS_DEPTHS } from '../services/geminiService';
+import { DEFAULT_SETTINGS, SETTING_LIMITS } from '../services/settingsStore';
+
+const inputClass = 'w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-zinc-100 placeholder:text-zinc-600';
+
+/** Every provider model, the chosen ones first in their order; no choice means all, in the provider's order. */
+function modelRows(models, chosen) {
+  if (!chosen.length) return models.map((model) => ({ ...model, enabled: true }));
+  const enabled = chosen.map((name) => models.find((model) => model.name === name)).filter(Boolean);
+  const rest = models.filter((model) => !chosen.includes(model.name));
+  return [...enabled.map((model) => ({ ...model, enabled: true })), ...rest.map((model) => ({ ...model, enabled: false }))];
+}
+
+/** The enabled names in order, or none when that is just the provider's own order. */
+function chosenModels(rows, models) {
+  const names = rows.filter((row) => row.enabled).map((row) => row.name);
+  const isDefault = names.length === models.length && names.every((name, index) => name === models[index].name);
+  return isDefault ? [] : names;
+}
+
+function Section({ icon: Icon, title, children }) {
+  return (
+    <section className="space-y-3">
+      <div className="flex items-center gap-2">
+        <Icon className="w-4 h-4 text-zinc-400" />
+        <h3 className="text-sm font-semibold text-zinc-200">{title}</h3>
+      </div>
+      {children}
+    </section>
+  );
+}
+
+function NumberField({ label, name, value, onChange }) {
+  const { min, max, step } = SETTING_LIMITS[name];
+  return (
+    <label className="text-xs text-zinc-500 space-y-1">
+      <span className="block">{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(name, e.target.value)}
+        className={inputClass}
+      />
+    </label>
+  );
+}
+
+/** The form, mounted each time the drawer opens so it starts from the saved settings. */
+function SettingsForm({ settings, models, serverMode, onSave, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [rows, setRows] = useState(() => modelRows(models, settings.models));
+  const [showKey, setShowKey] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (name, value) => setDraft((current) => ({ ...current, [name]: value }));
+  const enabledCount = rows.filter((row) => row.enabled).length;
+
+  const toggleModel = (index) =>
+    setRows((current) => current.map((row, i) => (i === index ? { ...row, enabled: !row.enabled } : row)));
+
+  const moveModel = (index, offset) =>
+    setRows((current) => {
+      const next = [...current];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+
+  // The key is kept; only the tuning goes back to the defaults
+  const handleReset = () => {
+    setDraft((current) => ({ ...DEFAULT_SETTINGS, apiKey: current.apiKey }));
+    setRows(modelRows(models, []));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSave({ ...draft, models: chosenModels(rows, models) });
+      onClose();
+    } catch (err) {
+      console.warn('Could not save settings:', err);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex-1 flex flex-col min-h-0">
+      <fieldset disabled={serverMode} className="flex-1 overflow-y-auto px-6 py-5 space-y-6 disabled:opacity-60">
+        {serverMode && (
+          <p className="text-xs text-zinc-400 p-3 rounded-lg border border-white/10 bg-white/5">
+            Analyses run on the API server (VITE_API_URL), which uses its own key, models and settings.
+          </p>
+        )}
+
+        <Section icon={KeyRound} title="API key">
+          <div className="flex gap-2">
+            <input
+              type={showKey ? 'text' : 'password'}
+              value={draft.apiKey}
+              onChange={(e) => update('apiKey', e.target.value)}
+              placeholder="Uses VITE_GEMINI_API_KEY when empty"
+              autoComplete="off"
+              spellCheck={false}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => setShowKey((shown) => !shown)}
+              aria-label={showKey ? 'Hide API key' : 'Show API key'}
+              className="p-2 hover:bg-white/10 rounded-lg transition-colors duration-200"
+            >
+              {showKey ? <EyeOff className="w-4 h-4 text-zinc-400" /> : <Eye className="w-4 h-4 text-zinc-400" />}
+            </button>
+            {draft.apiKey && (
+              <button
+                type="button"
+                onClick={() => update('apiKey', '')}
+                aria-label="Clear API key"
+                className="p-2 hover:bg-white/10 rounded-lg transition-colors duration-200"
+              >
+                <X className="w-4 h-4 text-zinc-400" />
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-zinc-500">Stored only in this browser and sent only to the AI provider, never to anyone else.</p>
+        </Section>
+
+        <Section icon={Cpu} title="Models">
+          <p className="text-xs text-zinc-500">Tried from the top; the next one is used when a model is overloaded.</p>
+          <ul className="space-y-1">
+            {rows.map((row, index) => (
+              <li key={row.name} className="flex items-center gap-2 px-3 py-2 rounded-lg border border-white/10">
+                <label className="flex-1 flex items-center gap-2 text-sm text-zinc-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={row.enabled}
+                    disabled={row.enabled && enabledCount === 1}
+                    onChange={() => toggleModel(index)}
+                    className="accent-indigo-500"
+                  />
+                  <span className={row.enabled ? '' : 'text-zinc-500'}>{row.label}</span>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => moveModel(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${row.label} up`}
+                  className="p-1 hover:bg-white/10 rounded disabled:opacity-30"
+                >
+                  <ChevronUp className="w-4 h-4 text-zinc-400" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveModel(index, 1)}
+                  disabled={index === rows.length - 1}
+                  aria-label={`Move ${row.label} down`}
+                  className="p-1 hover:bg-white/10 rounded disabled:opacity-30"
+                >
+                  <ChevronDown className="w-4 h-4 text-zinc-400" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </Section>
+
+        <Section icon={Layers} title="Analysis depth">
+          <div className="space-y-1">
+            {ANALYSIS_DEPTHS.map((depth) => (
+              <label
+                key={depth.id}
+                className={`flex items-start gap-2 px-3 py-2 rounded-lg border border-white/10 cursor-pointer transition-colors duration-200 ${
+                  draft.depth === depth.id ? 'bg-white/10' : 'hover:bg-white/5'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="depth"
+                  checked={draft.depth === depth.id}
+                  onChange={() => update('depth', depth.id)}
+                  className="accent-indigo-500 mt-1"
+                />
+                <span>
+                  <span className="block text-sm text-zinc-200">{depth.label}</span>
+                  <span className="block text-xs text-zinc-500">{depth.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </Section>
+
+        <Section icon={SlidersHorizontal} title="Generation">
+          <label className="block text-xs text-zinc-500 space-y-1">
+            <span className="flex justify-between">
+              <span>Temperature</span>
+              <span className="text-zinc-300">{Number(draft.temperature).toFixed(1)}</span>
+            </span>
+            <input
+              type="range"
+              {...SETTING_LIMITS.temperature}
+              value={draft.temperature}
+              onChange={(e) => update('temperature', Number(e.target.value))}
+              className="w-full accent-indigo-500"
+            />
+          </label>
+          <div className="grid grid-cols-3 gap-3">
+            <NumberField label="Output tokens" name="maxOutputTokens" value={draft.maxOutputTokens} onChange={update} />
+            <NumberField label="Timeout (s)" name="requestTimeoutSec" value={draft.requestTimeoutSec} onChange={update} />
+            <NumberField label="Attempts" name="maxRetries" value={draft.maxRetries} onChange={update} />
+          </div>
+          <p className="text-xs text-zinc-500">Attempts is how often an overloaded model is tried before moving on to the next.</p>
+        </Section>
+      </fieldset>
+
+      <div className="flex justify-between gap-2 px-6 py-4 border-t border-white/10">
+        <button type="button" onClick={handleReset} disabled={serverMode} className="secondary-button text-sm flex items-center gap-2 disabled:opacity-50">
+          <RotateCcw className="w-4 h-4" />
+          Reset to defaults
+        </button>
+        <button type="submit" disabled={serverMode || isSaving} className="secondary-button text-sm flex items-center gap-2 disabled:opacity-50">
+          <Save className="w-4 h-4" />
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Drawer for the user's own API key, model order, generation parameters and
+ * analysis depth. `models` are all of the provider's models, in its default order.
+ * @param {{
+ *   isOpen: boolean,
+ *   onClose: () => void,
+ *   settings: object,
+ *   models: Array<{ name: string, label: string }>,
+ *   serverMode?: boolean,
+ *   onSave: (settings: object) => Promise<void>,
+ * }} props
+ */
+const SettingsDrawer = memo(function SettingsDrawer({ isOpen, onClose, settings, models, serverMode = false, onSave }) {
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/50 z-[60]"
+          />
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ duration: 0.25, ease: 'easeOut' }}
+            className="fixed top-0 right-0 bottom-0 w-full max-w-sm z-[70] bg-zinc-950/95 border-l border-white/10 backdrop-blur-md flex flex-col"
+          >
+            <div className="flex items-center justify-between px-6 py-5 border-b border-white/10">
+              <div className="flex items-center gap-2">
+                <Settings className="w-5 h-5 text-zinc-300" />
+                <h2 className="text-lg font-semibold text-zinc-100">Settings</h2>
+              </div>
+              <button
+                type="button"
+                onClick={onClose}
+                aria-label="Close settings"
+                className="p-2 hover:bg-white/10 rounded-lg transition-colors duration-200"
+              >
+                <X className="w-5 h-5 text-zinc-400" />
+              </button>
+            </div>
+            <SettingsForm settings={settings} models={models} serverMode={serverMode} onSave={onSave} onClose={onClose} />
+          </motion.aside>
+        </>
+      )}
+    </AnimatePresence>
+  );
+});
+
+export default SettingsDrawer;
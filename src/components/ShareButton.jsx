@@ -0,0 +1,112 @@
+import { memo, useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Share2, Check, FileDown, Loader2, Link2, AlertTriangle, X } from 'lucide-react';
+import { createShareLink, downloadShareFile } from '../services/analysisShare';
+
+const STATUS_RESET_MS = 4000;
+
+const STATUS_LABELS = {
+  working: 'Preparing link...',
+  copied: 'Link copied',
+  manual: 'Copy the link below',
+  file: 'Too big for a link, share file downloaded',
+  error: 'Could not share',
+};
+
+/**
+ * Copies a link that opens the analysis read-only. Falls back to a
+ * downloadable share file when the analysis doesn't fit in a URL, and shows
+ * the link to copy by hand when the clipboard is blocked.
+ * @param {{ analysis: object, basename?: string }} props
+ */
+const ShareButton = memo(function ShareButton({ analysis, basename }) {
+  // `detail` is the link for 'manual' and the message for 'error'
+  const [status, setStatus] = useState(null);
+  const [detail, setDetail] = useState('');
+
+  useEffect(() => {
+    if (status !== 'copied' && status !== 'file' && status !== 'error') return undefined;
+    const timer = setTimeout(() => setStatus(null), STATUS_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleShare = async () => {
+    setStatus('working');
+    try {
+      const { url, tooLong } = await createShareLink(analysis);
+      if (tooLong) {
+        downloadShareFile(analysis, basename);
+        setStatus('file');
+        return;
+      }
+      try {
+        await navigator.clipboard.writeText(url);
+        setStatus('copied');
+      } catch {
+        // Clipboard can be blocked (e.g. insecure origin); let the user copy it by hand
+        setDetail(url);
+        setStatus('manual');
+      }
+    } catch (err) {
+      console.error('Share failed:', err);
+      setDetail(`Could not create a share link: ${err.message}`);
+      setStatus('error');
+    }
+  };
+
+  const Icon = { working: Loader2, copied: Check, manual: Link2, file: FileDown, error: AlertTriangle }[status] || Share2;
+
+  return (
+    <div className="relative">
+      <motion.button
+        onClick={handleShare}
+        disabled={status === 'working'}
+        whileHover={{ scale: 1.02 }}
+        whileTap={{ scale: 0.98 }}
+        transition={{ duration: 0.2 }}
+        className="secondary-button flex items-center gap-2"
+        title="Copy a link that opens this analysis read-only"
+      >
+        <Icon className={`w-4 h-4 ${status === 'working' ? 'animate-spin' : ''} ${status === 'error' ? 'text-red-400' : ''}`} />
+        <span className="text-sm font-medium">{STATUS_LABELS[status] || 'Share'}</span>
+      </motion.button>
+
+      <AnimatePresence>
+        {(status === 'manual' || status === 'error') && (
+          <motion.div
+            role={status === 'error' ? 'alert' : undefined}
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-80 z-20 glass-card bg-zinc-900/95 p-3 flex items-start gap-2"
+          >
+            {status === 'manual' ? (
+              <input
+                type="text"
+                readOnly
+                value={detail}
+                autoFocus
+                onFocus={(e) => e.target.select()}
+                aria-label="Link to share the analysis"
+                className="flex-1 min-w-0 bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-xs text-zinc-100"
+              />
+            ) : (
+              <p className="flex-1 text-xs text-red-300">{detail}</p>
+            )}
+            <button
+              type="button"
+              onClick={() => setStatus(null)}
+              aria-label="Dismiss"
+              className="p-1 hover:bg-white/10 rounded transition-colors duration-200"
+            >
+              <X className="w-4 h-4 text-zinc-400" />
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+});
+
+export default ShareButton;
@@ -0,0 +1,283 @@
+import { memo, useMemo, useState, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { CalendarDays, CheckCircle2, Circle, RotateCcw, AlertTriangle } from 'lucide-react';
+import { buildStudyPlan, toDateKey, fromDateKey, addDays, isDateKey, MAX_PLAN_DAYS } from '../utils/studyPlanner';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const DEFAULT_SETTINGS = { examDate: '', hoursPerDay: 4, completedTopics: [], skippedDates: [] };
+
+const formatDay = (key) =>
+  fromDateKey(key).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'short' });
+
+/**
+ * Monday-to-Sunday weeks covering every day from `start` to `end` (inclusive).
+ */
+function calendarWeeks(start, end) {
+  const first = fromDateKey(start);
+  let cursor = addDays(start, -((first.getDay() + 6) % 7));
+  const weeks = [];
+  while (cursor <= end) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(cursor);
+      cursor = addDays(cursor, 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+/**
+ * Day-by-day revision schedule built from the analysis topics. Settings
+ * (exam date, hours, done topics, skipped days) live on `analysis.studyPlan`
+ * and are saved through `onChange`.
+ */
+const StudyPlanner = memo(function StudyPlanner({ topics, settings, onChange }) {
+  const plan = useMemo(() => ({ ...DEFAULT_SETTINGS, ...settings }), [settings]);
+  const today = toDateKey(new Date());
+  const [selectedDate, setSelectedDate] = useState(today);
+  const lastExamDate = addDays(today, MAX_PLAN_DAYS);
+
+  // A typed-in date can be partial or years away; only plan for real dates within reach
+  const dateProblem = !plan.examDate
+    ? null
+    : !isDateKey(plan.examDate)
+      ? 'That exam date is not a valid date.'
+      : plan.examDate > lastExamDate
+        ? `Plans cover at most ${MAX_PLAN_DAYS} days. Pick an exam date on or before ${formatDay(lastExamDate)}.`
+        : null;
+
+  const schedule = useMemo(() => {
+    if (!plan.examDate || dateProblem || plan.examDate <= today) return null;
+    return buildStudyPlan({
+      topics,
+      examDate: plan.examDate,
+      hoursPerDay: plan.hoursPerDay,
+      startDate: today,
+      completedTopics: plan.completedTopics,
+      skippedDates: plan.skippedDates,
+    });
+  }, [topics, plan.examDate, plan.hoursPerDay, plan.completedTopics, plan.skippedDates, today, dateProblem]);
+
+  const daysByDate = useMemo(
+    () => new Map((schedule?.days || []).map((day) => [day.date, day])),
+    [schedule]
+  );
+
+  const update = useCallback((patch) => onChange({ ...plan, ...patch }), [plan, onChange]);
+
+  const toggleDone = useCallback(
+    (topicName) => {
+      const completed = plan.completedTopics.includes(topicName)
+        ? plan.completedTopics.filter((name) => name !== topicName)
+        : [...plan.completedTopics, topicName];
+      update({ completedTopics: completed });
+    },
+    [plan.completedTopics, update]
+  );
+
+  const toggleSkipped = useCallback(
+    (date) => {
+      const skipped = plan.skippedDates.includes(date)
+        ? plan.skippedDates.filter((d) => d !== date)
+        : [...plan.skippedDates, date];
+      update({ skippedDates: skipped });
+    },
+    [plan.skippedDates, update]
+  );
+
+  const selectedDay = daysByDate.get(selectedDate);
+
+  return (
+    <motion.aside
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      transition={{ duration: 0.3 }}
+      className="glass-card p-6 space-y-5 self-start xl:sticky xl:top-6"
+    >
+      <div className="flex items-center gap-2">
+        <CalendarDays className="w-5 h-5 text-zinc-300" />
+        <h3 className="text-xl font-bold text-zinc-100">Study Planner</h3>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <label className="text-xs text-zinc-500 space-y-1">
+          <span className="block">Exam date</span>
+          <input
+            type="date"
+            min={addDays(today, 1)}
+            max={lastExamDate}
+            value={plan.examDate}
+            onChange={(e) => update({ examDate: e.target.value })}
+            className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-zinc-100 [color-scheme:dark]"
+          />
+        </label>
+        <label className="text-xs text-zinc-500 space-y-1">
+          <span className="block">Hours per day</span>
+          <input
+            type="number"
+            min="0.5"
+            max="16"
+            step="0.5"
+            value={plan.hoursPerDay}
+            onChange={(e) => update({ hoursPerDay: Math.max(0, Number(e.target.value) || 0) })}
+            className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-zinc-100"
+          />
+        </label>
+      </div>
+
+      {dateProblem ? (
+        <div className="p-3 rounded-lg border bg-amber-950/30 border-amber-900/50 flex gap-2">
+          <AlertTriangle className="w-4 h-4 text-amber-400 shrink-0 mt-0.5" />
+          <p className="text-xs text-amber-200">{dateProblem}</p>
+        </div>
+      ) : !schedule ? (
+        <p className="text-sm text-zinc-500">
+          Pick your exam date to get a day-by-day plan. Quick wins come first, with short revision slots 1, 3 and 7 days after each topic.
+        </p>
+      ) : (
+        <>
+          <p className="text-xs text-zinc-400">
+            {schedule.days.length} day{schedule.days.length === 1 ? '' : 's'} left · {schedule.totalStudyHours} h of study · {plan.completedTopics.length} topic{plan.completedTopics.length === 1 ? '' : 's'} done
+          </p>
+
+          {schedule.unscheduled.length > 0 && (
+            <div className="p-3 rounded-lg border bg-amber-950/30 border-amber-900/50 flex gap-2">
+              <AlertTriangle className="w-4 h-4 text-amber-400 shrink-0 mt-0.5" />
+              <p className="text-xs text-amber-200">
+                Not enough time for {schedule.unscheduled.length} topic{schedule.unscheduled.length === 1 ? '' : 's'} ({schedule.unscheduled.slice(0, 3).join(', ')}{schedule.unscheduled.length > 3 ? '…' : ''}). Add hours per day or mark topics done.
+              </p>
+            </div>
+          )}
+
+          {/* Calendar */}
+          <div>
+            <div className="grid grid-cols-7 gap-1 mb-1">
+              {WEEKDAYS.map((day) => (
+                <div key={day} className="text-center text-[10px] uppercase text-zinc-600">{day}</div>
+              ))}
+            </div>
+            <div className="grid grid-cols-7 gap-1">
+              {calendarWeeks(today, plan.examDate).flat().map((date) => {
+                const day = daysByDate.get(date);
+                const isExam = date === plan.examDate;
+                const load = day && plan.hoursPerDay > 0 ? day.totalHours / plan.hoursPerDay : 0;
+                const isSelected = date === selectedDate;
+                const dayOfMonth = fromDateKey(date).getDate();
+                return (
+                  <button
+                    key={date}
+                    type="button"
+                    disabled={!day && !isExam}
+                    onClick={() => setSelectedDate(date)}
+                    title={day ? `${day.totalHours} h planned` : undefined}
+                    className={`
+                      aspect-square rounded-md text-xs flex flex-col items-center justify-center transition-colors duration-200
+                      ${isExam ? 'bg-red-900/40 border border-red-800/60 text-red-200 font-semibold' : ''}
+                      ${day?.skipped ? 'bg-white/5 text-zinc-600 line-through' : ''}
+                      ${day && !day.skipped ? 'bg-white/5 hover:bg-white/10 text-zinc-200' : ''}
+                      ${!day && !isExam ? 'text-zinc-700' : ''}
+                      ${isSelected ? 'ring-2 ring-indigo-400/70' : ''}
+                    `}
+                  >
+                    <span>{dayOfMonth === 1 ? fromDateKey(date).toLocaleDateString(undefined, { month: 'short' }) : dayOfMonth}</span>
+                    {day && !day.skipped && day.totalHours > 0 && (
+                      <span
+                        className="mt-0.5 h-1 rounded-full bg-indigo-400"
+                        style={{ width: `${Math.max(20, Math.min(100, load * 100))}%` }}
+                      />
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Selected day */}
+          {selectedDate === plan.examDate ? (
+            <p className="text-sm text-red-300">Exam day. Good luck!</p>
+          ) : selectedDay ? (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h4 className="text-sm font-semibold text-zinc-100">{formatDay(selectedDay.date)}</h4>
+                <button
+                  type="button"
+                  onClick={() => toggleSkipped(selectedDay.date)}
+                  className="text-xs text-zinc-400 hover:text-zinc-100 flex items-center gap-1"
+                >
+                  {selectedDay.skipped ? (
+                    <>
+                      <RotateCcw className="w-3 h-3" /> Undo missed day
+                    </>
+                  ) : (
+                    'I missed this day'
+                  )}
+                </button>
+              </div>
+              {selectedDay.skipped ? (
+                <p className="text-xs text-zinc-500">Skipped. Its work has moved to the following days.</p>
+              ) : selectedDay.sessions.length === 0 ? (
+                <p className="text-xs text-zinc-500">Nothing planned. A free day before the exam!</p>
+              ) : (
+                <ul className="space-y-2">
+                  {selectedDay.sessions.map((session, index) => {
+                    const isDone = plan.completedTopics.includes(session.topic);
+                    return (
+                      <li key={`${session.topic}-${session.kind}-${index}`} className="flex items-center gap-2 text-sm">
+                        <button
+                          type="button"
+                          onClick={() => toggleDone(session.topic)}
+                          aria-label={isDone ? `Mark ${session.topic} not done` : `Mark ${session.topic} done`}
+                          className="shrink-0"
+                        >
+                          {isDone ? (
+                            <CheckCircle2 className="w-4 h-4 text-emerald-400" />
+                          ) : (
+                            <Circle className="w-4 h-4 text-zinc-500 hover:text-zinc-300" />
+                          )}
+                        </button>
+                        <span className="flex-1 text-zinc-200 truncate" title={session.topic}>{session.topic}</span>
+                        <span
+                          className={`px-2 py-0.5 rounded text-[10px] font-medium border ${
+                            session.kind === 'revision'
+                              ? 'bg-indigo-900/30 border-indigo-800/50 text-indigo-200'
+                              : 'bg-white/5 border-white/10 text-zinc-300'
+                          }`}
+                        >
+                          {session.kind === 'revision' ? 'Revise' : 'Study'}
+                        </span>
+                        <span className="text-xs text-zinc-500 w-10 text-right">{session.hours} h</span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          ) : null}
+
+          {plan.completedTopics.length > 0 && (
+            <div className="pt-4 border-t border-white/10">
+              <span className="text-xs text-zinc-500 mb-2 block">Done</span>
+              <div className="flex flex-wrap gap-2">
+                {plan.completedTopics.map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => toggleDone(name)}
+                    title="Mark as not done"
+                    className="px-2 py-1 bg-emerald-900/20 border border-emerald-900/50 text-emerald-200 rounded text-xs line-through"
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </motion.aside>
+  );
+});
+
+export default StudyPlanner;
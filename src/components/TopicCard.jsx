@@ -0,0 +1,269 @@
+import { memo, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { TrendingUp, Target, Zap, ChevronDown, FileText, Star, GraduationCap } from 'lucide-react';
+import { formatAppearance, sortAppearances } from '../utils/paperTags';
+import { priorityFromConfidence } from '../utils/analysisSchema';
+import { TOPIC_STATUSES, MAX_SELF_CONFIDENCE } from '../utils/topicProgress';
+
+const STATUS_STYLES = {
+  'not-started': 'bg-white/10 text-zinc-200',
+  studying: 'bg-indigo-500/20 text-indigo-200',
+  done: 'bg-emerald-500/20 text-emerald-200',
+  'needs-revision': 'bg-amber-500/20 text-amber-200',
+};
+
+const getPriorityGlow = (priority) => {
+  if (priority === 'High') return 'glow-red-subtle border-red-900/50';
+  if (priority === 'Medium') return 'glow-amber-subtle border-amber-900/50';
+  return 'glow-emerald-subtle border-emerald-900/50';
+};
+
+/**
+ * Open an uploaded PDF in a new tab at the given page.
+ */
+function openPdfAtPage(file, page) {
+  const url = URL.createObjectURL(file);
+  window.open(`${url}#page=${page}`, '_blank', 'noopener');
+  // The new tab has loaded the blob by then
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * A single topic in the priority list. A non-null `focusRequestId` highlights
+ * the card and scrolls it into view each time the id changes (used when a
+ * topic is picked in the priority matrix). `questions` are the past questions
+ * mapped to the topic; those with a `file` get a "view in PDF" link.
+ * `progress` is the user's status and self-rated confidence, edited through
+ * `onProgressChange(name, patch)`; without it the status is shown read-only.
+ * `onStartQuiz(topic)` adds a button that opens a practice quiz.
+ */
+const TopicCard = memo(function TopicCard({ topic, variants, focusRequestId = null, questions = [], progress = null, onProgressChange, onStartQuiz }) {
+  const cardRef = useRef(null);
+  const [showQuestions, setShowQuestions] = useState(false);
+  const priority = topic.priority || priorityFromConfidence(topic.confidence);
+  const priorityGlow = getPriorityGlow(priority);
+  const isLowEffortHighReward = topic.effort === 'Low' && topic.reward === 'High';
+  const appearances = sortAppearances(topic.appearances);
+  const isFocused = focusRequestId !== null;
+
+  useEffect(() => {
+    if (focusRequestId !== null) {
+      cardRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focusRequestId]);
+
+  return (
+    <motion.div
+      ref={cardRef}
+      variants={variants}
+      whileHover={{ scale: 1.01, y: -2 }}
+      transition={{ duration: 0.2 }}
+      className={`
+        glass-card glass-card-hover p-6 relative overflow-hidden
+        ${priorityGlow}
+        ${isFocused ? 'ring-2 ring-indigo-400/70' : ''}
+      `}
+    >
+      {/* Header */}
+      <div className="flex justify-between items-start mb-4">
+        <h4 className="text-lg font-semibold text-zinc-100 pr-2 flex-1">
+          {topic.name}
+        </h4>
+        <div className="flex flex-col gap-2 items-end">
+          <span className="px-3 py-1 rounded-full text-xs font-medium bg-white/5 border border-white/10 text-zinc-300">
+            {topic.confidence}%
+          </span>
+          <span className={`px-3 py-1 rounded-full text-xs font-medium border ${priorityGlow} text-zinc-300`}>
+            {priority} Priority
+          </span>
+        </div>
+      </div>
+
+      {/* Stats Grid */}
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div className="glass-card bg-white/5 p-3 rounded-lg">
+          <div className="flex items-center gap-2 mb-1">
+            <Target className="w-4 h-4 text-zinc-500" />
+            <span className="text-xs text-zinc-500">Effort</span>
+          </div>
+          <div className="text-sm font-semibold text-zinc-100">{topic.effort}</div>
+        </div>
+        <div className="glass-card bg-white/5 p-3 rounded-lg">
+          <div className="flex items-center gap-2 mb-1">
+            <TrendingUp className="w-4 h-4 text-zinc-500" />
+            <span className="text-xs text-zinc-500">Reward</span>
+          </div>
+          <div className="text-sm font-semibold text-zinc-100">{topic.reward}</div>
+        </div>
+        <div className="glass-card bg-white/5 p-3 rounded-lg col-span-2">
+          <div className="flex items-center gap-2 mb-1">
+            <Zap className="w-4 h-4 text-zinc-500" />
+            <span className="text-xs text-zinc-500">
+              {appearances.length > 0 ? `Appeared in (${appearances.length}x)` : 'Frequency'}
+            </span>
+          </div>
+          {appearances.length > 0 ? (
+            <div className="flex flex-wrap gap-1.5">
+              {appearances.map((appearance, idx) => (
+                <span
+                  key={idx}
+                  className="px-2 py-0.5 bg-white/5 border border-white/10 text-zinc-200 rounded text-xs"
+                >
+                  {formatAppearance(appearance)}
+                </span>
+              ))}
+            </div>
+          ) : (
+            <div className="text-sm font-semibold text-zinc-100">{topic.frequency}x appearances</div>
+          )}
+        </div>
+      </div>
+
+      {topic.aiRating && (
+        <p className="mb-3 text-xs text-zinc-500">
+          Rated by you · AI said {topic.aiRating.effort} effort, {topic.aiRating.reward} reward
+        </p>
+      )}
+
+      {/* Low Effort High Reward Badge */}
+      {isLowEffortHighReward && (
+        <div className="mb-3 px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg inline-flex items-center gap-2">
+          <Zap className="w-3 h-3 text-zinc-300" />
+          <span className="text-xs font-medium text-zinc-300">Low Effort, High Reward</span>
+        </div>
+      )}
+
+      {/* Progress */}
+      {progress && (onProgressChange || progress.status !== 'not-started') && (
+        <div className="mb-3 space-y-2">
+          {onProgressChange ? (
+            <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Study status">
+              {TOPIC_STATUSES.map((status) => (
+                <button
+                  key={status.id}
+                  type="button"
+                  role="radio"
+                  aria-checked={progress.status === status.id}
+                  onClick={() => onProgressChange(topic.name, { status: status.id })}
+                  className={`
+                    px-2 py-0.5 rounded-full text-[11px] transition-colors duration-200
+                    ${progress.status === status.id ? STATUS_STYLES[status.id] : 'text-zinc-500 hover:text-zinc-300'}
+                  `}
+                >
+                  {status.label}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <span className={`px-2 py-0.5 rounded-full text-[11px] ${STATUS_STYLES[progress.status]}`}>
+              {TOPIC_STATUSES.find((status) => status.id === progress.status)?.label}
+            </span>
+          )}
+          {onProgressChange && (
+            <div className="flex items-center gap-1">
+              <span className="text-[11px] text-zinc-500 mr-1">My confidence</span>
+              {Array.from({ length: MAX_SELF_CONFIDENCE }, (_, i) => i + 1).map((value) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() =>
+                    onProgressChange(topic.name, { selfConfidence: progress.selfConfidence === value ? null : value })
+                  }
+                  aria-label={`Rate my confidence ${value} of ${MAX_SELF_CONFIDENCE}`}
+                  aria-pressed={progress.selfConfidence === value}
+                  className="p-0.5"
+                >
+                  <Star
+                    className={`w-3.5 h-3.5 ${
+                      progress.selfConfidence >= value ? 'fill-amber-300 text-amber-300' : 'text-zinc-600 hover:text-zinc-400'
+                    }`}
+                  />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Practice */}
+      {onStartQuiz && (
+        <div className="mb-3 flex items-center gap-3">
+          <button
+            type="button"
+            onClick={() => onStartQuiz(topic)}
+            className="flex items-center gap-1.5 text-xs text-indigo-300 hover:text-indigo-200 transition-colors duration-200"
+          >
+            <GraduationCap className="w-3.5 h-3.5" />
+            Practice quiz
+          </button>
+          {progress?.lastQuiz && <span className="text-[11px] text-zinc-500">Last score {progress.lastQuiz.percent}%</span>}
+        </div>
+      )}
+
+      {/* Key Concepts */}
+      {topic.keyConcepts && topic.keyConcepts.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-white/10">
+          <span className="text-xs text-zinc-500 mb-2 block">Key Concepts:</span>
+          <div className="flex flex-wrap gap-2">
+            {topic.keyConcepts.slice(0, 3).map((concept, idx) => (
+              <span
+                key={idx}
+                className="px-2 py-1 bg-white/5 border border-white/10 text-zinc-300 rounded text-xs"
+              >
+                {concept}
+              </span>
+            ))}
+            {topic.keyConcepts.length > 3 && (
+              <span className="px-2 py-1 text-zinc-500 text-xs">
+                +{topic.keyConcepts.length - 3} more
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Past Questions */}
+      {questions.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={() => setShowQuestions((open) => !open)}
+            className="flex items-center gap-1 text-xs text-zinc-400 hover:text-zinc-100 transition-colors duration-200"
+          >
+            <ChevronDown className={`w-3 h-3 transition-transform duration-200 ${showQuestions ? 'rotate-180' : ''}`} />
+            {showQuestions ? 'Hide' : 'Show'} {questions.length} past question{questions.length === 1 ? '' : 's'}
+          </button>
+          {showQuestions && (
+            <ul className="mt-3 space-y-3">
+              {sortAppearances(questions).map((question) => (
+                <li key={`${question.fileName}-${question.questionNo}`} className="text-sm">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="text-xs font-medium text-zinc-300">{formatAppearance(question)}</span>
+                    {question.marks != null && (
+                      <span className="px-1.5 py-0.5 bg-white/5 border border-white/10 text-zinc-400 rounded text-[10px]">
+                        {question.marks} marks
+                      </span>
+                    )}
+                    {question.file && (
+                      <button
+                        type="button"
+                        onClick={() => openPdfAtPage(question.file, question.page)}
+                        className="ml-auto flex items-center gap-1 text-xs text-indigo-300 hover:text-indigo-200"
+                      >
+                        <FileText className="w-3 h-3" />
+                        View in PDF (p. {question.page})
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-zinc-400 text-xs leading-relaxed line-clamp-4">{question.text}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+});
+
+export default TopicCard;
@@ -0,0 +1,22 @@
+import { useCallback } from 'react';
+import { EXPORTERS, exportAnalysis } from '../services/exporters';
+
+/**
+ * Export the current analysis in any registered format.
+ */
+export function useAnalysisExport() {
+  const exportAs = useCallback(async (formatId, analysis, basename) => {
+    if (!analysis || !analysis.topics) {
+      alert('No data to export');
+      return;
+    }
+    try {
+      await exportAnalysis(formatId, analysis, basename);
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(`Export failed: ${err.message}`);
+    }
+  }, []);
+
+  return { formats: EXPORTERS, exportAs };
+}
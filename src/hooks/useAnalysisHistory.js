@@ -0,0 +1,100 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  listAnalyses,
+  saveAnalysis,
+  renameAnalysis,
+  updateStoredAnalysis,
+  deleteAnalysis,
+} from '../services/historyStore';
+
+/**
+ * Saved analyses from IndexedDB, kept in sync with every write.
+ * Storage failures (e.g. private browsing) are logged and leave the list empty;
+ * failed renames and deletes the user asked for also set `error`.
+ */
+export function useAnalysisHistory() {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listAnalyses());
+    } catch (err) {
+      console.warn('Could not load analysis history:', err);
+    }
+  }, []);
+
+  // Initial load; the list is only set once it has arrived, and not after unmount
+  useEffect(() => {
+    let cancelled = false;
+    listAnalyses()
+      .then((records) => {
+        if (!cancelled) setEntries(records);
+      })
+      .catch((err) => console.warn('Could not load analysis history:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const save = useCallback(
+    async (entry) => {
+      try {
+        const record = await saveAnalysis(entry);
+        await refresh();
+        return record;
+      } catch (err) {
+        console.warn('Could not save analysis to history:', err);
+        return null;
+      }
+    },
+    [refresh]
+  );
+
+  const rename = useCallback(
+    async (id, name) => {
+      try {
+        await renameAnalysis(id, name);
+        setError(null);
+        await refresh();
+      } catch (err) {
+        console.warn('Could not rename saved analysis:', err);
+        setError('Could not rename the analysis. Browser storage may be unavailable.');
+      }
+    },
+    [refresh]
+  );
+
+  const update = useCallback(
+    async (id, analysis) => {
+      try {
+        await updateStoredAnalysis(id, analysis);
+        await refresh();
+      } catch (err) {
+        console.warn('Could not update saved analysis:', err);
+      }
+    },
+    [refresh]
+  );
+
+  /** @returns {Promise<boolean>} Whether the analysis was deleted */
+  const remove = useCallback(
+    async (id) => {
+      try {
+        await deleteAnalysis(id);
+        setError(null);
+        await refresh();
+        return true;
+      } catch (err) {
+        console.warn('Could not delete saved analysis:', err);
+        setError('Could not delete the analysis. Browser storage may be unavailable.');
+        return false;
+      }
+    },
+    [refresh]
+  );
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return { entries, error, clearError, refresh, save, rename, update, remove };
+}
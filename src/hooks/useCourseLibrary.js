@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react';
+import { listCourses, createCourse, updateCourse, markCourseAnalyzed, deleteCourse } from '../services/courseStore';
+
+/**
+ * Courses from IndexedDB, kept in sync with every write.
+ * Storage failures are logged and leave the library empty; failed edits the
+ * user made (adding, changing or deleting a course) also set `error`.
+ */
+export function useCourseLibrary() {
+  const [courses, setCourses] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setCourses(await listCourses());
+    } catch (err) {
+      console.warn('Could not load course library:', err);
+    }
+  }, []);
+
+  // Initial load; the list is only set once it has arrived, and not after unmount
+  useEffect(() => {
+    let cancelled = false;
+    listCourses()
+      .then((records) => {
+        if (!cancelled) setCourses(records);
+      })
+      .catch((err) => console.warn('Could not load course library:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /** @returns {Promise<object|null>} The new course, or null if it could not be stored */
+  const create = useCallback(
+    async (details) => {
+      try {
+        const record = await createCourse(details);
+        setError(null);
+        await refresh();
+        return record;
+      } catch (err) {
+        console.warn('Could not create course:', err);
+        setError('Could not add the course. Browser storage may be full or unavailable.');
+        return null;
+      }
+    },
+    [refresh]
+  );
+
+  const update = useCallback(
+    async (id, patch) => {
+      try {
+        await updateCourse(id, patch);
+        await refresh();
+      } catch (err) {
+        console.warn('Could not update course:', err);
+        setError('Could not save the course. Browser storage may be full or unavailable.');
+      }
+    },
+    [refresh]
+  );
+
+  const markAnalyzed = useCallback(
+    async (id, syllabus, papers) => {
+      try {
+        await markCourseAnalyzed(id, syllabus, papers);
+        await refresh();
+      } catch (err) {
+        console.warn('Could not update course:', err);
+      }
+    },
+    [refresh]
+  );
+
+  /** @returns {Promise<boolean>} Whether the course was deleted */
+  const remove = useCallback(
+    async (id) => {
+      try {
+        await deleteCourse(id);
+        setError(null);
+        await refresh();
+        return true;
+      } catch (err) {
+        console.warn('Could not delete course:', err);
+        setError('Could not delete the course. Browser storage may be unavailable.');
+        return false;
+      }
+    },
+    [refresh]
+  );
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return { courses, error, clearError, create, update, markAnalyzed, remove };
+}
@@ -0,0 +1,22 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from '../services/settingsStore';
+
+/**
+ * Settings from IndexedDB; the defaults until they have loaded.
+ * A failed load is logged and leaves the defaults in place.
+ */
+export function useSettings() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+  useEffect(() => {
+    loadSettings()
+      .then(setSettings)
+      .catch((err) => console.warn('Could not load settings:', err));
+  }, []);
+
+  const save = useCallback(async (next) => {
+    setSettings(await saveSettings(next));
+  }, []);
+
+  return { settings, save };
+}
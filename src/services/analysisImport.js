@@ -0,0 +1,45 @@
+import { normalizeAnalysis } from '../utils/analysisSchema';
+import { JSON_EXPORT_FORMAT, JSON_EXPORT_VERSION } from './exporters/jsonExporter';
+import { parseMarkdownExport } from './exporters/markdownExporter';
+
+const invalidImport = (message, validationErrors = []) =>
+  Object.assign(new Error(message), { code: 'INVALID_IMPORT', validationErrors });
+
+function parseJsonExport(text, fileName) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw invalidImport(`${fileName} is not valid JSON (${error.message}).`);
+  }
+  if (parsed?.format !== JSON_EXPORT_FORMAT) return parsed; // A bare analysis object
+  if (parsed.version > JSON_EXPORT_VERSION) {
+    throw invalidImport(`${fileName} was exported by a newer version of Exam-Pilot. Update the app to open it.`);
+  }
+  return parsed.analysis;
+}
+
+/**
+ * Load an analysis exported as JSON or as the Markdown report, validated
+ * against the analysis schema. Throws INVALID_IMPORT with `validationErrors`.
+ * @param {File} file
+ * @returns {Promise<object>} The analysis, with `meta.importedFrom` set to the file name
+ */
+export async function importAnalysisFile(file) {
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name) || text.trimStart().startsWith('{');
+
+  const raw = isJson ? parseJsonExport(text, file.name) : parseMarkdownExport(text);
+  if (!raw) {
+    throw invalidImport(`${file.name} is not an Exam-Pilot export. Open a JSON export or a Markdown report.`);
+  }
+
+  const { value, errors } = normalizeAnalysis(raw);
+  if (!value) {
+    throw invalidImport(
+      `${file.name} does not contain a valid analysis (${errors.slice(0, 3).join('; ')}).`,
+      errors
+    );
+  }
+  return { ...value, meta: { ...value.meta, importedFrom: file.name } };
+}
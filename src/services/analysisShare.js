@@ -0,0 +1,108 @@
+import { normalizeAnalysis } from '../utils/analysisSchema';
+import { downloadFile } from '../utils/download';
+import { JSON_EXPORT_FORMAT, JSON_EXPORT_VERSION, buildJson } from './exporters/jsonExporter';
+
+/** URL fragment prefix that marks a shared analysis. */
+export const SHARE_FRAGMENT_PREFIX = '#share=';
+
+/**
+ * Longest link we hand out. Browsers accept far more, but chat apps and
+ * URL shorteners start truncating around here.
+ */
+export const MAX_SHARE_URL_LENGTH = 8000;
+
+const invalidShare = (message) => Object.assign(new Error(message), { code: 'INVALID_SHARE' });
+
+async function transform(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  // Chunked so large payloads don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * The part of an analysis worth sending to someone else. The study plan,
+ * progress and chat are personal, and `meta` only keeps what explains where
+ * the result came from.
+ */
+function shareableAnalysis(analysis) {
+  const { studyPlan: _studyPlan, progress: _progress, chat: _chat, meta = {}, ...rest } = analysis;
+  const { provider, model, modelLabel, fallbackFrom, fallbackReason } = meta;
+  return { ...rest, meta: { provider, model, modelLabel, fallbackFrom, fallbackReason } };
+}
+
+/**
+ * Build a link that carries the whole analysis, deflate-compressed, in the
+ * URL fragment so it never reaches a server.
+ * @param {object} analysis
+ * @param {string} [baseUrl] - Page the link opens, defaults to the current one
+ * @returns {Promise<{ url: string, tooLong: boolean }>} `tooLong` when the link exceeds MAX_SHARE_URL_LENGTH
+ */
+export async function createShareLink(analysis, baseUrl = window.location.href.split('#')[0]) {
+  const payload = JSON.stringify({
+    format: JSON_EXPORT_FORMAT,
+    version: JSON_EXPORT_VERSION,
+    analysis: shareableAnalysis(analysis),
+  });
+  const compressed = await transform(new TextEncoder().encode(payload), new CompressionStream('deflate-raw'));
+  const url = `${baseUrl}${SHARE_FRAGMENT_PREFIX}${toBase64Url(compressed)}`;
+  return { url, tooLong: url.length > MAX_SHARE_URL_LENGTH };
+}
+
+/**
+ * Fallback for analyses too big for a link: download the same data as a JSON
+ * file the recipient opens with "Open analysis".
+ * @param {object} analysis
+ * @param {string} [basename]
+ */
+export function downloadShareFile(analysis, basename = 'exam-priority-list') {
+  downloadFile(buildJson(shareableAnalysis(analysis)), `${basename}-shared.json`, 'application/json');
+}
+
+/**
+ * Whether a URL fragment holds a shared analysis.
+ * @param {string} hash - e.g. `window.location.hash`
+ */
+export function isShareFragment(hash) {
+  return typeof hash === 'string' && hash.startsWith(SHARE_FRAGMENT_PREFIX);
+}
+
+/**
+ * Decode and validate the analysis carried by a share link's fragment.
+ * Throws INVALID_SHARE when the link is truncated or not an Exam-Pilot share.
+ * @param {string} hash
+ * @returns {Promise<object>} The analysis, with `meta.shared` set
+ */
+export async function readShareFragment(hash) {
+  if (!isShareFragment(hash)) throw invalidShare('This link does not contain a shared analysis.');
+
+  let parsed;
+  try {
+    const bytes = fromBase64Url(hash.slice(SHARE_FRAGMENT_PREFIX.length));
+    const json = await transform(bytes, new DecompressionStream('deflate-raw'));
+    parsed = JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw invalidShare('This share link is damaged or incomplete. Ask for the link again, or for a share file.');
+  }
+
+  if (parsed?.format !== JSON_EXPORT_FORMAT) throw invalidShare('This link does not contain an Exam-Pilot analysis.');
+  if (parsed.version > JSON_EXPORT_VERSION) {
+    throw invalidShare('This analysis was shared from a newer version of Exam-Pilot. Update the app to open it.');
+  }
+
+  const { value } = normalizeAnalysis(parsed.analysis);
+  if (!value) throw invalidShare('This share link does not contain a valid analysis.');
+  return { ...value, meta: { ...value.meta, shared: true } };
+}
@@ -0,0 +1,81 @@
+import { buildDocumentParts, generateContentWithRetry, withModelFallback } from './geminiService';
+import { getDefaultProvider } from './providers';
+import { buildTaskRequest, MAX_HISTORY_MESSAGES } from './taskPrompts';
+import { formatPaperLabel } from '../utils/paperTags';
+
+const chatError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Provider for the chat. Offline mode has no model to answer questions.
+ * @param {object} [provider]
+ */
+function chatProvider(provider = getDefaultProvider()) {
+  if (provider.id === 'offline') {
+    throw chatError('Chat needs an AI model. Turn off Offline mode to ask questions.', 'CHAT_UNAVAILABLE');
+  }
+  return provider;
+}
+
+/**
+ * Start a chat about one analysis. The uploaded PDFs are converted once (as
+ * for the analysis) and sent, together with the analysis, as the opening
+ * turn of every question, so the model always sees the same material.
+ * @param {{ syllabusFile?: File|null, pyqPapers?: Array<{ file: File, year: number, term: string }>, provider?: object }} [options]
+ *   Without `syllabusFile` the chat works from the analysis alone.
+ */
+export function createSyllabusChat({ syllabusFile = null, pyqPapers = [], provider } = {}) {
+  let documentParts = null;
+
+  async function getDocumentParts(llm, signal, onProgress) {
+    if (!syllabusFile) return [];
+    documentParts ??= buildDocumentParts(llm, syllabusFile, pyqPapers, signal, onProgress)
+      .then(([syllabusData, ...pyqData]) => [
+        { text: 'Syllabus:' },
+        ...syllabusData,
+        ...pyqPapers.flatMap((paper, index) => [
+          { text: `Past paper ${index + 1}: ${formatPaperLabel(paper)}` },
+          ...pyqData[index],
+        ]),
+      ])
+      .catch((error) => {
+        documentParts = null; // Try again with the next question
+        throw error;
+      });
+    return documentParts;
+  }
+
+  return {
+    hasDocuments: Boolean(syllabusFile),
+
+    /**
+     * Ask a follow-up question.
+     * @param {{ analysis: object, messages: Array<{ role: 'user'|'model', text: string }>, question: string }} turn
+     * @param {{ signal?: AbortSignal, onProgress?: (step: string) => void, onText?: (textSoFar: string) => void }} [options]
+     * @returns {Promise<string>} The answer
+     */
+    async ask({ analysis, messages, question }, { signal, onProgress, onText } = {}) {
+      const llm = chatProvider(provider);
+      const documents = await getDocumentParts(llm, signal, onProgress);
+      // Only what the prompt uses, so the analysis server gets no more than it needs
+      const input = {
+        analysis: { topics: analysis.topics, syllabusUnits: analysis.syllabusUnits, questions: analysis.questions },
+        messages: messages.slice(-MAX_HISTORY_MESSAGES).map(({ role, text }) => ({ role, text })),
+        question,
+        documents,
+      };
+      const { parts, history, generationConfig } = buildTaskRequest('chat', input);
+
+      const answer = await withModelFallback(
+        llm,
+        async (modelConfig) => {
+          onProgress?.(`Asking ${modelConfig.label}...`);
+          const request = { model: modelConfig.name, parts, history, generationConfig, signal, task: 'chat', input };
+          return generateContentWithRetry(llm, request, { onProgress, onText });
+        },
+        { signal, onProgress }
+      );
+      if (!answer.trim()) throw chatError('The AI returned an empty answer. Try asking again.', 'EMPTY_ANSWER');
+      return answer.trim();
+    },
+  };
+}
@@ -0,0 +1,121 @@
+import { runTransaction, STORES } from './db';
+
+/**
+ * Course library: each course keeps its syllabus PDF, its tagged past papers
+ * (as File objects, which IndexedDB stores directly) and a fingerprint of the
+ * inputs its latest analysis used. Analyses themselves stay in the analyses
+ * store, linked by `courseId`.
+ */
+
+/** Semesters offered in the course form. */
+export const SEMESTERS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+const fileKey = (file) => `${file.name}-${file.size}-${file.lastModified}`;
+
+/**
+ * Identifies a syllabus + paper set (with tags) without hashing the files.
+ * @param {File|null} syllabus
+ * @param {Array<{ id: string, year: number, term: string }>} papers
+ * @returns {string}
+ */
+export function inputsFingerprint(syllabus, papers) {
+  const paperKeys = papers.map((paper) => `${paper.id}@${paper.year}-${paper.term}`).sort();
+  return [syllabus ? fileKey(syllabus) : '', ...paperKeys].join('|');
+}
+
+/**
+ * What changed in a course since its last analysis.
+ * @param {object} course
+ * @returns {{ newPapers: number, changed: boolean }} `changed` is false when never analysed
+ */
+export function describeCourseChanges(course) {
+  if (!course?.analyzed) return { newPapers: 0, changed: false };
+  const analyzedIds = new Set(course.analyzed.paperIds);
+  return {
+    newPapers: course.papers.filter((paper) => !analyzedIds.has(paper.id)).length,
+    changed: inputsFingerprint(course.syllabus, course.papers) !== course.analyzed.fingerprint,
+  };
+}
+
+/**
+ * Short label, e.g. "EC301 · Signals and Systems".
+ * @param {{ code: string, name: string }} course
+ */
+export function formatCourseLabel(course) {
+  return [course.code, course.name].filter(Boolean).join(' · ');
+}
+
+/**
+ * Trim and normalise the user-editable fields of a course.
+ * @param {{ code: string, name: string, semester: number|string, branch?: string }} details
+ */
+export function cleanCourseDetails({ code, name, semester, branch = '' }) {
+  return { code: code.trim().toUpperCase(), name: name.trim(), semester: Number(semester), branch: branch.trim() };
+}
+
+/**
+ * All courses, by semester then course code.
+ * @returns {Promise<Array>}
+ */
+export async function listCourses() {
+  const records = await runTransaction(STORES.courses, 'readonly', (store) => store.getAll());
+  return (records || []).sort((a, b) => a.semester - b.semester || a.code.localeCompare(b.code));
+}
+
+/**
+ * Add a course with no files yet.
+ * @param {{ code: string, name: string, semester: number, branch?: string }} details
+ * @returns {Promise<object>} The stored record
+ */
+export async function createCourse(details) {
+  const record = {
+    id: crypto.randomUUID(),
+    ...cleanCourseDetails(details),
+    createdAt: Date.now(),
+    syllabus: null,
+    papers: [],
+    analyzed: null,
+  };
+  await runTransaction(STORES.courses, 'readwrite', (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Merge changes into a course (details, files or the analysed fingerprint).
+ * @param {string} id
+ * @param {object} patch
+ */
+export async function updateCourse(id, patch) {
+  const record = await runTransaction(STORES.courses, 'readonly', (store) => store.get(id));
+  if (!record) return null;
+  const updated = { ...record, ...patch };
+  await runTransaction(STORES.courses, 'readwrite', (store) => store.put(updated));
+  return updated;
+}
+
+/**
+ * Record the inputs an analysis was run on, so later paper uploads show up
+ * as changes.
+ * @param {string} id
+ * @param {File|null} syllabus
+ * @param {Array<{ id: string, year: number, term: string }>} papers
+ */
+export function markCourseAnalyzed(id, syllabus, papers) {
+  return updateCourse(id, {
+    analyzed: { fingerprint: inputsFingerprint(syllabus, papers), paperIds: papers.map((paper) => paper.id), at: Date.now() },
+  });
+}
+
+/**
+ * Delete a course together with its saved analyses.
+ * @param {string} id
+ */
+export async function deleteCourse(id) {
+  const analyses = await runTransaction(STORES.analyses, 'readonly', (store) => store.getAll());
+  await runTransaction(STORES.analyses, 'readwrite', (store) => {
+    for (const record of analyses || []) {
+      if (record.courseId === id) store.delete(record.id);
+    }
+  });
+  await runTransaction(STORES.courses, 'readwrite', (store) => store.delete(id));
+}
@@ -0,0 +1,73 @@
+/**
+ * Shared IndexedDB connection for everything the app stores locally.
+ * Bump DB_VERSION and add the store in upgrade() when a feature needs a new one.
+ */
+const DB_NAME = 'exam-pilot';
+const DB_VERSION = 4;
+
+export const STORES = {
+  analyses: 'analyses',
+  courses: 'courses',
+  responses: 'responses',
+  settings: 'settings',
+};
+
+let dbPromise = null;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains(STORES.analyses)) {
+    const store = db.createObjectStore(STORES.analyses, { keyPath: 'id' });
+    store.createIndex('cacheKey', 'cacheKey');
+  }
+  if (!db.objectStoreNames.contains(STORES.courses)) {
+    db.createObjectStore(STORES.courses, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(STORES.responses)) {
+    db.createObjectStore(STORES.responses, { keyPath: 'key' });
+  }
+  if (!db.objectStoreNames.contains(STORES.settings)) {
+    db.createObjectStore(STORES.settings, { keyPath: 'id' });
+  }
+}
+
+/**
+ * Open (and create/upgrade) the database once per page load.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one operation in a transaction and resolve with its request's result
+ * once the transaction has committed.
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest | void} operation
+ */
+export async function runTransaction(storeName, mode, operation) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,46 @@
+import { formatAppearance, sortAppearances } from '../../utils/paperTags';
+
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Tabs and line breaks would split Anki's tab-separated fields
+const field = (html) => html.replace(/[\t\r\n]+/g, ' ');
+
+const tag = (name) => name.trim().replace(/\s+/g, '_').replace(/[^\w:-]/g, '');
+
+/**
+ * Anki text-import deck: one card per key concept, with the topic, its
+ * priority and where it was asked on the back. Header lines tell Anki the
+ * separator, that fields are HTML and which column holds tags.
+ * @param {object} analysis
+ * @returns {string}
+ */
+export function buildAnkiDeck(analysis) {
+  const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+
+  for (const topic of analysis.topics) {
+    const appearances = sortAppearances(topic.appearances).map(formatAppearance);
+    for (const concept of topic.keyConcepts || []) {
+      const front = `${escapeHtml(concept)}<br><small>${escapeHtml(topic.name)}</small>`;
+      const back = [
+        `<b>${escapeHtml(topic.name)}</b>`,
+        `${escapeHtml(topic.priority)} priority · ${topic.confidence}% confidence · ${escapeHtml(topic.effort)} effort`,
+        appearances.length ? `Asked in: ${escapeHtml(appearances.join(', '))}` : null,
+      ]
+        .filter(Boolean)
+        .join('<br>');
+      lines.push([field(front), field(back), `exam-pilot ${tag(topic.name)}`].join('\t'));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export const ankiExporter = {
+  id: 'anki',
+  label: 'Anki deck',
+  description: 'One flashcard per key concept (File → Import in Anki)',
+  extension: 'txt',
+  mimeType: 'text/plain',
+  build: buildAnkiDeck,
+};
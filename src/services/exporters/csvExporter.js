@@ -0,0 +1,44 @@
+import { formatAppearance, sortAppearances } from '../../utils/paperTags';
+
+const COLUMNS = ['Topic', 'Confidence', 'Priority', 'Effort', 'Reward', 'Frequency', 'Appeared In', 'Key Concepts'];
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per topic, highest confidence first.
+ * @param {object} analysis
+ * @returns {string}
+ */
+export function buildCsv(analysis) {
+  const rows = [...analysis.topics]
+    .sort((a, b) => b.confidence - a.confidence)
+    .map((topic) => [
+      topic.name,
+      topic.confidence,
+      topic.priority,
+      topic.effort,
+      topic.reward,
+      topic.frequency,
+      sortAppearances(topic.appearances).map(formatAppearance).join('; '),
+      (topic.keyConcepts || []).join('; '),
+    ]);
+  // BOM so Excel opens the file as UTF-8
+  return '\uFEFF' + [COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n');
+}
+
+export const csvExporter = {
+  id: 'csv',
+  label: 'CSV',
+  description: 'Spreadsheet with one row per topic',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  build: buildCsv,
+};
@@ -0,0 +1,48 @@
+import { downloadFile } from '../../utils/download';
+import { pdfExporter } from './pdfExporter';
+import { csvExporter } from './csvExporter';
+import { jsonExporter } from './jsonExporter';
+import { ankiExporter } from './ankiExporter';
+import { obsidianExporter } from './obsidianExporter';
+import { markdownExporter } from './markdownExporter';
+
+/**
+ * Exporter interface shared by every format:
+ *
+ * {
+ *   id: string,
+ *   label: string,
+ *   description: string,   // shown in the Export menu
+ *   extension: string,
+ *   mimeType: string,
+ *   build(analysis): string | Blob | Promise<string | Blob>,
+ * }
+ */
+
+/**
+ * Formats in the order the Export menu lists them.
+ */
+export const EXPORTERS = [pdfExporter, csvExporter, jsonExporter, ankiExporter, obsidianExporter, markdownExporter];
+
+/**
+ * @param {string} id
+ */
+export function getExporter(id) {
+  const exporter = EXPORTERS.find((e) => e.id === id);
+  if (!exporter) {
+    throw new Error(`Unknown export format "${id}". Use one of: ${EXPORTERS.map((e) => e.id).join(', ')}.`);
+  }
+  return exporter;
+}
+
+/**
+ * Build the file for a format and download it.
+ * @param {string} id - Exporter id
+ * @param {object} analysis
+ * @param {string} [basename] - File name without extension
+ */
+export async function exportAnalysis(id, analysis, basename = 'exam-priority-list') {
+  const exporter = getExporter(id);
+  const content = await exporter.build(analysis);
+  downloadFile(content, `${basename}.${exporter.extension}`, exporter.mimeType);
+}
@@ -0,0 +1,32 @@
+/**
+ * Marker and version written into JSON exports so they can be recognised on import.
+ */
+export const JSON_EXPORT_FORMAT = 'exam-pilot-analysis';
+export const JSON_EXPORT_VERSION = 1;
+
+/**
+ * The full analysis object, wrapped with a format marker.
+ * @param {object} analysis
+ * @returns {string}
+ */
+export function buildJson(analysis) {
+  return JSON.stringify(
+    {
+      format: JSON_EXPORT_FORMAT,
+      version: JSON_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      analysis,
+    },
+    null,
+    2
+  );
+}
+
+export const jsonExporter = {
+  id: 'json',
+  label: 'JSON',
+  description: 'Complete raw data, for backups and re-import',
+  extension: 'json',
+  mimeType: 'application/json',
+  build: buildJson,
+};
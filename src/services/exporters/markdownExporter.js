@@ -0,0 +1,161 @@
+import { formatAppearance, sortAppearances, parseAppearance } from '../../utils/paperTags';
+import { buildCoverageReport } from '../../utils/coverage';
+import { buildMarksAnalytics } from '../../utils/marksAnalytics';
+
+/**
+ * Markdown report: summary, priority list, syllabus coverage and marks weightage.
+ * @param {object} analysis
+ * @returns {string}
+ */
+export function buildMarkdown(analysis) {
+  let markdown = '# NITP Exam Priority List\n\n';
+  markdown += `*Generated on ${new Date().toLocaleDateString()}*\n\n`;
+
+  // Summary
+  if (analysis.summary) {
+    markdown += '## Summary\n\n';
+    markdown += `- **Total Topics:** ${analysis.summary.totalTopics}\n`;
+    markdown += `- **High Priority Topics:** ${analysis.summary.highPriorityCount}\n`;
+    markdown += `- **Low Effort, High Reward Topics:** ${analysis.summary.lowEffortHighReward}\n\n`;
+  }
+
+  // Topics
+  markdown += '## Priority List\n\n';
+  
+  // Sort by confidence
+  const sortedTopics = [...analysis.topics].sort((a, b) => b.confidence - a.confidence);
+  
+  sortedTopics.forEach((topic, index) => {
+    markdown += `### ${index + 1}. ${topic.name}\n\n`;
+    markdown += `- **Confidence Score:** ${topic.confidence}%\n`;
+    markdown += `- **Effort Level:** ${topic.effort}\n`;
+    markdown += `- **Reward Level:** ${topic.reward}\n`;
+    markdown += `- **Frequency:** ${topic.frequency} times\n`;
+    if (topic.appearances && topic.appearances.length > 0) {
+      markdown += `- **Appeared In:** ${sortAppearances(topic.appearances).map(formatAppearance).join(', ')}\n`;
+    }
+    if (topic.priority) {
+      markdown += `- **Priority:** ${topic.priority}\n`;
+    }
+    if (topic.keyConcepts && topic.keyConcepts.length > 0) {
+      markdown += `- **Key Concepts:** ${topic.keyConcepts.join(', ')}\n`;
+    }
+    if (topic.effort === 'Low' && topic.reward === 'High') {
+      markdown += `- ⭐ **Low Effort, High Reward Topic**\n`;
+    }
+    markdown += '\n';
+  });
+
+  // Coverage
+  const coverage = buildCoverageReport(analysis);
+  markdown += '## Syllabus Coverage\n\n';
+  markdown += `*${coverage.overallPercent}% of syllabus topics have appeared in the papers*\n\n`;
+  coverage.units.forEach((unit) => {
+    markdown += `- **${unit.name}:** ${unit.asked}/${unit.total} topics (${unit.percent}%)`;
+    if (unit.neverAsked.length > 0) {
+      markdown += ` · Never asked: ${unit.neverAsked.join(', ')}`;
+    }
+    markdown += '\n';
+  });
+  markdown += '\n';
+
+  [
+    ['Questions Outside the Syllabus', coverage.outsideSyllabus],
+    ['Unmapped Questions', coverage.unmapped],
+  ].forEach(([heading, questions]) => {
+    if (questions.length === 0) return;
+    markdown += `### ${heading}\n\n`;
+    sortAppearances(questions).forEach((question) => {
+      markdown += `- **${formatAppearance(question)}:** ${question.text}\n`;
+    });
+    markdown += '\n';
+  });
+
+  // Marks
+  const marks = buildMarksAnalytics(analysis);
+  if (marks.totalMarks > 0) {
+    markdown += '## Marks Weightage\n\n';
+    markdown += `*${marks.totalMarks} marks across ${marks.papers.length} paper(s)*\n\n`;
+    markdown += '| Unit | Total Marks | Avg per Paper | Share | Trend |\n';
+    markdown += '| --- | --- | --- | --- | --- |\n';
+    marks.units.forEach((unit) => {
+      markdown += `| ${unit.name} | ${unit.totalMarks} | ${unit.averagePerPaper} | ${unit.share}% | ${unit.trend} |\n`;
+    });
+    markdown += '\n';
+  }
+
+  return markdown;
+}
+
+const TOPIC_HEADING = /^### \d+\. (.+)$/;
+const FIELD = /^- \*\*(.+?):\*\* (.*)$/;
+
+const TOPIC_FIELDS = {
+  'Confidence Score': (topic, value) => (topic.confidence = value),
+  'Effort Level': (topic, value) => (topic.effort = value),
+  'Reward Level': (topic, value) => (topic.reward = value),
+  Frequency: (topic, value) => (topic.frequency = value.replace(/\s*times?$/, '')),
+  Priority: (topic, value) => (topic.priority = value),
+  'Appeared In': (topic, value) =>
+    (topic.appearances = value.split(/, (?=\d{4} )/).map(parseAppearance).filter(Boolean)),
+  'Key Concepts': (topic, value) => (topic.keyConcepts = value.split(', ')),
+};
+
+/**
+ * Read a file written by buildMarkdown() back into a raw analysis object
+ * (validate it with normalizeAnalysis). Sections derived from other data,
+ * like coverage percentages and marks, are not restored; questions outside
+ * the syllabus and unmapped questions are.
+ * @param {string} markdown
+ * @returns {object|null} null when the text isn't in this layout
+ */
+export function parseMarkdownExport(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  if (!lines.some((line) => line.trim() === '## Priority List')) return null;
+
+  const topics = [];
+  const questions = [];
+  let section = null;
+  let topic = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (line.startsWith('## ')) {
+      section = line.slice(3);
+      topic = null;
+      continue;
+    }
+    if (line === '### Questions Outside the Syllabus' || line === '### Unmapped Questions') {
+      section = line === '### Unmapped Questions' ? 'Unmapped' : 'Outside';
+      continue;
+    }
+
+    if (section === 'Priority List') {
+      const heading = line.match(TOPIC_HEADING);
+      if (heading) {
+        topic = { name: heading[1] };
+        topics.push(topic);
+        continue;
+      }
+      const field = line.match(FIELD);
+      if (topic && field && TOPIC_FIELDS[field[1]]) TOPIC_FIELDS[field[1]](topic, field[2]);
+    } else if (section === 'Outside' || section === 'Unmapped') {
+      const field = line.match(FIELD);
+      const appearance = field && parseAppearance(field[1]);
+      if (appearance) {
+        questions.push({ ...appearance, text: field[2], marks: null, page: null, topic: null, outsideSyllabus: section === 'Outside' });
+      }
+    }
+  }
+
+  return { topics, questions };
+}
+
+export const markdownExporter = {
+  id: 'markdown',
+  label: 'Markdown',
+  description: 'Plain Markdown for Notion and other notes apps',
+  extension: 'md',
+  mimeType: 'text/markdown',
+  build: buildMarkdown,
+};
@@ -0,0 +1,67 @@
+import { formatAppearance, sortAppearances } from '../../utils/paperTags';
+
+// Characters that break [[wiki-links]]
+const wikiLink = (name) => `[[${name.replace(/[[\]|#^]/g, '').trim()}]]`;
+
+const yamlString = (value) => JSON.stringify(String(value));
+
+/**
+ * Obsidian note: YAML frontmatter, Dataview-style inline fields and
+ * wiki-links for every topic and key concept, so they become notes in the vault.
+ * @param {object} analysis
+ * @returns {string}
+ */
+export function buildObsidianNote(analysis) {
+  const sortedTopics = [...analysis.topics].sort((a, b) => b.confidence - a.confidence);
+  const today = new Date().toISOString().slice(0, 10);
+
+  let note = '---\n';
+  note += `title: ${yamlString('Exam Priority List')}\n`;
+  note += `created: ${today}\n`;
+  note += 'tags: [exam-pilot, exam-prep]\n';
+  if (analysis.meta?.modelLabel) note += `model: ${yamlString(analysis.meta.modelLabel)}\n`;
+  note += `topics: ${sortedTopics.length}\n`;
+  note += `high-priority: ${analysis.summary?.highPriorityCount ?? 0}\n`;
+  note += '---\n\n';
+
+  note += '# Exam Priority List\n\n';
+  note += '> [!summary]\n';
+  note += `> ${analysis.summary?.totalTopics ?? sortedTopics.length} topics · ${analysis.summary?.highPriorityCount ?? 0} high priority · ${analysis.summary?.lowEffortHighReward ?? 0} low effort, high reward\n\n`;
+
+  const quickWins = sortedTopics.filter((t) => t.effort === 'Low' && t.reward === 'High');
+  if (quickWins.length > 0) {
+    note += '## Quick Wins\n\n';
+    quickWins.forEach((topic) => {
+      note += `- ${wikiLink(topic.name)} (${topic.confidence}%)\n`;
+    });
+    note += '\n';
+  }
+
+  note += '## Priority List\n\n';
+  sortedTopics.forEach((topic) => {
+    note += `### ${wikiLink(topic.name)}\n\n`;
+    note += `- Confidence:: ${topic.confidence}%\n`;
+    note += `- Priority:: ${topic.priority}\n`;
+    note += `- Effort:: ${topic.effort}\n`;
+    note += `- Reward:: ${topic.reward}\n`;
+    note += `- Frequency:: ${topic.frequency}\n`;
+    if (topic.appearances?.length > 0) {
+      note += `- Appeared in:: ${sortAppearances(topic.appearances).map(formatAppearance).join(', ')}\n`;
+    }
+    if (topic.keyConcepts?.length > 0) {
+      note += `- Key concepts:: ${topic.keyConcepts.map(wikiLink).join(', ')}\n`;
+    }
+    note += '\n';
+  });
+
+  return note;
+}
+
+export const obsidianExporter = {
+  id: 'obsidian',
+  label: 'Obsidian note',
+  description: 'Markdown with frontmatter and [[wiki-links]]',
+  extension: 'md',
+  mimeType: 'text/markdown',
+  build: buildObsidianNote,
+};
@@ -0,0 +1,122 @@
+import { formatAppearance, sortAppearances } from '../../utils/paperTags';
+
+const MARGIN = 15; // mm
+const LINE = 5; // mm per line of body text
+
+const PRIORITY_COLORS = {
+  High: [220, 38, 38],
+  Medium: [217, 119, 6],
+  Low: [5, 150, 105],
+};
+
+/**
+ * Printable A4 report with the summary cards and the priority list, drawn
+ * with jsPDF in the browser (loaded on first use).
+ * @param {object} analysis
+ * @returns {Promise<Blob>}
+ */
+export async function buildPdfReport(analysis) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  const writeWrapped = (text, { size = 10, color = [63, 63, 70], style = 'normal', indent = 0 } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    for (const line of doc.splitTextToSize(text, contentWidth - indent)) {
+      ensureSpace(LINE);
+      doc.text(line, MARGIN + indent, y);
+      y += LINE;
+    }
+  };
+
+  // Title
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor(24, 24, 27);
+  doc.text('Exam Priority List', MARGIN, y + 6);
+  y += 12;
+  const generatedBy = analysis.meta?.modelLabel ? ` · ${analysis.meta.modelLabel}` : '';
+  writeWrapped(`Generated on ${new Date().toLocaleDateString()}${generatedBy}`, { size: 9, color: [113, 113, 122] });
+  y += 4;
+
+  // Summary cards
+  if (analysis.summary) {
+    const cards = [
+      [analysis.summary.totalTopics, 'Total Topics'],
+      [analysis.summary.highPriorityCount, 'High Priority'],
+      [analysis.summary.lowEffortHighReward, 'Low Effort, High Reward'],
+    ];
+    const gap = 4;
+    const cardWidth = (contentWidth - gap * (cards.length - 1)) / cards.length;
+    cards.forEach(([value, label], index) => {
+      const x = MARGIN + index * (cardWidth + gap);
+      doc.setDrawColor(212, 212, 216);
+      doc.setFillColor(244, 244, 245);
+      doc.roundedRect(x, y, cardWidth, 22, 2, 2, 'FD');
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(18);
+      doc.setTextColor(24, 24, 27);
+      doc.text(String(value ?? 0), x + cardWidth / 2, y + 11, { align: 'center' });
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8);
+      doc.setTextColor(113, 113, 122);
+      doc.text(label, x + cardWidth / 2, y + 17, { align: 'center' });
+    });
+    y += 30;
+  }
+
+  // Priority list
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.setTextColor(24, 24, 27);
+  doc.text('Priority List', MARGIN, y);
+  y += 8;
+
+  const sortedTopics = [...analysis.topics].sort((a, b) => b.confidence - a.confidence);
+  sortedTopics.forEach((topic, index) => {
+    ensureSpace(LINE * 4);
+    // Priority stripe beside the topic heading
+    doc.setFillColor(...(PRIORITY_COLORS[topic.priority] || PRIORITY_COLORS.Low));
+    doc.rect(MARGIN, y - 4, 1.2, 5.5, 'F');
+    writeWrapped(`${index + 1}. ${topic.name}`, { size: 11, style: 'bold', color: [24, 24, 27], indent: 3 });
+    const quickWin = topic.effort === 'Low' && topic.reward === 'High' ? ' · Quick win' : '';
+    writeWrapped(
+      `${topic.confidence}% confidence · ${topic.priority} priority · ${topic.effort} effort · ${topic.reward} reward · asked ${topic.frequency}x${quickWin}`,
+      { indent: 3 }
+    );
+    if (topic.appearances?.length > 0) {
+      writeWrapped(`Appeared in: ${sortAppearances(topic.appearances).map(formatAppearance).join(', ')}`, {
+        size: 9,
+        color: [113, 113, 122],
+        indent: 3,
+      });
+    }
+    if (topic.keyConcepts?.length > 0) {
+      writeWrapped(`Key concepts: ${topic.keyConcepts.join(', ')}`, { size: 9, color: [113, 113, 122], indent: 3 });
+    }
+    y += 3;
+  });
+
+  return doc.output('blob');
+}
+
+export const pdfExporter = {
+  id: 'pdf',
+  label: 'PDF report',
+  description: 'Printable report with the summary and priority list',
+  extension: 'pdf',
+  mimeType: 'application/pdf',
+  build: buildPdfReport,
+};
@@ -1,47 +1,110 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { extractTextFromPdf } from '../utils/pdfTextExtractor';
+import { extractTextFromPdf, extractPdfPages } from '../utils/pdfTextExtractor';
+import { getOcrText, getOcrPages } from '../utils/ocr';
 import { validateDocumentContent } from '../utils/documentValidation';
+import { formatPaperLabel } from '../utils/paperTags';
+import { normalizeAnalysis, normalizePartialTopics, buildSummary } from '../utils/analysisSchema';
+import { extractCompleteTopics } from '../utils/partialJson';
+import { extractQuestions, linkQuestionsToTopics } from '../utils/questionExtraction';
+import { abortable, throwIfAborted, sleep } from '../utils/abort';
+import { classifyError, FileTooLargeError, InvalidDocumentError, OverloadedError, ParseError, TimeoutError } from '../utils/errors';
+import { createProvider, getDefaultProvider, withModelOrder } from './providers';
+import { describeInputs } from './historyStore';
+import { responseCacheKey } from './responseCache';
 
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
+/**
+ * Characters of extracted text sent per document to providers that cannot read PDFs
+ */
+const TEXT_ONLY_MAX_CHARS = 20000;
 
-function getGenAI() {
-  if (!API_KEY || API_KEY.trim() === '') {
-    throw new Error('VITE_GEMINI_API_KEY is not set. Add your API key to the .env file.');
-  }
-  return new GoogleGenerativeAI(API_KEY);
-}
+/**
+ * How much of the syllabus the analysis covers. Deeper analyses ask for more
+ * topics and key concepts, and send more text to providers that cannot read PDFs.
+ */
+export const ANALYSIS_DEPTHS = [
+  {
+    id: 'quick',
+    label: 'Quick',
+    description: 'The 8 most important topics, with a shorter reply',
+    topicScope: 'Only include the 8 most important topics.',
+    keyConcepts: '1-2 max',
+    textMaxChars: TEXT_ONLY_MAX_CHARS / 2,
+  },
+  {
+    id: 'standard',
+    label: 'Standard',
+    description: 'Every topic the papers examined',
+    topicScope: '',
+    keyConcepts: '2-3 max',
+    textMaxChars: TEXT_ONLY_MAX_CHARS,
+  },
+  {
+    id: 'deep',
+    label: 'Deep',
+    description: 'Every examined topic with more key concepts, reading more of each PDF',
+    topicScope: 'Include every topic that appeared in any paper, however briefly.',
+    keyConcepts: '3-5',
+    textMaxChars: TEXT_ONLY_MAX_CHARS * 2,
+  },
+];
+
+/**
+ * Characters of each past paper read when extracting individual questions
+ */
+const QUESTION_TEXT_MAX_CHARS = 60000;
+
+/**
+ * Defaults for the tunable analysis options (see analyzeExamStrategy and the
+ * settings drawer). The timeout is per request; for streamed replies it
+ * applies to the gap between chunks.
+ */
+export const ANALYSIS_DEFAULTS = {
+  temperature: 0.7,
+  maxOutputTokens: 8192, // Room for the full syllabus unit list
+  requestTimeoutMs: 120000,
+  maxRetries: 3,
+  depth: 'standard',
+};
 
 /**
- * Sleep utility for retry delays
+ * Largest request Gemini accepts with the PDFs inline (20 MB, counted after base64)
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const INLINE_REQUEST_MAX_BYTES = 20 * 1024 * 1024;
 
 /**
- * Convert File to base64 for Gemini API
+ * Part of every response cache key. Bump it when the analysis prompt or
+ * schema changes so replies to the old prompt are not reused.
+ */
+const ANALYSIS_PROMPT_VERSION = 'analysis-1';
+
+/**
+ * Convert File to base64 for Gemini API. Reads the bytes directly rather than
+ * through FileReader so the API server can run the same pipeline in Node.
  */
 async function fileToBase64(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      const base64 = reader.result.split(',')[1];
-      resolve({
-        inlineData: {
-          data: base64,
-          mimeType: file.type,
-        },
-      });
-    };
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  // Chunked so large PDFs don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return {
+    inlineData: {
+      data: btoa(binary),
+      mimeType: file.type || 'application/pdf',
+    },
+  };
+}
+
+function invalidDocumentError(reason) {
+  return new InvalidDocumentError(reason || 'The file appears to be unrelated to academic coursework.', {
+    detectedType: (reason || '').match(/detected:\s*([^)]+)/)?.[1]?.trim() || 'non-academic document',
   });
 }
 
 /**
- * Process the API response and extract JSON
+ * Process the model's reply text and extract JSON
  */
-function processResponse(response) {
-  const text = response.text();
-
+export function processResponse(text) {
   // Extract JSON from response (handle markdown code blocks)
   let jsonText = text;
   const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
@@ -52,12 +115,7 @@ function processResponse(response) {
   try {
     const analysis = JSON.parse(jsonText.trim());
     // Layer 3: Handle AI-returned INVALID_DOCUMENT
-    if (analysis && analysis.error === 'INVALID_DOCUMENT') {
-      const err = new Error(analysis.reason || 'The file appears to be unrelated to academic coursework.');
-      err.code = 'INVALID_DOCUMENT';
-      err.detectedType = (analysis.reason || '').match(/detected:\s*([^)]+)/)?.[1]?.trim() || 'non-academic document';
-      throw err;
-    }
+    if (analysis && analysis.error === 'INVALID_DOCUMENT') throw invalidDocumentError(analysis.reason);
     return analysis;
   } catch (parseError) {
     // Rethrow our INVALID_DOCUMENT so UI can show friendly message
@@ -67,26 +125,114 @@ function processResponse(response) {
     if (jsonObjectMatch) {
       try {
         const analysis = JSON.parse(jsonObjectMatch[0]);
-        if (analysis && analysis.error === 'INVALID_DOCUMENT') {
-          const err = new Error(analysis.reason || 'The file appears to be unrelated to academic coursework.');
-          err.code = 'INVALID_DOCUMENT';
-          err.detectedType = (analysis.reason || '').match(/detected:\s*([^)]+)/)?.[1]?.trim() || 'non-academic document';
-          throw err;
-        }
+        if (analysis && analysis.error === 'INVALID_DOCUMENT') throw invalidDocumentError(analysis.reason);
         return analysis;
       } catch (e) {
         if (e && e.code === 'INVALID_DOCUMENT') throw e;
-        throw new Error('Failed to parse JSON response. The AI response may not be in the correct format.');
+        throw new ParseError('Failed to parse JSON response. The AI response may not be in the correct format.', { cause: e });
       }
     }
-    throw parseError;
+    throw new ParseError(`The AI response is not valid JSON (${parseError.message}).`, { cause: parseError });
   }
 }
 
 /**
- * Generate content with retry logic
+ * Parse and normalize a reply. Returns the validation errors instead of
+ * throwing so the caller can ask the model for a repair.
  */
-async function generateContentWithRetry(model, content, maxRetries = 3, onProgress) {
+function parseAnalysis(text) {
+  let parsed;
+  try {
+    parsed = processResponse(text);
+  } catch (error) {
+    if (error && error.code === 'INVALID_DOCUMENT') throw error;
+    return { value: null, errors: [`Response is not valid JSON (${error.message})`] };
+  }
+  return normalizeAnalysis(parsed);
+}
+
+function buildRepairPrompt(responseText, errors) {
+  return `Your previous reply did not match the required analysis JSON schema.
+
+Validation errors:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Previous reply:
+${responseText}
+
+Return ONLY the corrected JSON object with the same content. Each topic needs: "name" (string), "confidence" (number 0-100), "effort" and "reward" ("Low", "Medium" or "High"), "frequency" (integer), "appearances" (array of {"year": number, "term": "Mid-Sem" or "End-Sem", "questionNo": string}), "keyConcepts" (array of strings) and "priority" ("Low", "Medium" or "High"). Keep "syllabusUnits" as an array of {"name": string, "topics": array of strings} and "outsideSyllabus" as an array of appearances.`;
+}
+
+/**
+ * Validate the reply against the analysis schema, with one automatic
+ * repair request if it fails. Throws PARSE if the repair also fails.
+ */
+async function validateWithRepair(responseText, provider, request, { onProgress, ...retryOptions }) {
+  const first = parseAnalysis(responseText);
+  if (first.value) return first.value;
+
+  console.warn('Analysis failed validation, requesting repair:', first.errors);
+  onProgress?.('Step 3: Repairing analysis format...');
+  const repairRequest = { ...request, parts: [{ text: buildRepairPrompt(responseText, first.errors) }] };
+  const repairedText = await generateContentWithRetry(provider, repairRequest, { ...retryOptions, onProgress });
+
+  const second = parseAnalysis(repairedText);
+  if (second.value) return second.value;
+
+  throw new ParseError(
+    `The AI returned an analysis in an unexpected format, even after a repair attempt (${second.errors.slice(0, 3).join('; ')}).`,
+    { validationErrors: second.errors }
+  );
+}
+
+function timeoutAfter(ms, onTimer) {
+  return new Promise((_, reject) => {
+    onTimer(setTimeout(() => reject(new TimeoutError('The AI took too long to respond.')), ms));
+  });
+}
+
+/**
+ * Stream a reply, calling onText with the text received so far after every chunk.
+ * Stops as soon as request.signal aborts.
+ */
+async function streamContent(provider, request, onText, timeoutMs) {
+  const iterator = provider.stream(request)[Symbol.asyncIterator]();
+  let text = '';
+  try {
+    while (true) {
+      let timer;
+      const { value, done } = await abortable(
+        Promise.race([iterator.next(), timeoutAfter(timeoutMs, (t) => (timer = t))]),
+        request.signal
+      ).finally(() => clearTimeout(timer));
+      if (done) return text;
+      text += value;
+      onText(text);
+    }
+  } finally {
+    // Close the underlying stream on cancel/timeout; don't wait for it
+    iterator.return?.().catch(() => {});
+  }
+}
+
+/**
+ * Generate content with retry logic. Streams the reply when `onText` is given
+ * and the provider supports it. Failures are thrown as the typed errors from
+ * utils/errors; only OVERLOADED is retried.
+ * @param {object} provider
+ * @param {{ model: string, parts: Array, generationConfig: object, signal?: AbortSignal }} request
+ * @param {object} [options]
+ * @param {number} [options.maxRetries] - Attempts in total
+ * @param {number} [options.timeoutMs] - Per request (or per streamed chunk)
+ * @param {(step: string) => void} [options.onProgress]
+ * @param {(textSoFar: string) => void} [options.onText]
+ * @returns {Promise<string>} The model's reply text
+ */
+export async function generateContentWithRetry(
+  provider,
+  request,
+  { maxRetries = ANALYSIS_DEFAULTS.maxRetries, timeoutMs = ANALYSIS_DEFAULTS.requestTimeoutMs, onProgress, onText } = {}
+) {
   let lastError;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -94,41 +240,25 @@ async function generateContentWithRetry(model, content, maxRetries = 3, onProgre
       if (attempt > 1) {
         const delay = Math.min(1000 * Math.pow(2, attempt - 2), 10000); // Exponential backoff, max 10s
         onProgress?.(`Retrying... (Attempt ${attempt}/${maxRetries})`);
-        await sleep(delay);
-      }
-      
-      const result = await Promise.race([
-        model.generateContent(content),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Request timeout')), 120000) // 2 minute timeout
-        )
-      ]);
-      
-      return await result.response;
-    } catch (error) {
-      lastError = error;
-      const errorMessage = error.message || error.toString();
-      
-      // Don't retry on certain errors
-      if (errorMessage.includes('timeout') || 
-          errorMessage.includes('invalid') || 
-          errorMessage.includes('quota') ||
-          errorMessage.includes('401') ||
-          errorMessage.includes('403')) {
-        throw error;
+        await sleep(delay, request.signal);
       }
       
-      // Retry on 503, 500, 429 (rate limit)
-      if (errorMessage.includes('503') || 
-          errorMessage.includes('500') || 
-          errorMessage.includes('429') ||
-          errorMessage.includes('high demand')) {
-        if (attempt < maxRetries) {
-          continue; // Retry
-        }
-      } else {
-        throw error; // Don't retry on other errors
+      throwIfAborted(request.signal);
+
+      if (onText && provider.capabilities.streaming) {
+        return await streamContent(provider, request, onText, timeoutMs);
       }
+
+      let timer;
+      return await abortable(
+        Promise.race([provider.generate(request), timeoutAfter(timeoutMs, (t) => (timer = t))]),
+        request.signal
+      ).finally(() => clearTimeout(timer));
+    } catch (error) {
+      lastError = classifyError(error);
+
+      // Retry on 5xx / high demand; auth, quota, timeouts and the rest won't change by retrying
+      if (lastError?.code !== 'OVERLOADED') throw lastError;
     }
   }
   
@@ -136,36 +266,223 @@ async function generateContentWithRetry(model, content, maxRetries = 3, onProgre
 }
 
 /**
- * Analyze syllabus and past papers using Gemini with fallback
+ * Run `attempt` with each of the provider's models in order, moving on to the
+ * next model while the current one is overloaded (503 / high demand). When
+ * every model is, throws OVERLOADED with the names of the models tried.
+ * @template T
+ * @param {object} provider
+ * @param {(modelConfig: { name: string, label: string }) => Promise<T>} attempt
+ * @param {{ signal?: AbortSignal, onProgress?: (step: string) => void }} [options]
+ * @returns {Promise<T>}
  */
-export async function analyzeExamStrategy(syllabusFile, pyqFile, onProgress) {
-  const startTime = Date.now();
-  
-  try {
-    onProgress?.('Step 1: Extracting PDFs...');
+export async function withModelFallback(provider, attempt, { signal, onProgress } = {}) {
+  let lastError;
 
-    // Layer 2: Gatekeeper - validate document content before calling AI
-    const [syllabusText, pyqText] = await Promise.all([
-      extractTextFromPdf(syllabusFile, 4000).catch(() => ''),
-      extractTextFromPdf(pyqFile, 4000).catch(() => ''),
-    ]);
-    const combinedText = (syllabusText + '\n' + pyqText).slice(0, 8000);
-    const validation = validateDocumentContent(combinedText);
-    if (!validation.passed) {
-      throw Object.assign(
-        new Error('Uploaded file does not appear to be a valid Syllabus or Question Paper.'),
-        { code: 'INVALID_DOCUMENT', status: 400 }
-      );
+  for (const modelConfig of provider.models) {
+    throwIfAborted(signal);
+    try {
+      return await attempt(modelConfig);
+    } catch (modelError) {
+      lastError = classifyError(modelError);
+
+      // If it's a high demand error, try next model
+      if (lastError?.code === 'OVERLOADED') {
+        onProgress?.(`${modelConfig.label} is unavailable. Trying fallback model...`);
+        await sleep(2000, signal); // Brief delay before trying next model
+        continue;
+      }
+
+      throw lastError;
     }
+  }
 
-    // Convert PDFs to base64 for Gemini
-    const [syllabusData, pyqData] = await Promise.all([
-      fileToBase64(syllabusFile),
-      fileToBase64(pyqFile),
-    ]);
+  // If all models failed
+  throw new OverloadedError('All AI models are currently unavailable due to high demand. Please try again in a few minutes.', {
+    models: provider.models.map((model) => model.name),
+    cause: lastError,
+  });
+}
+
+/**
+ * Progress callback for OCR of scanned pages, reported as a Step 1 message.
+ */
+function reportOcrProgress(file, onProgress) {
+  return ({ page, numPages, progress }) => {
+    onProgress?.(`Step 1: Running OCR on ${file.name} (page ${page}/${numPages}, ${Math.round(progress * 100)}%)...`);
+  };
+}
+
+/**
+ * Throw FILE_TOO_LARGE if the PDFs would not fit in one request once base64-encoded.
+ */
+function assertInlineSize(files) {
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  if ((totalBytes * 4) / 3 <= INLINE_REQUEST_MAX_BYTES) return;
+  const largest = files.reduce((a, b) => (b.size > a.size ? b : a));
+  const toMb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+  throw new FileTooLargeError(
+    `The PDFs add up to ${toMb(totalBytes)} MB, more than the AI accepts in one request (about ${toMb((INLINE_REQUEST_MAX_BYTES * 3) / 4)} MB).`,
+    { fileName: largest.name, limitBytes: (INLINE_REQUEST_MAX_BYTES * 3) / 4, canSendText: true }
+  );
+}
+
+/**
+ * Build the parts for each document: the PDF as inlineData (plus its OCR text
+ * if it had scanned pages), or up to `textMaxChars` of extracted text per file
+ * for providers that cannot read PDFs and when `textOnly` is set.
+ * @returns {Promise<Array<Array<object>>>} One list of parts per file, syllabus first
+ */
+export async function buildDocumentParts(
+  provider,
+  syllabusFile,
+  pyqPapers,
+  signal,
+  onProgress,
+  { textOnly = false, textMaxChars = TEXT_ONLY_MAX_CHARS } = {}
+) {
+  const files = [syllabusFile, ...pyqPapers.map((paper) => paper.file)];
+  if (provider.capabilities.pdfInput && !textOnly) {
+    assertInlineSize(files);
+    const pdfParts = await abortable(Promise.all(files.map(fileToBase64)), signal);
+    return pdfParts.map((part, index) => {
+      const ocrText = getOcrText(files[index]);
+      return ocrText ? [part, { text: `OCR text of the scanned pages above:\n${ocrText}` }] : [part];
+    });
+  }
+
+  // One file at a time so OCR progress stays readable
+  const documentParts = [];
+  for (const [index, file] of files.entries()) {
+    const text = await extractTextFromPdf(file, textMaxChars, {
+      signal,
+      onOcrProgress: reportOcrProgress(file, onProgress),
+    });
+    documentParts.push([{ text: `--- ${index === 0 ? 'Syllabus' : 'Past paper'} text ---\n${text}` }]);
+  }
+  return documentParts;
+}
 
-    // Layer 3: Strict Persona system prompt (fail-safe)
-    const prompt = `You are a strict Academic Quality Controller. Your ONLY job is to analyze University Syllabi and Past Exam Papers.
+/**
+ * Extract every question from the past papers and link it to its topic.
+ * A failure here only costs the question list, not the analysis.
+ */
+async function attachQuestions(analysis, pyqPapers, signal, onProgress) {
+  onProgress?.('Step 3: Extracting past questions...');
+  try {
+    const perPaper = await Promise.all(
+      pyqPapers.map(async (paper) => {
+        const pages = await extractPdfPages(paper.file, {
+          maxChars: QUESTION_TEXT_MAX_CHARS,
+          signal,
+          onOcrProgress: reportOcrProgress(paper.file, onProgress),
+        });
+        return extractQuestions(pages).map((question) => ({
+          ...question,
+          year: paper.year,
+          term: paper.term,
+          fileName: paper.file.name,
+        }));
+      })
+    );
+    return { ...analysis, questions: linkQuestionsToTopics(perPaper.flat(), analysis.topics, analysis.outsideSyllabus) };
+  } catch (error) {
+    if (error?.code === 'CANCELLED') throw error;
+    console.warn('Could not extract questions from the past papers:', error);
+    return analysis;
+  }
+}
+
+/**
+ * Errors the offline fallback must not hide: a cancelled run, a rejected
+ * document, and failures the user can fix from the error card (the API key,
+ * the quota wait or another model, sending text instead of large PDFs).
+ */
+const NO_OFFLINE_FALLBACK = new Set(['CANCELLED', 'INVALID_DOCUMENT', 'AUTH', 'QUOTA', 'FILE_TOO_LARGE']);
+
+function canFallBackOffline(error) {
+  return !NO_OFFLINE_FALLBACK.has(error?.code);
+}
+
+/**
+ * Response cache key per model name, or null without a cache or for the
+ * offline engine, which is cheap to re-run. The depth changes the prompt, so
+ * it is part of the prompt version; sending text only and the generation
+ * config change the reply, so they are part of the key too.
+ * @param {{ depth: object, textOnly?: boolean, generationConfig: object }} request
+ */
+async function responseCacheKeys(provider, responseCache, { depth, textOnly, generationConfig }, syllabusFile, pyqPapers, signal) {
+  if (!responseCache || provider.id === 'offline') return null;
+  const promptVersion = `${ANALYSIS_PROMPT_VERSION}/${depth.id}`;
+  const options = { textOnly: Boolean(textOnly), generationConfig };
+  const inputs = await abortable(describeInputs(syllabusFile, pyqPapers), signal);
+  const keys = await Promise.all(
+    provider.models.map((modelConfig) =>
+      responseCacheKey({ promptVersion, providerId: provider.id, model: modelConfig.name, inputs, options })
+    )
+  );
+  return new Map(provider.models.map((modelConfig, index) => [modelConfig.name, keys[index]]));
+}
+
+/**
+ * First cached analysis for the provider's models, in fallback order. A
+ * cache that can't be read only means calling the model.
+ */
+async function readCachedAnalysis(provider, responseCache, cacheKeys, depth, onProgress) {
+  for (const modelConfig of provider.models) {
+    const entry = await responseCache.get(cacheKeys.get(modelConfig.name)).catch((error) => {
+      console.warn('Could not read the response cache:', error);
+      return null;
+    });
+    if (!entry) continue;
+    onProgress?.(`Step 2: Using cached ${modelConfig.label} response from ${new Date(entry.createdAt).toLocaleDateString()} (no API call)...`);
+    return {
+      ...entry.value,
+      meta: { provider: provider.id, model: modelConfig.name, modelLabel: modelConfig.label, depth: depth.id, cachedAt: entry.createdAt },
+    };
+  }
+  return null;
+}
+
+/**
+ * Build the request for one provider and try its models in order. With a
+ * response cache, a stored reply for the same documents, model and prompt
+ * version is used instead (unless `forceRefresh`), and new replies are stored.
+ * @returns {Promise<object>} The validated analysis with `meta` naming the model used
+ */
+async function analyzeWithProvider(provider, context) {
+  const { syllabusFile, pyqPapers, signal, onProgress, onText, startTime, responseCache, forceRefresh, textOnly } = context;
+  const { depth, generationConfig: configOverrides, requestTimeoutMs, maxRetries } = context;
+  const generationConfig = {
+    temperature: ANALYSIS_DEFAULTS.temperature,
+    topP: 0.95,
+    topK: 40,
+    maxOutputTokens: ANALYSIS_DEFAULTS.maxOutputTokens,
+    ...configOverrides,
+  };
+  const cacheKeys = await responseCacheKeys(
+    provider,
+    responseCache,
+    { depth, textOnly, generationConfig },
+    syllabusFile,
+    pyqPapers,
+    signal
+  );
+  if (cacheKeys && !forceRefresh) {
+    const cached = await readCachedAnalysis(provider, responseCache, cacheKeys, depth, onProgress);
+    if (cached) return cached;
+  }
+
+  // Convert PDFs to base64 (or extracted text) for the model
+  const [syllabusData, ...pyqData] = await buildDocumentParts(provider, syllabusFile, pyqPapers, signal, onProgress, {
+    textOnly,
+    textMaxChars: depth.textMaxChars,
+  });
+  const paperList = pyqPapers
+    .map((paper, index) => `- Paper ${index + 1}: ${formatPaperLabel(paper)} (year: ${paper.year}, term: "${paper.term}")`)
+    .join('\n');
+
+  // Layer 3: Strict Persona system prompt (fail-safe)
+  const prompt = `You are a strict Academic Quality Controller. Your ONLY job is to analyze University Syllabi and Past Exam Papers.
 
 PHASE 1: VALIDATION
 First, scan the provided documents for academic context. Look for course codes, unit breakdowns, university names, or question patterns.
@@ -174,15 +491,21 @@ First, scan the provided documents for academic context. Look for course codes,
 
 PHASE 2: ANALYSIS
 Only if Phase 1 passes (documents are clearly syllabus or exam papers), proceed:
-Map syllabus topics to exam questions. Identify "Low Effort, High Reward" topics (short topics that appear frequently).
+Map syllabus topics to exam questions. Identify "Low Effort, High Reward" topics (short topics that appear frequently).${depth.topicScope ? ` ${depth.topicScope}` : ''}
+
+The first document is the syllabus. It is followed by ${pyqPapers.length} past paper(s), each preceded by its label:
+${paperList}
 
 For each topic, provide:
 - Topic name
 - Confidence score (0-100)
 - Effort level (Low/Medium/High)
 - Reward level (Low/Medium/High)
-- Frequency count
-- Key concepts (2-3 max)
+- Frequency count (total number of questions across all papers)
+- Appearances: one entry per question on this topic, with the paper's year and term exactly as labelled above and the question number as printed (e.g. "3b")
+- Key concepts (${depth.keyConcepts})
+
+Also list every unit of the syllabus with ALL of its topics in "syllabusUnits", including topics that never appeared in the papers. Use the same names as in "topics" for topics that did appear. Only give a topic an appearance if the question is really about it; questions on material outside the syllabus get no appearance at all. List those questions in "outsideSyllabus" instead, in the same form as appearances, and leave it empty when every question is on the syllabus.
 
 Output ONLY valid JSON (no error field):
 {
@@ -192,11 +515,21 @@ Output ONLY valid JSON (no error field):
       "confidence": 92,
       "effort": "Low",
       "reward": "High",
-      "frequency": 5,
+      "frequency": 2,
+      "appearances": [
+        { "year": 2022, "term": "End-Sem", "questionNo": "3b" },
+        { "year": 2021, "term": "Mid-Sem", "questionNo": "1a" }
+      ],
       "keyConcepts": ["concept1", "concept2"],
       "priority": "High"
     }
   ],
+  "syllabusUnits": [
+    { "name": "Unit 1: Unit Title", "topics": ["Topic Name", "Another Syllabus Topic"] }
+  ],
+  "outsideSyllabus": [
+    { "year": 2023, "term": "End-Sem", "questionNo": "6" }
+  ],
   "summary": {
     "totalTopics": 10,
     "highPriorityCount": 3,
@@ -204,119 +537,223 @@ Output ONLY valid JSON (no error field):
   }
 }`;
 
-    const content = [
-      { text: prompt },
-      syllabusData,
-      pyqData,
-    ];
-
-    const generationConfig = {
-      temperature: 0.7,
-      topP: 0.95,
-      topK: 40,
-      maxOutputTokens: 4096,
-    };
+  const parts = [
+    { text: prompt },
+    ...syllabusData,
+    ...pyqPapers.flatMap((paper, index) => [
+      { text: `Past paper ${index + 1}: ${formatPaperLabel(paper)}` },
+      ...pyqData[index],
+    ]),
+  ];
 
-    // Try models in order: gemini-3-flash-preview -> gemini-1.5-flash -> gemini-1.5-pro
-    const modelsToTry = [
-      { name: 'gemini-3-flash-preview', label: 'Gemini 3 Flash' },
-      { name: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash' },
-      { name: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro' },
-    ];
+  const retryOptions = { maxRetries, timeoutMs: requestTimeoutMs, onProgress };
 
-    let lastError;
-    
-    const genAI = getGenAI();
-    
-    for (const modelConfig of modelsToTry) {
+  return withModelFallback(
+    provider,
+    async (modelConfig) => {
+      onProgress?.(`Step 2: Analyzing documents with ${modelConfig.label}...`);
+
+      const request = { model: modelConfig.name, parts, generationConfig, signal };
+
+      onProgress?.('Step 3: Generating Priority Matrix...');
+
+      // Add a timeout indicator
+      const progressInterval = setInterval(() => {
+        const elapsed = Math.floor((Date.now() - startTime) / 1000);
+        if (elapsed > 10) {
+          onProgress?.(`Step 3: Generating Priority Matrix... (${elapsed}s)`);
+        }
+      }, 5000);
+
+      let responseText;
       try {
-        onProgress?.(`Step 2: Analyzing documents with ${modelConfig.label}...`);
-        
-        const model = genAI.getGenerativeModel({ 
-          model: modelConfig.name,
-          generationConfig,
+        responseText = await generateContentWithRetry(provider, request, { ...retryOptions, onText });
+      } finally {
+        clearInterval(progressInterval);
+      }
+
+      const analysis = await validateWithRepair(responseText, provider, request, retryOptions);
+
+      const totalTime = Math.floor((Date.now() - startTime) / 1000);
+      console.log(`Analysis completed in ${totalTime} seconds using ${modelConfig.name}`);
+
+      if (cacheKeys) {
+        await responseCache.set(cacheKeys.get(modelConfig.name), analysis).catch((error) => {
+          console.warn('Could not store the reply in the response cache:', error);
         });
+      }
 
-        onProgress?.('Step 3: Generating Priority Matrix...');
-
-        // Add a timeout indicator
-        const progressInterval = setInterval(() => {
-          const elapsed = Math.floor((Date.now() - startTime) / 1000);
-          if (elapsed > 10) {
-            onProgress?.(`Step 3: Generating Priority Matrix... (${elapsed}s)`);
-          }
-        }, 5000);
-
-        try {
-          const response = await generateContentWithRetry(model, content, 3, onProgress);
-          clearInterval(progressInterval);
-          
-          const analysis = processResponse(response);
-          
-          const totalTime = Math.floor((Date.now() - startTime) / 1000);
-          console.log(`Analysis completed in ${totalTime} seconds using ${modelConfig.name}`);
-          
-          return analysis;
-        } catch (apiError) {
-          clearInterval(progressInterval);
-          
-          const errorMessage = apiError.message || apiError.toString();
-          
-          // If it's a high demand error, try next model
-          if (errorMessage.includes('503') || 
-              errorMessage.includes('high demand') ||
-              errorMessage.includes('currently experiencing')) {
-            lastError = apiError;
-            onProgress?.(`${modelConfig.label} is unavailable. Trying fallback model...`);
-            await sleep(2000); // Brief delay before trying next model
-            continue; // Try next model
-          }
-          
-          throw apiError; // Other errors, don't try next model
-        }
-      } catch (modelError) {
-        lastError = modelError;
-        const errorMessage = modelError.message || modelError.toString();
-        
-        // If it's a high demand error, try next model
-        if (errorMessage.includes('503') || 
-            errorMessage.includes('high demand') ||
-            errorMessage.includes('currently experiencing')) {
-          onProgress?.(`${modelConfig.label} is unavailable. Trying fallback model...`);
-          await sleep(2000);
-          continue;
+      // Record which model produced the result (shown in history)
+      return {
+        ...analysis,
+        meta: { provider: provider.id, model: modelConfig.name, modelLabel: modelConfig.label, depth: depth.id },
+      };
+    },
+    { signal, onProgress }
+  );
+}
+
+/**
+ * Hand the files to a provider that runs the whole pipeline remotely (the API
+ * server). It cannot render scanned pages for OCR, so they are recognised here
+ * first and their text is sent along. The result's `meta.provider` names the
+ * remote provider, like every other result, and `meta.serverProvider` the one
+ * the server used.
+ */
+async function analyzeRemotely(provider, syllabusFile, pyqPapers, onProgress, { signal, onPartialTopics, forceRefresh, textOnly }) {
+  onProgress?.('Step 1: Extracting PDFs...');
+  const files = [syllabusFile, ...pyqPapers.map((paper) => paper.file)];
+  for (const file of files) {
+    await extractPdfPages(file, {
+      maxChars: QUESTION_TEXT_MAX_CHARS,
+      signal,
+      onOcrProgress: reportOcrProgress(file, onProgress),
+    }).catch((error) => {
+      // An unreadable file is for the server to reject
+      if (error?.code === 'CANCELLED') throw error;
+    });
+  }
+  const analysis = await provider.analyze({
+    syllabusFile,
+    pyqPapers,
+    ocrPages: files.map(getOcrPages),
+    forceRefresh,
+    textOnly,
+    signal,
+    onProgress,
+    onPartialTopics,
+  });
+  return { ...analysis, meta: { ...analysis.meta, provider: provider.id, serverProvider: analysis.meta?.provider } };
+}
+
+/**
+ * Analyze syllabus and past papers using the configured LLM provider with model fallback.
+ * If the provider fails, falls back to the offline engine and records why in `meta.fallbackReason`.
+ * @param {File} syllabusFile
+ * @param {Array<{ file: File, year: number, term: string }>} pyqPapers - One entry per past paper
+ * @param {(step: string) => void} [onProgress]
+ * @param {object} [options]
+ * @param {object} [options.provider] - Defaults to the provider chosen by env; one with `analyze` (the API server) runs the whole pipeline itself
+ * @param {AbortSignal} [options.signal] - Cancels the request; throws CANCELLED with any topics received so far as `partialAnalysis`
+ * @param {(topics: Array) => void} [options.onPartialTopics] - Streams the reply and reports topics as each one completes
+ * @param {object} [options.responseCache] - Reuse and store model replies (see responseCache.js)
+ * @param {boolean} [options.forceRefresh] - Call the model even when a cached reply exists
+ * @param {string[]} [options.models] - Model names to try, in order (default: all of the provider's)
+ * @param {boolean} [options.textOnly] - Send extracted text instead of the PDFs, for uploads too large to send inline
+ * @param {{ temperature?: number, maxOutputTokens?: number }} [options.generationConfig] - Overrides ANALYSIS_DEFAULTS
+ * @param {number} [options.requestTimeoutMs] - Per model request
+ * @param {number} [options.maxRetries] - Attempts per model while it is overloaded
+ * @param {string} [options.depth] - One of ANALYSIS_DEPTHS ('standard' by default)
+ * @throws {Error} A typed error from utils/errors (AUTH, QUOTA, OVERLOADED, ...) when the UI can offer a way out
+ */
+export async function analyzeExamStrategy(syllabusFile, pyqPapers, onProgress, options = {}) {
+  const startTime = Date.now();
+  const { signal, onPartialTopics } = options;
+  const provider = withModelOrder(options.provider || getDefaultProvider(), options.models);
+  if (provider.analyze) return analyzeRemotely(provider, syllabusFile, pyqPapers, onProgress, options);
+  let streamedTopics = [];
+
+  // Report each topic as soon as its JSON object has fully arrived
+  const onText = onPartialTopics
+    ? (text) => {
+        const topics = normalizePartialTopics(extractCompleteTopics(text));
+        if (topics.length !== streamedTopics.length) {
+          streamedTopics = topics;
+          onPartialTopics(topics);
         }
-        
-        throw modelError;
       }
+    : undefined;
+  
+  try {
+    if (!pyqPapers || pyqPapers.length === 0) {
+      throw new Error('Upload at least one past year question paper.');
     }
-    
-    // If all models failed
-    throw lastError || new Error('All models are currently unavailable. Please try again later.');
+
+    onProgress?.('Step 1: Extracting PDFs...');
+
+    // Layer 2: Gatekeeper - validate document content before calling AI
+    const [syllabusText, ...pyqTexts] = await Promise.all([
+      extractTextFromPdf(syllabusFile, 4000, { signal, onOcrProgress: reportOcrProgress(syllabusFile, onProgress) }).catch(() => ''),
+      ...pyqPapers.map((paper) =>
+        extractTextFromPdf(paper.file, 4000, { signal, onOcrProgress: reportOcrProgress(paper.file, onProgress) }).catch(() => '')
+      ),
+    ]);
+    throwIfAborted(signal);
+    const combinedText = (syllabusText + '\n' + pyqTexts.join('\n')).slice(0, 8000);
+    const validation = validateDocumentContent(combinedText);
+    if (!validation.passed) {
+      throw new InvalidDocumentError('Uploaded file does not appear to be a valid Syllabus or Question Paper.');
+    }
+
+    const { responseCache, forceRefresh, textOnly, generationConfig, requestTimeoutMs, maxRetries } = options;
+    const depth =
+      ANALYSIS_DEPTHS.find((entry) => entry.id === options.depth) ||
+      ANALYSIS_DEPTHS.find((entry) => entry.id === ANALYSIS_DEFAULTS.depth);
+    const context = {
+      syllabusFile,
+      pyqPapers,
+      signal,
+      onProgress,
+      onText,
+      startTime,
+      responseCache,
+      forceRefresh,
+      textOnly,
+      depth,
+      generationConfig,
+      requestTimeoutMs,
+      maxRetries,
+    };
+
+    let analysis;
+    try {
+      analysis = await analyzeWithProvider(provider, context);
+    } catch (providerError) {
+      if (provider.id === 'offline' || !canFallBackOffline(providerError)) throw providerError;
+
+      console.warn(`${provider.label} failed, falling back to offline analysis:`, providerError);
+      onProgress?.('Step 2: AI unavailable. Falling back to offline analysis...');
+      if (streamedTopics.length > 0) {
+        streamedTopics = [];
+        onPartialTopics([]);
+      }
+
+      let fallback;
+      try {
+        fallback = await analyzeWithProvider(createProvider('offline'), context);
+      } catch (offlineError) {
+        if (offlineError?.code === 'CANCELLED') throw offlineError;
+        console.warn('Offline fallback failed:', offlineError);
+        throw providerError; // The AI error explains more than the fallback's
+      }
+      analysis = {
+        ...fallback,
+        meta: { ...fallback.meta, fallbackFrom: provider.label, fallbackReason: providerError.message },
+      };
+    }
+
+    return await attachQuestions(analysis, pyqPapers, signal, onProgress);
     
   } catch (error) {
-    console.error('Error analyzing documents:', error);
+    if (error?.code !== 'CANCELLED') {
+      console.error('Error analyzing documents:', error);
+    }
 
-    // Preserve INVALID_DOCUMENT for UI to show friendly card
-    if (error && error.code === 'INVALID_DOCUMENT') {
+    // Cancelled by the user: hand back the topics that had already streamed in
+    if (error && error.code === 'CANCELLED') {
+      if (streamedTopics.length > 0) {
+        error.partialAnalysis = {
+          topics: streamedTopics,
+          summary: buildSummary(streamedTopics),
+          meta: { partial: true },
+        };
+      }
       throw error;
     }
 
-    const errorMessage = error.message || error.toString();
-
-    // Provide more helpful error messages
-    if (errorMessage.includes('timeout')) {
-      throw new Error('Request timeout: Analysis is taking longer than expected. Please try again with smaller PDFs.');
-    } else if (errorMessage.includes('quota') || errorMessage.includes('429')) {
-      throw new Error('API quota exceeded. Please try again later.');
-    } else if (errorMessage.includes('invalid') || errorMessage.includes('401') || errorMessage.includes('403')) {
-      throw new Error('Invalid API key or request. Please check your configuration.');
-    } else if (errorMessage.includes('503') || errorMessage.includes('high demand') || errorMessage.includes('currently experiencing')) {
-      throw new Error('The AI model is currently experiencing high demand. Please wait a moment and try again. The app will automatically retry with fallback models.');
-    } else if (errorMessage.includes('all models')) {
-      throw new Error('All AI models are currently unavailable due to high demand. Please try again in a few minutes.');
-    } else {
-      throw new Error(`Failed to analyze documents: ${errorMessage}`);
-    }
+    // Typed errors (and the offline engine's INVALID_ANALYSIS) already explain themselves
+    const typed = classifyError(error);
+    if (typed !== error || error?.code) throw typed;
+    throw new Error(`Failed to analyze documents: ${error.message || error}`, { cause: error });
   }
 }
@@ -0,0 +1,112 @@
+import { runTransaction, STORES } from './db';
+import { hashFile } from '../utils/fileHash';
+
+/**
+ * Hash the uploaded files and build the key used to find a stored result for
+ * the same inputs. Paper tags are part of the key because they change the
+ * per-year attribution in the result.
+ * @param {File} syllabusFile
+ * @param {Array<{ file: File, year: number, term: string }>} pyqPapers
+ */
+export async function describeInputs(syllabusFile, pyqPapers) {
+  const [syllabusHash, ...paperHashes] = await Promise.all([
+    hashFile(syllabusFile),
+    ...pyqPapers.map((paper) => hashFile(paper.file)),
+  ]);
+  const papers = pyqPapers.map((paper, index) => ({
+    name: paper.file.name,
+    hash: paperHashes[index],
+    year: paper.year,
+    term: paper.term,
+  }));
+  const paperKeys = papers.map((p) => `${p.hash}@${p.year}-${p.term}`).sort();
+  return {
+    syllabus: { name: syllabusFile.name, hash: syllabusHash },
+    papers,
+    cacheKey: [syllabusHash, ...paperKeys].join('|'),
+  };
+}
+
+/**
+ * All saved analyses, newest first.
+ * @returns {Promise<Array>}
+ */
+export async function listAnalyses() {
+  const records = await runTransaction(STORES.analyses, 'readonly', (store) => store.getAll());
+  return (records || []).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Most recent saved analysis for the given inputs, if any. Offline fallback
+ * results are skipped so the next run tries the AI again.
+ * @param {string} cacheKey
+ * @param {string} [providerId] - Only match results from this provider
+ * @param {string} [depth] - Only match results of this analysis depth (older ones count as 'standard')
+ */
+export async function findAnalysisByInputs(cacheKey, providerId, depth) {
+  const records = await runTransaction(STORES.analyses, 'readonly', (store) =>
+    store.index('cacheKey').getAll(cacheKey)
+  );
+  return (
+    (records || [])
+      .filter(({ analysis }) => !analysis?.meta?.fallbackReason)
+      .filter(({ analysis }) => !providerId || analysis?.meta?.provider === providerId)
+      .filter(({ analysis }) => !depth || (analysis?.meta?.depth ?? 'standard') === depth)
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null
+  );
+}
+
+/**
+ * Save a new analysis run, optionally linked to a course in the library.
+ * @param {{ name: string, inputs: object, analysis: object, courseId?: string|null }} entry
+ * @returns {Promise<object>} The stored record
+ */
+export async function saveAnalysis({ name, inputs, analysis, courseId = null }) {
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    createdAt: Date.now(),
+    model: analysis.meta?.modelLabel || analysis.meta?.model || 'Unknown model',
+    syllabus: inputs.syllabus,
+    papers: inputs.papers,
+    cacheKey: inputs.cacheKey,
+    courseId,
+    analysis,
+  };
+  await runTransaction(STORES.analyses, 'readwrite', (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Rename a saved analysis.
+ * @param {string} id
+ * @param {string} name
+ */
+export async function renameAnalysis(id, name) {
+  const record = await runTransaction(STORES.analyses, 'readonly', (store) => store.get(id));
+  if (!record) return null;
+  const updated = { ...record, name };
+  await runTransaction(STORES.analyses, 'readwrite', (store) => store.put(updated));
+  return updated;
+}
+
+/**
+ * Replace the stored analysis object (e.g. after the user edits ratings).
+ * @param {string} id
+ * @param {object} analysis
+ */
+export async function updateStoredAnalysis(id, analysis) {
+  const record = await runTransaction(STORES.analyses, 'readonly', (store) => store.get(id));
+  if (!record) return null;
+  const updated = { ...record, analysis };
+  await runTransaction(STORES.analyses, 'readwrite', (store) => store.put(updated));
+  return updated;
+}
+
+/**
+ * Delete a saved analysis.
+ * @param {string} id
+ */
+export async function deleteAnalysis(id) {
+  await runTransaction(STORES.analyses, 'readwrite', (store) => store.delete(id));
+}
@@ -0,0 +1,56 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { AuthError } from '../../utils/errors';
+
+/**
+ * Models tried in order: gemini-3-flash-preview -> gemini-1.5-flash -> gemini-1.5-pro
+ */
+export const GEMINI_MODELS = [
+  { name: 'gemini-3-flash-preview', label: 'Gemini 3 Flash' },
+  { name: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash' },
+  { name: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro' },
+];
+
+/**
+ * Google Gemini provider. Accepts PDFs directly as inlineData parts.
+ * `baseUrl` replaces Google's API host, e.g. to point the API server at a local mock.
+ * @param {{ apiKey?: string, baseUrl?: string, models?: Array<{ name: string, label: string }> }} options
+ */
+export function createGeminiProvider({ apiKey, baseUrl, models = GEMINI_MODELS } = {}) {
+  let genAI;
+
+  function getGenAI() {
+    if (!apiKey || apiKey.trim() === '') {
+      throw new AuthError('No Gemini API key. Paste one in Settings or set VITE_GEMINI_API_KEY in the .env file.', { missingKey: true });
+    }
+    if (!genAI) genAI = new GoogleGenerativeAI(apiKey);
+    return genAI;
+  }
+
+  function getModel(model, generationConfig) {
+    return getGenAI().getGenerativeModel({ model, generationConfig }, baseUrl ? { baseUrl } : undefined);
+  }
+
+  // Single-turn requests pass the parts as-is; conversations send every turn
+  const toRequest = (parts, history) => (history?.length ? { contents: [...history, { role: 'user', parts }] } : parts);
+
+  return {
+    id: 'gemini',
+    label: 'Google Gemini',
+    models,
+    capabilities: { pdfInput: true, streaming: true },
+
+    async generate({ model, parts, history, generationConfig, signal }) {
+      const result = await getModel(model, generationConfig).generateContent(toRequest(parts, history), { signal });
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *stream({ model, parts, history, generationConfig, signal }) {
+      const result = await getModel(model, generationConfig).generateContentStream(toRequest(parts, history), { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+  };
+}
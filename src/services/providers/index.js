@@ -0,0 +1,85 @@
+import { createGeminiProvider } from './geminiProvider';
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider';
+import { createMockProvider } from './mockProvider';
+import { createOfflineProvider } from './offlineProvider';
+import { createServerProvider } from './serverProvider';
+
+/**
+ * LLM provider interface shared by every implementation:
+ *
+ * {
+ *   id: string,
+ *   label: string,
+ *   models: Array<{ name: string, label: string }>, // tried in order
+ *   capabilities: { pdfInput: boolean, streaming: boolean },
+ *   generate({ model, parts, history, generationConfig, signal, task, input }): Promise<string>,
+ *   stream({ model, parts, history, generationConfig, signal, task, input }): AsyncIterable<string>,
+ *   analyze?({ syllabusFile, pyqPapers, ocrPages, forceRefresh, textOnly, signal, onProgress, onPartialTopics }): Promise<object>,
+ * }
+ *
+ * `parts` use Gemini's shape: `{ text }` or `{ inlineData: { data, mimeType } }`.
+ * Providers without `pdfInput` only receive text parts. `history` is optional:
+ * earlier turns of a conversation as `{ role: 'user' | 'model', parts }`, with
+ * `parts` being the new user turn. `signal` is an optional AbortSignal that
+ * should cancel the underlying request. `task` ('quiz', 'grading' or 'chat',
+ * absent for the analysis) is only a hint for canned providers; real models
+ * go by the prompt. With a task, `input` is the data its prompt was built from
+ * (see taskPrompts.js); the server provider sends that instead of the prompt,
+ * since the API server builds prompts itself. `analyze` is only implemented by providers that run the
+ * whole analysis pipeline remotely (the API server in server/).
+ */
+
+export const PROVIDER_IDS = ['gemini', 'openai', 'mock', 'offline', 'server'];
+
+/**
+ * Create a provider by id. Options override the values read from env.
+ * @param {string} id
+ * @param {object} [options]
+ */
+export function createProvider(id, options = {}) {
+  const env = import.meta.env ?? {};
+
+  switch (id) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.VITE_GEMINI_API_KEY, ...options });
+    case 'openai': {
+      const model = env.VITE_OPENAI_MODEL || 'local-model';
+      return createOpenAICompatibleProvider({
+        baseUrl: env.VITE_OPENAI_BASE_URL,
+        apiKey: env.VITE_OPENAI_API_KEY,
+        models: [{ name: model, label: model }],
+        ...options,
+      });
+    }
+    case 'mock':
+      return createMockProvider(options);
+    case 'offline':
+      return createOfflineProvider();
+    case 'server':
+      return createServerProvider({ baseUrl: env.VITE_API_URL, ...options });
+    default:
+      throw new Error(`Unknown LLM provider "${id}". Use one of: ${PROVIDER_IDS.join(', ')}.`);
+  }
+}
+
+/**
+ * The provider limited to `modelNames`, tried in that order. Unknown names are
+ * ignored; with none left (or no names) the provider is returned as-is.
+ * @param {object} provider
+ * @param {string[]} [modelNames]
+ */
+export function withModelOrder(provider, modelNames) {
+  if (!modelNames?.length) return provider;
+  const models = modelNames.map((name) => provider.models.find((model) => model.name === name)).filter(Boolean);
+  return models.length ? { ...provider, models } : provider;
+}
+
+/**
+ * The API server when VITE_API_URL is set, so no model key is needed in the
+ * browser. Otherwise the provider selected by VITE_LLM_PROVIDER (defaults to Gemini).
+ * @param {object} [options] - Passed to createProvider, e.g. an `apiKey` from settings
+ */
+export function getDefaultProvider(options = {}) {
+  const env = import.meta.env ?? {};
+  return createProvider(env.VITE_API_URL ? 'server' : env.VITE_LLM_PROVIDER || 'gemini', options);
+}
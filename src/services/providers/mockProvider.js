@@ -0,0 +1,139 @@
+import { sleep, throwIfAborted } from '../../utils/abort';
+
+/**
+ * Canned topics returned by the mock provider. Keep deterministic: demos and
+ * automated tests depend on the exact output.
+ */
+const MOCK_TOPICS = [
+  { name: 'Fourier Series', confidence: 94, effort: 'Low', reward: 'High', keyConcepts: ['Dirichlet conditions', 'Half-range expansion'], priority: 'High' },
+  { name: 'Laplace Transform', confidence: 90, effort: 'Medium', reward: 'High', keyConcepts: ['Region of convergence', 'Inverse transform'], priority: 'High' },
+  { name: 'Z-Transform', confidence: 82, effort: 'Medium', reward: 'High', keyConcepts: ['Pole-zero plot', 'Stability'], priority: 'High' },
+  { name: 'Convolution', confidence: 76, effort: 'Low', reward: 'Medium', keyConcepts: ['Graphical method', 'Properties'], priority: 'Medium' },
+  { name: 'Sampling Theorem', confidence: 68, effort: 'Low', reward: 'Medium', keyConcepts: ['Nyquist rate', 'Aliasing'], priority: 'Medium' },
+  { name: 'State Space Analysis', confidence: 45, effort: 'High', reward: 'Low', keyConcepts: ['State transition matrix'], priority: 'Low' },
+];
+
+/**
+ * Syllabus units for the coverage report, including topics never asked.
+ */
+const MOCK_SYLLABUS_UNITS = [
+  { name: 'Unit 1: Signals and LTI Systems', topics: ['Convolution', 'Classification of Signals', 'Correlation'] },
+  { name: 'Unit 2: Fourier Analysis', topics: ['Fourier Series', 'Fourier Transform', 'Sampling Theorem'] },
+  { name: 'Unit 3: Transforms', topics: ['Laplace Transform', 'Z-Transform'] },
+  { name: 'Unit 4: State Space', topics: ['State Space Analysis', 'Controllability and Observability'] },
+];
+
+const PAPER_LABEL = /^Past paper \d+: (\d{4}) (Mid-Sem|End-Sem)/;
+
+/**
+ * Read the paper labels the pipeline places before each PYQ part.
+ */
+function papersFromParts(parts) {
+  return parts
+    .map((part) => (typeof part.text === 'string' ? part.text.match(PAPER_LABEL) : null))
+    .filter(Boolean)
+    .map((match) => ({ year: Number(match[1]), term: match[2] }));
+}
+
+/**
+ * Build the canned analysis, spreading topics over the uploaded papers so the
+ * per-paper attribution UI has something to show.
+ */
+export function buildMockAnalysis(parts = []) {
+  const papers = papersFromParts(parts);
+  const topics = MOCK_TOPICS.map((topic, topicIndex) => {
+    const appearances = papers
+      .filter((_, paperIndex) => (topicIndex + paperIndex) % 3 !== 2)
+      .map((paper, i) => ({ ...paper, questionNo: `${(topicIndex % 5) + 1}${'abc'[i % 3]}` }));
+    return {
+      ...topic,
+      frequency: appearances.length || MOCK_TOPICS.length - topicIndex,
+      appearances,
+    };
+  });
+
+  return {
+    topics,
+    syllabusUnits: MOCK_SYLLABUS_UNITS,
+    outsideSyllabus: papers.slice(0, 1).map((paper) => ({ ...paper, questionNo: '6' })),
+    summary: {
+      totalTopics: topics.length,
+      highPriorityCount: topics.filter((t) => t.priority === 'High').length,
+      lowEffortHighReward: topics.filter((t) => t.effort === 'Low' && t.reward === 'High').length,
+    },
+  };
+}
+
+/**
+ * Canned practice quiz for the topic named in the quiz prompt.
+ */
+function buildMockQuiz(parts = []) {
+  const topic = parts[0]?.text?.match(/^Topic: (.+)$/m)?.[1] || 'this topic';
+  return {
+    questions: [
+      { type: 'mcq', prompt: `Which statement about ${topic} is correct?`, options: ['It is linear', 'It is never used', 'It has no inverse', 'It only applies to images'], answerIndex: 0, explanation: `${topic} is a linear operation.` },
+      { type: 'mcq', prompt: `${topic} is most often asked for how many marks?`, options: ['2', '5', '10', '20'], answerIndex: 2, explanation: 'Long questions on it carry 10 marks in the past papers.' },
+      { type: 'mcq', prompt: `Which tool is typically used alongside ${topic}?`, options: ['Convolution', 'Sorting', 'Hashing', 'Recursion'], answerIndex: 0, explanation: 'Convolution appears in most questions on it.' },
+      { type: 'short', prompt: `State and explain one key property of ${topic}.`, marks: 5, rubric: ['Names a property', 'States it correctly', 'Gives an example'], modelAnswer: `Linearity: ${topic} of a sum is the sum of the parts, e.g. for two signals.` },
+    ],
+  };
+}
+
+/**
+ * Canned grades: half marks (rounded up) for every answer sent.
+ */
+function buildMockGrades(parts = []) {
+  const items = JSON.parse(parts[0]?.text?.match(/Answers to grade:\n([\s\S]*?)\n\nOutput ONLY/)?.[1] || '[]');
+  return {
+    grades: items.map((item) => ({ id: item.id, score: Math.ceil(item.marks / 2), feedback: 'Mock grade: half marks.' })),
+  };
+}
+
+/**
+ * Canned chat answer that echoes the question and cites a past paper.
+ */
+function buildMockChatReply(parts = []) {
+  const question = parts.map((part) => part.text).filter(Boolean).join(' ').trim();
+  return `Mock answer to "${question}". Fourier Series is asked in most papers, usually as a 10-mark question [2022 End-Sem Q1a].`;
+}
+
+/**
+ * Reply text for a request: the analysis JSON, a quiz / grades when `task`
+ * asks for one, or a plain-text chat answer. Also served by the mock model
+ * API in server/.
+ */
+export function buildMockReply({ parts, task }) {
+  if (task === 'chat') return buildMockChatReply(parts);
+  const reply = task === 'quiz' ? buildMockQuiz(parts) : task === 'grading' ? buildMockGrades(parts) : buildMockAnalysis(parts);
+  return JSON.stringify(reply, null, 2);
+}
+
+/**
+ * Offline provider that needs no network or API key.
+ * @param {{ latencyMs?: number }} options - Optional artificial delay for demos
+ */
+export function createMockProvider({ latencyMs = 0 } = {}) {
+  return {
+    id: 'mock',
+    label: 'Mock (offline)',
+    models: [{ name: 'mock-analysis', label: 'Mock Model' }],
+    capabilities: { pdfInput: true, streaming: true },
+
+    async generate(request) {
+      throwIfAborted(request.signal);
+      if (latencyMs) await sleep(latencyMs, request.signal);
+      return buildMockReply(request);
+    },
+
+    async *stream(request) {
+      const { signal } = request;
+      const text = buildMockReply(request);
+      const chunkSize = 64;
+      for (let i = 0; i < text.length; i += chunkSize) {
+        throwIfAborted(signal);
+        if (latencyMs) await sleep(latencyMs / 10, signal);
+        yield text.slice(i, i + chunkSize);
+      }
+    },
+  };
+}
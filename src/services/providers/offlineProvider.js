@@ -0,0 +1,54 @@
+import { throwIfAborted } from '../../utils/abort';
+import { analyzeOffline } from '../../utils/offlineAnalysis';
+
+const PAPER_LABEL = /^Past paper \d+: (\d{4}) (Mid-Sem|End-Sem)/;
+const DOCUMENT_TEXT = /^--- (Syllabus|Past paper) text ---\n/;
+
+/**
+ * Collect the syllabus text and each labelled paper's text from the parts
+ * the pipeline builds for text-only providers.
+ */
+function documentsFromParts(parts) {
+  let syllabusText = '';
+  const papers = [];
+  let currentPaper = null;
+
+  for (const part of parts) {
+    if (typeof part.text !== 'string') continue;
+    const label = part.text.match(PAPER_LABEL);
+    if (label) {
+      currentPaper = { year: Number(label[1]), term: label[2], text: '' };
+      papers.push(currentPaper);
+      continue;
+    }
+    const document = part.text.match(DOCUMENT_TEXT);
+    if (!document) continue;
+    const text = part.text.slice(document[0].length);
+    if (document[1] === 'Syllabus') syllabusText += text;
+    else if (currentPaper) currentPaper.text += text;
+  }
+
+  return { syllabusText, papers };
+}
+
+/**
+ * Rule-based "Offline mode": keyword matching in the browser, no model or API key.
+ * Also used as the fallback when every model of the selected provider fails.
+ */
+export function createOfflineProvider() {
+  const generate = async ({ parts, signal }) => {
+    throwIfAborted(signal);
+    return JSON.stringify(analyzeOffline(documentsFromParts(parts)));
+  };
+
+  return {
+    id: 'offline',
+    label: 'Offline mode',
+    models: [{ name: 'offline-tfidf', label: 'Offline keyword matching' }],
+    capabilities: { pdfInput: false, streaming: false },
+    generate,
+    async *stream(request) {
+      yield await generate(request);
+    },
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Join provider-neutral parts into one chat message body.
+ * PDFs (inlineData) are not supported by the chat completions API, so the
+ * pipeline sends extracted text instead when `capabilities.pdfInput` is false.
+ */
+function partsToText(parts) {
+  return parts
+    .filter((part) => typeof part.text === 'string')
+    .map((part) => part.text)
+    .join('\n\n');
+}
+
+/**
+ * Earlier conversation turns followed by the new user message.
+ */
+function toMessages(parts, history = []) {
+  return [
+    ...history.map((turn) => ({ role: turn.role === 'model' ? 'assistant' : 'user', content: partsToText(turn.parts) })),
+    { role: 'user', content: partsToText(parts) },
+  ];
+}
+
+function toRequestBody({ model, parts, history, generationConfig = {} }, stream) {
+  return {
+    model,
+    messages: toMessages(parts, history),
+    temperature: generationConfig.temperature,
+    top_p: generationConfig.topP,
+    max_tokens: generationConfig.maxOutputTokens,
+    stream,
+  };
+}
+
+/**
+ * Throw with the HTTP status (and any Retry-After) so classifyError can type
+ * it the same way it does Gemini errors.
+ */
+async function assertOk(res) {
+  if (res.ok) return;
+  const body = await res.text().catch(() => '');
+  const retryAfterSeconds = Number(res.headers.get('retry-after'));
+  throw Object.assign(new Error(`[${res.status} ${res.statusText}] ${body}`.trim()), {
+    status: res.status,
+    ...(retryAfterSeconds > 0 && { retryAfterMs: retryAfterSeconds * 1000 }),
+  });
+}
+
+/**
+ * Provider for any OpenAI-compatible `/chat/completions` endpoint
+ * (llama.cpp server, Ollama, vLLM, LM Studio, ...).
+ * @param {{ baseUrl: string, apiKey?: string, models: Array<{ name: string, label: string }> }} options
+ */
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, models }) {
+  if (!baseUrl) {
+    throw new Error('VITE_OPENAI_BASE_URL is not set. Point it at your OpenAI-compatible server, e.g. http://localhost:11434/v1');
+  }
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  return {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    models,
+    capabilities: { pdfInput: false, streaming: true },
+
+    async generate(request) {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(toRequestBody(request, false)),
+        signal: request.signal,
+      });
+      await assertOk(res);
+      const data = await res.json();
+      return data.choices?.[0]?.message?.content ?? '';
+    },
+
+    async *stream(request) {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(toRequestBody(request, true)),
+        signal: request.signal,
+      });
+      await assertOk(res);
+
+      // Server-sent events: "data: {...}\n\n", terminated by "data: [DONE]"
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,148 @@
+import { createCancelledError } from '../../utils/abort';
+import { buildSummary } from '../../utils/analysisSchema';
+import { errorFromJson, FileTooLargeError, NetworkError } from '../../utils/errors';
+
+/**
+ * Error from the server's `{ error: { message, code, ... } }` body, rebuilt
+ * as the typed error for its code (INVALID_DOCUMENT, QUOTA, ...) for the UI.
+ */
+function serverError(error, status) {
+  return errorFromJson({ message: `The analysis server failed (${status}).`, ...error });
+}
+
+async function assertOk(res) {
+  if (res.ok) return;
+  const body = await res.json().catch(() => null);
+  throw serverError(body?.error, res.status);
+}
+
+/**
+ * Server events, one JSON object per line.
+ * @param {ReadableStream<Uint8Array>} body
+ */
+async function* readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+/**
+ * Provider backed by the API server in server/, which holds the model key.
+ * `analyze` uploads the PDFs to `/api/analyze` where the whole pipeline runs;
+ * `generate` (quizzes, grading, chat) sends the task and its input to
+ * `/api/generate`. The server picks and falls back between models itself.
+ * @param {{ baseUrl: string }} options
+ */
+export function createServerProvider({ baseUrl }) {
+  if (!baseUrl) {
+    throw new Error('VITE_API_URL is not set. Point it at the analysis server, e.g. http://localhost:8787');
+  }
+  const apiUrl = baseUrl.replace(/\/+$/, '');
+
+  async function post(path, init) {
+    try {
+      return await fetch(`${apiUrl}${path}`, { method: 'POST', ...init });
+    } catch (error) {
+      if (init.signal?.aborted) throw createCancelledError();
+      throw new NetworkError(`Could not reach the analysis server at ${apiUrl} (${error.message}).`, { cause: error });
+    }
+  }
+
+  // The server's upload cap, read once from /api/health
+  let uploadLimit;
+  function getUploadLimit(signal) {
+    uploadLimit ??= fetch(`${apiUrl}/api/health`, { signal })
+      .then((res) => res.json())
+      .then((health) => health.maxUploadBytes || Infinity)
+      .catch(() => {
+        uploadLimit = undefined;
+        return Infinity;
+      });
+    return uploadLimit;
+  }
+
+  /**
+   * Throw FILE_TOO_LARGE before uploading: the server stops reading an
+   * oversized upload, which the browser only reports as a network error.
+   */
+  async function assertUploadSize(files, signal) {
+    const limitBytes = await getUploadLimit(signal);
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    if (totalBytes <= limitBytes) return;
+    const largest = files.reduce((a, b) => (b.size > a.size ? b : a));
+    throw new FileTooLargeError(`Upload is larger than the server's ${Math.round(limitBytes / 1024 / 1024)} MB limit.`, {
+      fileName: largest.name,
+      limitBytes,
+    });
+  }
+
+  // The server builds the prompt and config for the task; only its input is sent
+  async function generate({ signal, task, input }) {
+    if (!task || !input) throw new Error('The analysis server only runs quiz, grading and chat requests.');
+    const res = await post('/api/generate', {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ task, input }),
+      signal,
+    });
+    await assertOk(res);
+    const { text } = await res.json();
+    return text;
+  }
+
+  return {
+    id: 'server',
+    label: 'Exam Pilot server',
+    models: [{ name: 'server', label: 'the analysis server' }],
+    capabilities: { pdfInput: true, streaming: false },
+    generate,
+
+    async *stream(request) {
+      yield await generate(request);
+    },
+
+    async analyze({ syllabusFile, pyqPapers, ocrPages, forceRefresh, textOnly, signal, onProgress, onPartialTopics }) {
+      const form = new FormData();
+      form.append('syllabus', syllabusFile);
+      for (const paper of pyqPapers) form.append('papers', paper.file);
+      form.append('paperTags', JSON.stringify(pyqPapers.map(({ year, term }) => ({ year, term }))));
+      form.append('ocrPages', JSON.stringify(ocrPages));
+      if (forceRefresh) form.append('forceRefresh', '1');
+      if (textOnly) form.append('textOnly', '1');
+
+      let topics = [];
+      try {
+        await assertUploadSize([syllabusFile, ...pyqPapers.map((paper) => paper.file)], signal);
+        const res = await post('/api/analyze', { body: form, signal });
+        await assertOk(res);
+        for await (const event of readEvents(res.body)) {
+          if (event.type === 'progress') onProgress?.(event.step);
+          else if (event.type === 'topics') {
+            topics = event.topics;
+            onPartialTopics?.(topics);
+          } else if (event.type === 'result') return event.analysis;
+          else if (event.type === 'error') throw serverError(event.error, res.status);
+        }
+        throw new NetworkError('The analysis server closed the connection before the analysis finished.');
+      } catch (error) {
+        if (!signal?.aborted) throw error;
+        // Cancelled by the user: hand back the topics that had already streamed in
+        const cancelled = createCancelledError();
+        if (topics.length > 0) {
+          cancelled.partialAnalysis = { topics, summary: buildSummary(topics), meta: { partial: true } };
+        }
+        throw cancelled;
+      }
+    },
+  };
+}
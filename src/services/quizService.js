@@ -0,0 +1,104 @@
+import { generateContentWithRetry, processResponse, withModelFallback } from './geminiService';
+import { getDefaultProvider } from './providers';
+import { buildTaskRequest } from './taskPrompts';
+import { normalizeQuiz } from '../utils/quiz';
+
+const quizError = (message, code = 'INVALID_QUIZ') => Object.assign(new Error(message), { code });
+
+/**
+ * Provider for quizzes and grading. Offline mode has no model to write or
+ * grade questions, so quizzes are unavailable there.
+ * @param {object} [provider]
+ */
+function quizProvider(provider = getDefaultProvider()) {
+  if (provider.id === 'offline') {
+    throw quizError('Practice quizzes need an AI model. Turn off Offline mode to use them.', 'QUIZ_UNAVAILABLE');
+  }
+  return provider;
+}
+
+/**
+ * Generate a practice quiz for one topic, styled on its past questions.
+ * Uses the same retry and model fallback as the analysis.
+ * @param {object} topic - Topic from the analysis
+ * @param {Array<{ text: string, marks: number|null, year: number, term: string, questionNo: string }>} pastQuestions
+ * @param {{ provider?: object, signal?: AbortSignal, onProgress?: (step: string) => void }} [options]
+ * @returns {Promise<object>} Quiz (see utils/quiz.js) with `meta` naming the model
+ */
+export async function generateQuiz(topic, pastQuestions = [], { provider, signal, onProgress } = {}) {
+  const llm = quizProvider(provider);
+  const input = {
+    topic: { name: topic.name, keyConcepts: topic.keyConcepts },
+    pastQuestions: pastQuestions.map(({ text, marks, year, term, questionNo }) => ({ text, marks, year, term, questionNo })),
+  };
+  const { parts, generationConfig } = buildTaskRequest('quiz', input);
+
+  return withModelFallback(
+    llm,
+    async (modelConfig) => {
+      onProgress?.(`Writing questions with ${modelConfig.label}...`);
+      const request = { model: modelConfig.name, parts, generationConfig, signal, task: 'quiz', input };
+      const text = await generateContentWithRetry(llm, request, { onProgress });
+
+      let parsed;
+      try {
+        parsed = processResponse(text);
+      } catch {
+        throw quizError('The AI returned the quiz in an unexpected format. Try again.');
+      }
+      const { value } = normalizeQuiz(parsed, topic.name);
+      if (!value) throw quizError('The AI returned a quiz without usable questions. Try again.');
+      return { ...value, meta: { provider: llm.id, model: modelConfig.name, modelLabel: modelConfig.label } };
+    },
+    { signal, onProgress }
+  );
+}
+
+/**
+ * Grade short answers against each question's rubric with the model.
+ * Unanswered questions are not sent and get no grade.
+ * @param {object} quiz
+ * @param {Record<string, string>} answers - Text answers by question id
+ * @param {{ provider?: object, signal?: AbortSignal }} [options]
+ * @returns {Promise<Record<string, { score: number, feedback: string }>>} Grades by question id
+ */
+export async function gradeShortAnswers(quiz, answers, { provider, signal } = {}) {
+  const items = quiz.questions
+    .filter((question) => question.type === 'short' && answers[question.id]?.trim())
+    .map((question) => ({
+      id: question.id,
+      question: question.prompt,
+      marks: question.marks,
+      rubric: question.rubric,
+      modelAnswer: question.modelAnswer,
+      studentAnswer: answers[question.id].trim(),
+    }));
+  if (items.length === 0) return {};
+
+  const llm = quizProvider(provider);
+  const input = { items };
+  const { parts, generationConfig } = buildTaskRequest('grading', input);
+
+  return withModelFallback(
+    llm,
+    async (modelConfig) => {
+      const request = { model: modelConfig.name, parts, generationConfig, signal, task: 'grading', input };
+      const text = await generateContentWithRetry(llm, request);
+
+      let parsed;
+      try {
+        parsed = processResponse(text);
+      } catch {
+        throw quizError('The AI returned the grades in an unexpected format. Try submitting again.');
+      }
+      const grades = {};
+      for (const grade of Array.isArray(parsed?.grades) ? parsed.grades : []) {
+        const score = Number(grade?.score);
+        if (typeof grade?.id !== 'string' || !Number.isFinite(score)) continue;
+        grades[grade.id] = { score, feedback: typeof grade.feedback === 'string' ? grade.feedback.trim() : '' };
+      }
+      return grades;
+    },
+    { signal }
+  );
+}
@@ -0,0 +1,61 @@
+import { runTransaction, STORES } from './db';
+import { hashText } from '../utils/fileHash';
+
+/**
+ * Cache of model replies so re-analysing the same PDFs doesn't spend API
+ * quota. Stores share one interface:
+ *
+ * {
+ *   get(key): Promise<{ value: object, createdAt: number } | null>, // null when missing or expired
+ *   set(key, value): Promise<void>,
+ * }
+ *
+ * This module has the IndexedDB store used in the browser; the API server
+ * keeps the same entries on disk (server/fileCache.js).
+ */
+
+/** How long a cached reply is reused (7 days). */
+export const RESPONSE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Cache key for one model call: SHA-256 over the prompt version, provider,
+ * model, the hash of every document (papers in upload order with their
+ * tags, since both appear in the prompt) and the request options that change
+ * the reply, such as sending text only or the generation config.
+ * @param {{ promptVersion: string, providerId: string, model: string, inputs: object, options?: object }} request - `inputs` from describeInputs()
+ * @returns {Promise<string>}
+ */
+export function responseCacheKey({ promptVersion, providerId, model, inputs, options = {} }) {
+  return hashText(
+    JSON.stringify({
+      promptVersion,
+      providerId,
+      model,
+      options,
+      syllabus: inputs.syllabus.hash,
+      papers: inputs.papers.map(({ hash, year, term }) => ({ hash, year, term })),
+    })
+  );
+}
+
+/**
+ * Response cache in the app's IndexedDB. Expired entries are dropped when read.
+ * @param {{ ttlMs?: number }} [options]
+ */
+export function createIndexedDbResponseCache({ ttlMs = RESPONSE_CACHE_TTL_MS } = {}) {
+  return {
+    async get(key) {
+      const entry = await runTransaction(STORES.responses, 'readonly', (store) => store.get(key));
+      if (!entry) return null;
+      if (Date.now() - entry.createdAt > ttlMs) {
+        await runTransaction(STORES.responses, 'readwrite', (store) => store.delete(key));
+        return null;
+      }
+      return { value: entry.value, createdAt: entry.createdAt };
+    },
+
+    async set(key, value) {
+      await runTransaction(STORES.responses, 'readwrite', (store) => store.put({ key, value, createdAt: Date.now() }));
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { runTransaction, STORES } from './db';
+import { ANALYSIS_DEFAULTS, ANALYSIS_DEPTHS } from './geminiService';
+
+/**
+ * User settings from the settings drawer, kept as one IndexedDB record. The
+ * API key stays in this browser; it is only sent to the model provider.
+ */
+const SETTINGS_ID = 'app';
+
+/** Allowed range of each numeric setting, also used by the drawer's inputs. */
+export const SETTING_LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.1 },
+  maxOutputTokens: { min: 1024, max: 32768, step: 1024 },
+  requestTimeoutSec: { min: 30, max: 600, step: 30 },
+  maxRetries: { min: 1, max: 5, step: 1 },
+};
+
+export const DEFAULT_SETTINGS = {
+  apiKey: '',
+  // Model names in the order to try them; empty means the provider's own list
+  models: [],
+  temperature: ANALYSIS_DEFAULTS.temperature,
+  maxOutputTokens: ANALYSIS_DEFAULTS.maxOutputTokens,
+  requestTimeoutSec: ANALYSIS_DEFAULTS.requestTimeoutMs / 1000,
+  maxRetries: ANALYSIS_DEFAULTS.maxRetries,
+  depth: ANALYSIS_DEFAULTS.depth,
+};
+
+function clamp(value, name) {
+  const { min, max } = SETTING_LIMITS[name];
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : DEFAULT_SETTINGS[name];
+}
+
+/**
+ * Settings with every value present and in range; anything missing or
+ * invalid falls back to its default.
+ * @param {object} [settings]
+ */
+export function cleanSettings(settings = {}) {
+  return {
+    apiKey: typeof settings.apiKey === 'string' ? settings.apiKey.trim() : '',
+    models: Array.isArray(settings.models) ? settings.models.filter((name) => typeof name === 'string') : [],
+    temperature: Math.round(clamp(settings.temperature, 'temperature') * 10) / 10,
+    maxOutputTokens: Math.round(clamp(settings.maxOutputTokens, 'maxOutputTokens')),
+    requestTimeoutSec: Math.round(clamp(settings.requestTimeoutSec, 'requestTimeoutSec')),
+    maxRetries: Math.round(clamp(settings.maxRetries, 'maxRetries')),
+    depth: ANALYSIS_DEPTHS.some((depth) => depth.id === settings.depth) ? settings.depth : DEFAULT_SETTINGS.depth,
+  };
+}
+
+/**
+ * The saved settings, or the defaults when none have been saved.
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function loadSettings() {
+  const record = await runTransaction(STORES.settings, 'readonly', (store) => store.get(SETTINGS_ID));
+  return cleanSettings(record ?? DEFAULT_SETTINGS);
+}
+
+/**
+ * Save the settings and return them as stored.
+ * @param {object} settings
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function saveSettings(settings) {
+  const clean = cleanSettings(settings);
+  await runTransaction(STORES.settings, 'readwrite', (store) => store.put({ id: SETTINGS_ID, ...clean }));
+  return clean;
+}
+
+/**
+ * The analyzeExamStrategy options the settings stand for.
+ * @param {typeof DEFAULT_SETTINGS} settings
+ */
+export function analysisOptionsFromSettings(settings) {
+  return {
+    models: settings.models,
+    generationConfig: { temperature: settings.temperature, maxOutputTokens: settings.maxOutputTokens },
+    requestTimeoutMs: settings.requestTimeoutSec * 1000,
+    maxRetries: settings.maxRetries,
+    depth: settings.depth,
+  };
+}
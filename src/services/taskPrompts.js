@@ -0,0 +1,246 @@
+import { formatAppearance, formatPaperLabel } from '../utils/paperTags';
+
+/**
+ * Prompts for the app's model tasks besides the analysis: writing a quiz,
+ * grading short answers and the follow-up chat. The browser and the API
+ * server build requests with the same code, so the server only has to accept
+ * a task and its input, never a prompt (see server/apiHandler.js).
+ */
+
+/** Tasks the API server runs for the browser. */
+export const GENERATE_TASKS = ['quiz', 'grading', 'chat'];
+
+/** Past questions quoted in the quiz prompt as style examples. */
+const MAX_EXAMPLE_QUESTIONS = 8;
+
+const QUIZ_MCQ_COUNT = 5;
+const QUIZ_SHORT_COUNT = 2;
+
+/** Short answers graded in one request (a quiz has QUIZ_SHORT_COUNT). */
+const MAX_GRADED_ANSWERS = 10;
+
+/** Earlier messages sent with each chat question; older ones drop out of the model's view. */
+export const MAX_HISTORY_MESSAGES = 20;
+
+/** Extracted past questions quoted in the chat context. */
+const MAX_CONTEXT_QUESTIONS = 200;
+
+const MAX_QUESTION_CHARS = 4000;
+
+/** Longest earlier answer; a chat reply is capped at 2048 tokens. */
+const MAX_ANSWER_CHARS = 16000;
+
+/** The syllabus and past papers sent along with a chat question. */
+const MAX_CHAT_FILES = 21;
+
+/** All the text in one chat request: the analysis, the files' extracted text and the conversation. */
+const MAX_CHAT_TEXT_CHARS = 400000;
+
+// The text parts createSyllabusChat() sends with the files: a label before
+// each file and its extracted or OCR text. Any other text is refused.
+const DOCUMENT_LABEL = /^(?:Syllabus:|Past paper \d{1,2}: \d{4} [\w-]{1,20})$/;
+const DOCUMENT_TEXT = /^(?:OCR text of the scanned pages above:|--- (?:Syllabus|Past paper) text ---)\n/;
+// Base64 of "%PDF-"
+const PDF_SIGNATURE = 'JVBERi0';
+
+const taskInputError = (message) => Object.assign(new Error(message), { code: 'INVALID_TASK_INPUT' });
+
+const isText = (value) => typeof value === 'string';
+const isTextList = (value) => Array.isArray(value) && value.every(isText);
+
+function describeExamples(pastQuestions) {
+  if (pastQuestions.length === 0) {
+    return 'No past questions were extracted for this topic. Write typical university exam questions on it.';
+  }
+  const examples = pastQuestions.slice(0, MAX_EXAMPLE_QUESTIONS).map((question, index) => {
+    const marks = question.marks != null ? `, ${question.marks} marks` : '';
+    return `${index + 1}. [${formatAppearance(question)}${marks}] ${question.text}`;
+  });
+  return `Past exam questions on this topic:\n${examples.join('\n')}`;
+}
+
+function buildQuizPrompt(topic, pastQuestions) {
+  const keyConcepts = topic.keyConcepts?.length ? `\nKey concepts: ${topic.keyConcepts.join(', ')}` : '';
+  return `You are setting a practice quiz for a university exam. Write questions in the style of the past exam questions below: same level, notation and phrasing.
+
+Topic: ${topic.name}${keyConcepts}
+
+${describeExamples(pastQuestions)}
+
+Write ${QUIZ_MCQ_COUNT} multiple-choice questions (4 options, exactly one correct) and ${QUIZ_SHORT_COUNT} short-answer questions. For each short-answer question give the marks (2-10), a rubric of 2-4 points an examiner would look for, and a model answer.
+
+Output ONLY valid JSON:
+{
+  "questions": [
+    { "type": "mcq", "prompt": "Question text", "options": ["A", "B", "C", "D"], "answerIndex": 0, "explanation": "Why the answer is correct" },
+    { "type": "short", "prompt": "Question text", "marks": 5, "rubric": ["Point 1", "Point 2"], "modelAnswer": "A full-marks answer" }
+  ]
+}`;
+}
+
+function buildGradingPrompt(items) {
+  return `You are a fair but strict university examiner. Grade each student answer against its rubric and model answer. Award whole marks from 0 to the question's marks, with partial credit for partially covered rubric points. Give one or two sentences of feedback naming what was missing or wrong.
+
+Answers to grade:
+${JSON.stringify(items, null, 2)}
+
+Output ONLY valid JSON:
+{
+  "grades": [
+    { "id": "q6", "score": 3, "feedback": "Feedback for the student" }
+  ]
+}`;
+}
+
+function describeAnalysis(analysis) {
+  const topics = analysis.topics.map(({ name, priority, confidence, effort, reward, frequency, appearances, keyConcepts }) => ({
+    name,
+    priority,
+    confidence,
+    effort,
+    reward,
+    frequency,
+    appearances: (appearances || []).map(formatAppearance),
+    keyConcepts,
+  }));
+  return JSON.stringify({ topics, syllabusUnits: analysis.syllabusUnits || [] }, null, 2);
+}
+
+function describeQuestions(questions = []) {
+  if (questions.length === 0) return 'No individual questions were extracted from the papers.';
+  return questions
+    .slice(0, MAX_CONTEXT_QUESTIONS)
+    .map((question) => {
+      const marks = question.marks != null ? `, ${question.marks} marks` : '';
+      const topic = question.topic ? ` (topic: ${question.topic})` : '';
+      return `- [${formatPaperLabel(question)} Q${question.questionNo}, p. ${question.page}${marks}]${topic} ${question.text}`;
+    })
+    .join('\n');
+}
+
+function buildContextPrompt(analysis, hasDocuments) {
+  const source = hasDocuments
+    ? 'The syllabus and past exam papers the student uploaded follow this message, then'
+    : 'The original PDFs are not available in this session, so rely on';
+  return `You are a study assistant helping a university student prepare for an exam. ${source} the priority analysis this app produced from them and the questions extracted from the papers. Answer the student's follow-up questions using only this material.
+
+Cite what every answer relies on in square brackets: syllabus pages as [Syllabus p. 3] and past paper questions as [2022 End-Sem Q3b] (add the page when you know it, e.g. [2022 End-Sem Q3b, p. 2]). If the material does not answer a question, say so instead of guessing. Keep answers short and plain text; use "-" for lists.
+
+Priority analysis:
+${describeAnalysis(analysis)}
+
+Questions extracted from the papers:
+${describeQuestions(analysis.questions)}`;
+}
+
+/**
+ * Document parts as createSyllabusChat() sends them: file labels, extracted
+ * or OCR text, and PDFs inline.
+ */
+function isDocumentPart(part) {
+  if (isText(part?.text)) return Object.keys(part).length === 1 && (DOCUMENT_LABEL.test(part.text) || DOCUMENT_TEXT.test(part.text));
+  return isText(part?.inlineData?.data) && part.inlineData.mimeType === 'application/pdf' && part.inlineData.data.startsWith(PDF_SIGNATURE);
+}
+
+const isMessage = (message) =>
+  (message?.role === 'user' && isText(message.text) && message.text.length <= MAX_QUESTION_CHARS) ||
+  (message?.role === 'model' && isText(message.text) && message.text.length <= MAX_ANSWER_CHARS);
+
+const textLength = (turns) =>
+  turns.flatMap((turn) => turn.parts).reduce((sum, part) => sum + (isText(part.text) ? part.text.length : 0), 0);
+
+const TASKS = {
+  /** @param {{ topic: { name: string, keyConcepts?: string[] }, pastQuestions?: Array<object> }} input */
+  quiz({ topic, pastQuestions = [] }) {
+    if (!isText(topic?.name) || (topic.keyConcepts != null && !isTextList(topic.keyConcepts))) {
+      throw taskInputError('A quiz needs a topic with a name.');
+    }
+    if (!Array.isArray(pastQuestions) || !pastQuestions.every((question) => isText(question?.text))) {
+      throw taskInputError('Past questions must each have their text.');
+    }
+    return {
+      parts: [{ text: buildQuizPrompt(topic, pastQuestions) }],
+      generationConfig: { temperature: 0.8, topP: 0.95, maxOutputTokens: 4096 },
+    };
+  },
+
+  /** @param {{ items: Array<{ id: string, question: string, marks: number, rubric: string[], modelAnswer: string, studentAnswer: string }> }} input */
+  grading({ items }) {
+    const isItem = (item) =>
+      isText(item?.id) &&
+      isText(item.question) &&
+      Number.isFinite(item.marks) &&
+      isTextList(item.rubric) &&
+      isText(item.modelAnswer) &&
+      isText(item.studentAnswer);
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_GRADED_ANSWERS || !items.every(isItem)) {
+      throw taskInputError(`Grading needs 1 to ${MAX_GRADED_ANSWERS} answers, each with its question, marks, rubric and model answer.`);
+    }
+    const fields = items.map(({ id, question, marks, rubric, modelAnswer, studentAnswer }) => ({
+      id,
+      question,
+      marks,
+      rubric,
+      modelAnswer,
+      studentAnswer,
+    }));
+    return {
+      parts: [{ text: buildGradingPrompt(fields) }],
+      generationConfig: { temperature: 0.2, maxOutputTokens: 2048 },
+    };
+  },
+
+  /**
+   * The analysis and documents go into an opening turn before the conversation.
+   * Only the app's own document parts and at most MAX_HISTORY_MESSAGES earlier
+   * messages are accepted, within MAX_CHAT_TEXT_CHARS of text in all.
+   * @param {{ analysis: { topics: Array<object>, syllabusUnits?: Array<object>, questions?: Array<object> }, messages: Array<{ role: 'user'|'model', text: string }>, question: string, documents?: Array<object> }} input
+   */
+  chat({ analysis, messages = [], question, documents = [] }) {
+    if (!isText(question) || !question.trim() || question.length > MAX_QUESTION_CHARS) {
+      throw taskInputError(`Ask a question of at most ${MAX_QUESTION_CHARS} characters.`);
+    }
+    if (!Array.isArray(analysis?.topics) || (analysis.questions != null && !Array.isArray(analysis.questions))) {
+      throw taskInputError('The chat needs the analysis it is about.');
+    }
+    if (!Array.isArray(messages) || messages.length > MAX_HISTORY_MESSAGES || !messages.every(isMessage)) {
+      throw taskInputError(
+        `Send at most ${MAX_HISTORY_MESSAGES} earlier messages, each with a role (user or model) and text of at most ${MAX_QUESTION_CHARS} (user) or ${MAX_ANSWER_CHARS} (model) characters.`
+      );
+    }
+    if (!Array.isArray(documents) || !documents.every(isDocumentPart)) {
+      throw taskInputError('Documents must be the syllabus and past papers as labelled PDF or extracted text parts.');
+    }
+    if (documents.filter((part) => isText(part.text) && DOCUMENT_LABEL.test(part.text)).length > MAX_CHAT_FILES) {
+      throw taskInputError(`The chat can send at most ${MAX_CHAT_FILES} files (the syllabus and past papers).`);
+    }
+    const history = [
+      { role: 'user', parts: [{ text: buildContextPrompt(analysis, documents.length > 0) }, ...documents] },
+      { role: 'model', parts: [{ text: 'I have read the material. What would you like to know?' }] },
+      ...messages.map((message) => ({ role: message.role, parts: [{ text: message.text }] })),
+    ];
+    if (textLength(history) + question.length > MAX_CHAT_TEXT_CHARS) {
+      throw taskInputError(`The chat material is longer than ${MAX_CHAT_TEXT_CHARS} characters. Start a new chat or upload fewer papers.`);
+    }
+    return {
+      parts: [{ text: question }],
+      history,
+      generationConfig: { temperature: 0.4, topP: 0.95, maxOutputTokens: 2048 },
+    };
+  },
+};
+
+/**
+ * The prompt parts, history and generation config for one task.
+ * @param {string} task - One of GENERATE_TASKS
+ * @param {object} input - The task's data (see TASKS above)
+ * @returns {{ parts: Array<object>, history?: Array<object>, generationConfig: object }}
+ * @throws {Error} With code INVALID_TASK_INPUT for an unknown task or malformed input
+ */
+export function buildTaskRequest(task, input) {
+  if (!GENERATE_TASKS.includes(task)) {
+    throw taskInputError(`Unknown task "${task}". Use one of: ${GENERATE_TASKS.join(', ')}.`);
+  }
+  if (!input || typeof input !== 'object') throw taskInputError(`Send the ${task} task's input as an object.`);
+  return TASKS[task](input);
+}
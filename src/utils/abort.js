@@ -0,0 +1,58 @@
+/**
+ * Error thrown when the user cancels an analysis. Carries code CANCELLED so
+ * the UI can tell it apart from real failures.
+ * @returns {Error}
+ */
+export function createCancelledError() {
+  return Object.assign(new Error('Analysis cancelled.'), { name: 'AbortError', code: 'CANCELLED' });
+}
+
+/**
+ * Throw CANCELLED if the signal has already been aborted.
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw createCancelledError();
+}
+
+/**
+ * Settle with `promise`, or reject with CANCELLED as soon as `signal` aborts.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createCancelledError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createCancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Wait `ms` milliseconds. Rejects with CANCELLED (and clears the timer) if
+ * `signal` aborts first.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
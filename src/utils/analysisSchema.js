@@ -0,0 +1,251 @@
+import { EXAM_TERMS } from './paperTags';
+
+/**
+ * Allowed values for effort, reward and priority.
+ */
+export const LEVELS = ['Low', 'Medium', 'High'];
+
+const LEVEL_ALIASES = {
+  low: 'Low',
+  medium: 'Medium',
+  med: 'Medium',
+  moderate: 'Medium',
+  high: 'High',
+};
+
+/**
+ * Shape of the analysis object the UI consumes. Documented here and enforced
+ * by normalizeAnalysis() below.
+ *
+ * {
+ *   topics: [{
+ *     name: string,                 // required, non-empty
+ *     confidence: number,           // 0-100, numeric strings like "85%" accepted
+ *     effort: 'Low'|'Medium'|'High',
+ *     reward: 'Low'|'Medium'|'High',
+ *     priority: 'Low'|'Medium'|'High', // derived from confidence when missing
+ *     frequency: number,            // integer >= 0, derived from appearances when missing
+ *     appearances: [{ year: number, term: 'Mid-Sem'|'End-Sem', questionNo?: string }],
+ *     keyConcepts: string[],
+ *   }],
+ *   summary: { totalTopics, highPriorityCount, lowEffortHighReward }, // always rebuilt from topics
+ *   syllabusUnits: [{ name: string, topics: string[] }], // every syllabus topic, asked or not
+ *   outsideSyllabus: [{ year, term, questionNo? }], // questions the model placed outside the syllabus
+ *   questions?: [{                  // extracted from the papers after the model replies
+ *     year, term, questionNo, text, marks: number|null, page: number, fileName: string,
+ *     topic: string|null,           // name of the topic it was mapped to
+ *     outsideSyllabus?: boolean,    // unmapped because it is listed in outsideSyllabus
+ *   }],
+ * }
+ */
+
+function normalizeLevel(value) {
+  if (typeof value !== 'string') return null;
+  return LEVEL_ALIASES[value.trim().toLowerCase()] || null;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const parsed = parseFloat(value.replace('%', ''));
+    return Number.isNaN(parsed) ? NaN : parsed;
+  }
+  return NaN;
+}
+
+/**
+ * Derive a priority from a confidence score (same thresholds as the UI).
+ * @param {number} confidence
+ * @returns {'Low'|'Medium'|'High'}
+ */
+export function priorityFromConfidence(confidence) {
+  if (confidence >= 80) return 'High';
+  if (confidence >= 60) return 'Medium';
+  return 'Low';
+}
+
+function normalizeTerm(value) {
+  if (typeof value !== 'string') return null;
+  const lower = value.toLowerCase();
+  if (lower.includes('mid')) return 'Mid-Sem';
+  if (lower.includes('end')) return 'End-Sem';
+  return EXAM_TERMS.find((term) => term.toLowerCase() === lower) || null;
+}
+
+function normalizeAppearances(raw, path, errors) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) {
+    errors.push(`${path} must be an array`);
+    return [];
+  }
+  return raw.flatMap((item, i) => {
+    const year = Math.round(toNumber(item?.year));
+    const term = normalizeTerm(item?.term);
+    if (!Number.isFinite(year)) {
+      errors.push(`${path}[${i}].year must be a number`);
+      return [];
+    }
+    if (!term) {
+      errors.push(`${path}[${i}].term must be one of ${EXAM_TERMS.join(', ')}`);
+      return [];
+    }
+    const appearance = { year, term };
+    if (item.questionNo != null && item.questionNo !== '') {
+      appearance.questionNo = String(item.questionNo).replace(/^q\.?\s*/i, '');
+    }
+    return [appearance];
+  });
+}
+
+function normalizeTopic(raw, path, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+  const topicErrors = [];
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) topicErrors.push(`${path}.name is required`);
+
+  let confidence = toNumber(raw.confidence);
+  if (Number.isNaN(confidence)) {
+    topicErrors.push(`${path}.confidence must be a number between 0 and 100`);
+  } else {
+    confidence = Math.round(Math.min(100, Math.max(0, confidence)));
+  }
+
+  const effort = normalizeLevel(raw.effort);
+  if (!effort) topicErrors.push(`${path}.effort must be one of ${LEVELS.join(', ')}`);
+  const reward = normalizeLevel(raw.reward);
+  if (!reward) topicErrors.push(`${path}.reward must be one of ${LEVELS.join(', ')}`);
+
+  const appearances = normalizeAppearances(raw.appearances, `${path}.appearances`, topicErrors);
+
+  let frequency = raw.frequency == null ? appearances.length : toNumber(raw.frequency);
+  if (Number.isNaN(frequency) || frequency < 0) {
+    topicErrors.push(`${path}.frequency must be a non-negative integer`);
+  } else {
+    frequency = Math.round(frequency);
+  }
+
+  const keyConcepts = Array.isArray(raw.keyConcepts)
+    ? raw.keyConcepts.filter((c) => typeof c === 'string' && c.trim()).map((c) => c.trim())
+    : [];
+
+  if (topicErrors.length) {
+    errors.push(...topicErrors);
+    return null;
+  }
+
+  return {
+    ...raw,
+    name,
+    confidence,
+    effort,
+    reward,
+    priority: normalizeLevel(raw.priority) || priorityFromConfidence(confidence),
+    frequency,
+    appearances,
+    keyConcepts,
+  };
+}
+
+/**
+ * Optional list of syllabus units; malformed entries are dropped rather than
+ * failing the whole analysis.
+ */
+function normalizeSyllabusUnits(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.flatMap((unit, i) => {
+    const name = typeof unit?.name === 'string' && unit.name.trim() ? unit.name.trim() : `Unit ${i + 1}`;
+    const topics = Array.isArray(unit?.topics)
+      ? unit.topics.filter((t) => typeof t === 'string' && t.trim()).map((t) => t.trim())
+      : [];
+    return topics.length ? [{ name, topics }] : [];
+  });
+}
+
+/**
+ * Rebuild the summary block from the topic list.
+ * @param {Array} topics - Normalized topics
+ */
+export function buildSummary(topics) {
+  return {
+    totalTopics: topics.length,
+    highPriorityCount: topics.filter((t) => t.priority === 'High').length,
+    lowEffortHighReward: topics.filter((t) => t.effort === 'Low' && t.reward === 'High').length,
+  };
+}
+
+/**
+ * Validate and normalize a raw analysis object.
+ * Fixable issues (enum casing, numeric strings, out-of-range confidence,
+ * missing summary) are corrected silently; everything else is reported.
+ * @param {unknown} raw
+ * @returns {{ value: object | null, errors: string[] }}
+ */
+export function normalizeAnalysis(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['analysis must be a JSON object'] };
+  }
+  if (!Array.isArray(raw.topics)) {
+    return { value: null, errors: ['topics must be an array'] };
+  }
+  if (raw.topics.length === 0) {
+    return { value: null, errors: ['topics must contain at least one topic'] };
+  }
+
+  const topics = raw.topics
+    .map((topic, i) => normalizeTopic(topic, `topics[${i}]`, errors))
+    .filter(Boolean);
+
+  if (errors.length) return { value: null, errors };
+
+  return {
+    value: {
+      ...raw,
+      topics,
+      summary: buildSummary(topics),
+      syllabusUnits: normalizeSyllabusUnits(raw.syllabusUnits),
+      // Malformed entries are dropped like malformed syllabus units
+      outsideSyllabus: normalizeAppearances(Array.isArray(raw.outsideSyllabus) ? raw.outsideSyllabus : [], 'outsideSyllabus', []),
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Normalize topics that arrive one at a time while a reply streams in,
+ * dropping any that don't validate (the full reply is validated at the end).
+ * @param {Array} rawTopics
+ * @returns {Array}
+ */
+export function normalizePartialTopics(rawTopics) {
+  return rawTopics.map((topic, i) => normalizeTopic(topic, `topics[${i}]`, [])).filter(Boolean);
+}
+
+/**
+ * Apply a user override (e.g. effort/reward dragged in the priority matrix)
+ * to one topic. The AI's original rating is kept in `aiRating` the first time
+ * a topic is overridden, and the summary is rebuilt.
+ * @param {object} analysis
+ * @param {string} topicName
+ * @param {{ effort?: string, reward?: string }} patch
+ * @returns {object} A new analysis object
+ */
+export function overrideTopicRating(analysis, topicName, patch) {
+  const topics = analysis.topics.map((topic) => {
+    if (topic.name !== topicName) return topic;
+    const aiRating = topic.aiRating || { effort: topic.effort, reward: topic.reward };
+    const updated = { ...topic, ...patch };
+    // Dragging back to the AI's cell clears the override
+    if (updated.effort === aiRating.effort && updated.reward === aiRating.reward) {
+      delete updated.aiRating;
+    } else {
+      updated.aiRating = aiRating;
+    }
+    return updated;
+  });
+  return { ...analysis, topics, summary: { ...analysis.summary, ...buildSummary(topics) } };
+}
@@ -0,0 +1,71 @@
+/**
+ * Syllabus coverage: how much of each unit the past papers actually asked,
+ * which syllabus topics never appeared, and which questions map to no topic.
+ */
+
+/** A question linked to no topic: off-syllabus if the model said so, otherwise just unmapped. */
+export const isOutsideSyllabus = (question) => !question.topic && question.outsideSyllabus === true;
+export const isUnmapped = (question) => !question.topic && question.outsideSyllabus !== true;
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Whether a syllabus topic is the same as an analysis topic. Names are matched
+ * loosely since the model may shorten or extend them ("Fourier Series" vs
+ * "Fourier Series and its properties").
+ */
+function sameTopic(syllabusName, topicName) {
+  const a = normalizeName(syllabusName);
+  const b = normalizeName(topicName);
+  if (!a || !b) return false;
+  return a === b || (a.length > 3 && b.includes(a)) || (b.length > 3 && a.includes(b));
+}
+
+/**
+ * Name of the syllabus unit a topic belongs to, or null.
+ * @param {Array<{ name: string, topics: string[] }>} syllabusUnits
+ * @param {string} topicName
+ */
+export function findUnitOfTopic(syllabusUnits, topicName) {
+  return (syllabusUnits || []).find((unit) => unit.topics.some((name) => sameTopic(name, topicName)))?.name ?? null;
+}
+
+/**
+ * Build the coverage report for an analysis. Uses `syllabusUnits` when the
+ * analysis has them; older analyses fall back to their own topic list.
+ * Questions the model linked to no topic are `outsideSyllabus` only when it
+ * listed them as such; the rest are `unmapped`, since a model (especially at
+ * Quick depth) leaves out topics that are on the syllabus.
+ * @param {object} analysis
+ * @returns {{
+ *   units: Array<{ name: string, total: number, asked: number, percent: number, neverAsked: string[] }>,
+ *   overallPercent: number,
+ *   neverAsked: string[],
+ *   outsideSyllabus: Array,
+ *   unmapped: Array,
+ * }}
+ */
+export function buildCoverageReport(analysis) {
+  const askedTopics = (analysis.topics || []).filter((topic) => topic.frequency > 0);
+  const syllabusUnits = analysis.syllabusUnits?.length
+    ? analysis.syllabusUnits
+    : [{ name: 'All topics', topics: (analysis.topics || []).map((topic) => topic.name) }];
+
+  const units = syllabusUnits.map((unit) => {
+    const neverAsked = unit.topics.filter((name) => !askedTopics.some((topic) => sameTopic(name, topic.name)));
+    const total = unit.topics.length;
+    const asked = total - neverAsked.length;
+    return { name: unit.name, total, asked, percent: total ? Math.round((asked / total) * 100) : 0, neverAsked };
+  });
+
+  const total = units.reduce((sum, unit) => sum + unit.total, 0);
+  const asked = units.reduce((sum, unit) => sum + unit.asked, 0);
+
+  return {
+    units,
+    overallPercent: total ? Math.round((asked / total) * 100) : 0,
+    neverAsked: units.flatMap((unit) => unit.neverAsked),
+    outsideSyllabus: (analysis.questions || []).filter(isOutsideSyllabus),
+    unmapped: (analysis.questions || []).filter(isUnmapped),
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Save a string or Blob as a file through a temporary download link.
+ * @param {string|Blob} content
+ * @param {string} filename
+ * @param {string} mimeType - Used when `content` is a string
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,144 @@
+/**
+ * Typed errors for failures the UI can help recover from. Each carries a
+ * `code` the UI switches on and details for the recovery action (e.g.
+ * `retryAfterMs` for QUOTA). CANCELLED stays a plain error (see abort.js).
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details] - Copied onto the error; `cause` is the underlying error
+   */
+  constructor(message, { cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    Object.assign(this, details);
+  }
+}
+
+/** The API key is missing or was rejected (401/403). */
+export class AuthError extends AppError {
+  name = 'AuthError';
+  code = 'AUTH';
+}
+
+/** Quota or rate limit reached (429). `retryAfterMs` when the service says how long to wait. */
+export class QuotaError extends AppError {
+  name = 'QuotaError';
+  code = 'QUOTA';
+}
+
+/** The model is overloaded or down (5xx). `model` names the model that failed. */
+export class OverloadedError extends AppError {
+  name = 'OverloadedError';
+  code = 'OVERLOADED';
+}
+
+/** No reply within the request timeout. */
+export class TimeoutError extends AppError {
+  name = 'TimeoutError';
+  code = 'TIMEOUT';
+}
+
+/** The reply could not be read as the expected JSON. `validationErrors` when it parsed but failed the schema. */
+export class ParseError extends AppError {
+  name = 'ParseError';
+  code = 'PARSE';
+}
+
+/** The upload is not a syllabus or question paper. `detectedType` says what it looked like. */
+export class InvalidDocumentError extends AppError {
+  name = 'InvalidDocumentError';
+  code = 'INVALID_DOCUMENT';
+}
+
+/** The AI service or analysis server could not be reached. */
+export class NetworkError extends AppError {
+  name = 'NetworkError';
+  code = 'NETWORK';
+}
+
+/**
+ * The upload is over a size limit. `limitBytes`, and `canSendText` when
+ * sending the extracted text instead of the PDFs would fit.
+ */
+export class FileTooLargeError extends AppError {
+  name = 'FileTooLargeError';
+  code = 'FILE_TOO_LARGE';
+}
+
+const ERROR_CLASSES = {
+  AUTH: AuthError,
+  QUOTA: QuotaError,
+  OVERLOADED: OverloadedError,
+  TIMEOUT: TimeoutError,
+  PARSE: ParseError,
+  INVALID_DOCUMENT: InvalidDocumentError,
+  NETWORK: NetworkError,
+  FILE_TOO_LARGE: FileTooLargeError,
+};
+
+/**
+ * How long to wait from the service's hint: Gemini's RetryInfo detail
+ * ("27s"), a Retry-After header already read into `retryAfterMs`, or
+ * "retry in 27.5s" in the message.
+ */
+function retryAfterFrom(error, message) {
+  if (Number(error.retryAfterMs) > 0) return Number(error.retryAfterMs);
+  const retryInfo = error.errorDetails?.find?.((detail) => detail?.['@type']?.endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay) || parseFloat(message.match(/retry in ([\d.]+)\s*s/i)?.[1]);
+  return seconds > 0 ? Math.ceil(seconds * 1000) : undefined;
+}
+
+/**
+ * Turn a provider or fetch error into one of the typed errors above, going by
+ * its HTTP status (Gemini and server errors carry `status`, OpenAI-compatible
+ * ones print it as "[429 ...]") and only then by well-known phrases. Typed,
+ * cancelled and unrecognised errors are returned unchanged.
+ * @param {unknown} error
+ * @returns {unknown}
+ */
+export function classifyError(error) {
+  if (!error || error instanceof AppError || error.code === 'CANCELLED') return error;
+  const message = String(error.message || error);
+  const status = Number(error.status) || Number(message.match(/\[(\d{3})\b/)?.[1]) || 0;
+
+  if (status === 401 || status === 403 || /api key not valid|invalid api key|unauthenticated|permission denied/i.test(message)) {
+    return new AuthError('The API key was rejected. Check that it is correct and allowed to use this model.', { cause: error });
+  }
+  if (status === 429 || /quota|rate limit|resource.?exhausted/i.test(message)) {
+    return new QuotaError('API quota exceeded. Please try again later.', { retryAfterMs: retryAfterFrom(error, message), cause: error });
+  }
+  if (status === 413 || /payload size exceeds|request entity too large/i.test(message)) {
+    return new FileTooLargeError('The upload is too large for the AI service.', { cause: error });
+  }
+  if (status >= 500 || /overloaded|high demand|currently experiencing/i.test(message)) {
+    return new OverloadedError('The AI model is currently experiencing high demand. Please wait a moment and try again.', { cause: error });
+  }
+  if (/timeout|timed out/i.test(message)) {
+    return new TimeoutError('The AI took too long to respond.', { cause: error });
+  }
+  if (/failed to fetch|fetch failed|networkerror|network request failed|econnrefused|enotfound/i.test(message)) {
+    return new NetworkError('Could not reach the AI service. Check your internet connection.', { cause: error });
+  }
+  return error;
+}
+
+/**
+ * Plain object for sending an error over the wire (the API server's JSON):
+ * the message, code and details, without the stack or cause.
+ * @param {Error} error
+ */
+export function toErrorJson(error) {
+  // Own enumerable fields are the code and details; `name` comes back with the class
+  const details = Object.entries(error).filter(([key]) => key !== 'name');
+  return { message: error.message, ...Object.fromEntries(details) };
+}
+
+/**
+ * Rebuild an error from toErrorJson(), as the typed class for its code.
+ * @param {{ message: string, code?: string }} json
+ * @returns {Error}
+ */
+export function errorFromJson({ message, code, ...details }) {
+  const ErrorClass = ERROR_CLASSES[code];
+  return ErrorClass ? new ErrorClass(message, details) : Object.assign(new Error(message), { code, ...details });
+}
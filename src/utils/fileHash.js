@@ -0,0 +1,21 @@
+/**
+ * SHA-256 of a file's bytes as a lowercase hex string.
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export async function hashFile(file) {
+  const buffer = await file.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * SHA-256 of a string's UTF-8 bytes as a lowercase hex string.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export async function hashText(text) {
+  return hashFile(new Blob([text]));
+}
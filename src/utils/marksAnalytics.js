@@ -0,0 +1,121 @@
+import { findUnitOfTopic, isOutsideSyllabus } from './coverage';
+import { EXAM_TERMS, formatPaperLabel } from './paperTags';
+
+export const OUTSIDE_SYLLABUS = 'Outside syllabus';
+export const UNMAPPED = 'Unmapped questions';
+export const UNASSIGNED_UNIT = 'Other topics';
+
+/** Change in a unit's yearly share of marks (per year) treated as a trend. */
+const TREND_THRESHOLD = 0.03;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Least-squares slope of y over x.
+ */
+function slope(points) {
+  if (points.length < 2) return 0;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const numerator = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const denominator = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  return denominator ? numerator / denominator : 0;
+}
+
+/**
+ * Roll question marks up per paper, year, unit and topic. Questions without
+ * printed marks are counted but left out of the totals. Each unit's `start`
+ * and `end` place its slice of all marks as fractions of a turn, for the donut.
+ * @param {object} analysis - Needs `questions` (with `marks` and `topic`); uses `syllabusUnits` for units
+ * @returns {{
+ *   totalMarks: number,
+ *   questionsWithoutMarks: number,
+ *   papers: Array<{ label: string, year: number, term: string, totalMarks: number }>,
+ *   years: Array<{ year: number, totalMarks: number, byUnit: Record<string, number> }>,
+ *   units: Array<{ name: string, totalMarks: number, share: number, averagePerPaper: number, trend: 'rising'|'falling'|'steady', start: number, end: number }>,
+ *   topics: Array<{ name: string, unit: string, totalMarks: number, share: number, averagePerPaper: number }>,
+ * }}
+ */
+export function buildMarksAnalytics(analysis) {
+  const questions = analysis.questions || [];
+  const withMarks = questions.filter((q) => Number.isFinite(q.marks));
+  const unitOf = new Map();
+  const unitForQuestion = (question) => {
+    if (!question.topic) return isOutsideSyllabus(question) ? OUTSIDE_SYLLABUS : UNMAPPED;
+    if (!unitOf.has(question.topic)) {
+      unitOf.set(question.topic, findUnitOfTopic(analysis.syllabusUnits, question.topic) || UNASSIGNED_UNIT);
+    }
+    return unitOf.get(question.topic);
+  };
+
+  const paperMap = new Map();
+  const yearMap = new Map();
+  const unitTotals = new Map();
+  const topicTotals = new Map();
+  let totalMarks = 0;
+
+  // Papers with no marked questions still count towards per-paper averages
+  for (const question of questions) {
+    const key = `${question.year}|${question.term}`;
+    if (!paperMap.has(key)) {
+      paperMap.set(key, { label: formatPaperLabel(question), year: question.year, term: question.term, totalMarks: 0 });
+    }
+    if (!yearMap.has(question.year)) yearMap.set(question.year, { year: question.year, totalMarks: 0, byUnit: {} });
+  }
+
+  for (const question of withMarks) {
+    const unit = unitForQuestion(question);
+    const year = yearMap.get(question.year);
+    totalMarks += question.marks;
+    paperMap.get(`${question.year}|${question.term}`).totalMarks += question.marks;
+    year.totalMarks += question.marks;
+    year.byUnit[unit] = (year.byUnit[unit] || 0) + question.marks;
+    unitTotals.set(unit, (unitTotals.get(unit) || 0) + question.marks);
+    if (question.topic) {
+      const topic = topicTotals.get(question.topic) || { name: question.topic, unit, totalMarks: 0 };
+      topic.totalMarks += question.marks;
+      topicTotals.set(question.topic, topic);
+    }
+  }
+
+  const paperCount = Math.max(1, paperMap.size);
+  const years = [...yearMap.values()].sort((a, b) => a.year - b.year);
+  const share = (marks) => (totalMarks ? round1((marks / totalMarks) * 100) : 0);
+
+  const rankedUnits = [...unitTotals.entries()]
+    .map(([name, marks]) => {
+      const points = years
+        .filter((y) => y.totalMarks > 0)
+        .map((y) => ({ x: y.year, y: (y.byUnit[name] || 0) / y.totalMarks }));
+      const change = slope(points);
+      return {
+        name,
+        totalMarks: marks,
+        share: share(marks),
+        averagePerPaper: round1(marks / paperCount),
+        trend: change > TREND_THRESHOLD ? 'rising' : change < -TREND_THRESHOLD ? 'falling' : 'steady',
+      };
+    })
+    .sort((a, b) => b.totalMarks - a.totalMarks);
+  const units = rankedUnits.reduce((placed, unit) => {
+    const start = placed.length ? placed[placed.length - 1].end : 0;
+    return [...placed, { ...unit, start, end: start + unit.totalMarks / totalMarks }];
+  }, []);
+
+  const topics = [...topicTotals.values()]
+    .map((topic) => ({ ...topic, share: share(topic.totalMarks), averagePerPaper: round1(topic.totalMarks / paperCount) }))
+    .sort((a, b) => b.totalMarks - a.totalMarks);
+
+  const papers = [...paperMap.values()].sort(
+    (a, b) => a.year - b.year || EXAM_TERMS.indexOf(a.term) - EXAM_TERMS.indexOf(b.term)
+  );
+
+  return {
+    totalMarks,
+    questionsWithoutMarks: questions.length - withMarks.length,
+    papers,
+    years,
+    units,
+    topics,
+  };
+}
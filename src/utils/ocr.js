@@ -0,0 +1,143 @@
+import { abortable, createCancelledError } from './abort';
+
+/**
+ * Pages whose text layer has fewer characters than this are treated as scanned images.
+ */
+const MIN_TEXT_LAYER_CHARS = 20;
+
+/**
+ * Render scale for OCR. ~2x gives Tesseract roughly 150 DPI for A4 pages.
+ */
+const OCR_RENDER_SCALE = 2;
+
+// OCR text per file and page, so the dropzone check, validation and analysis
+// don't recognise the same page twice.
+const ocrCache = new WeakMap();
+
+let workerPromise = null;
+const jobProgressHandlers = new Map();
+let nextJobId = 0;
+
+/**
+ * Does this page's text layer look empty (i.e. a scanned image)?
+ * @param {string} pageText
+ * @returns {boolean}
+ */
+export function isScannedPage(pageText) {
+  return (pageText || '').replace(/\s+/g, '').length < MIN_TEXT_LAYER_CHARS;
+}
+
+/**
+ * Lazily start one Tesseract worker. Worker script, WASM core and language
+ * data are served locally by the tesseract-assets plugin in vite.config.js.
+ */
+function getOcrWorker() {
+  if (!workerPromise) {
+    const base = new URL(`${import.meta.env.BASE_URL}tesseract/`, window.location.href).href;
+    workerPromise = import('tesseract.js').then(({ createWorker, OEM }) =>
+      createWorker('eng', OEM.LSTM_ONLY, {
+        workerPath: `${base}worker.min.js`,
+        corePath: base,
+        langPath: `${base}lang`,
+        logger: (message) => {
+          if (message.status === 'recognizing text') {
+            jobProgressHandlers.get(message.jobId)?.(message.progress);
+          }
+        },
+      })
+    );
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Stop the worker immediately (Tesseract jobs can't be cancelled individually).
+ */
+async function terminateOcrWorker() {
+  const pending = workerPromise;
+  workerPromise = null;
+  const worker = await pending?.catch(() => null);
+  await worker?.terminate();
+}
+
+async function renderPageToCanvas(page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+  return canvas;
+}
+
+/**
+ * OCR one pdf.js page. Results are cached per file and page number.
+ * @param {File} file - The PDF the page belongs to (cache key)
+ * @param {object} page - pdf.js PDFPageProxy
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Terminates the OCR worker and rejects with CANCELLED
+ * @param {(progress: number) => void} [options.onProgress] - 0..1 for this page
+ * @returns {Promise<string>}
+ */
+export async function recognizePdfPage(file, page, { signal, onProgress } = {}) {
+  const pages = ocrCache.get(file) || new Map();
+  ocrCache.set(file, pages);
+  if (pages.has(page.pageNumber)) return pages.get(page.pageNumber);
+  // No canvas to render the page on the API server; only OCR sent by the browser is used there
+  if (typeof document === 'undefined') return '';
+
+  if (signal?.aborted) throw createCancelledError();
+  const jobId = `ocr-${nextJobId++}`;
+  const onAbort = () => terminateOcrWorker();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (onProgress) jobProgressHandlers.set(jobId, onProgress);
+
+  try {
+    const [worker, canvas] = await Promise.all([getOcrWorker(), renderPageToCanvas(page)]);
+    onProgress?.(0);
+    const { data } = await abortable(worker.recognize(canvas, {}, { text: true }, jobId), signal);
+    onProgress?.(1);
+    pages.set(page.pageNumber, data.text);
+    return data.text;
+  } catch (error) {
+    if (signal?.aborted) throw createCancelledError();
+    throw error;
+  } finally {
+    jobProgressHandlers.delete(jobId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * OCR text per page number recognised so far for a file, e.g. to upload with it.
+ * @param {File} file
+ * @returns {Record<number, string>}
+ */
+export function getOcrPages(file) {
+  return Object.fromEntries(ocrCache.get(file) || []);
+}
+
+/**
+ * Use OCR text recognised elsewhere (by the browser, on the API server) for a file's pages.
+ * @param {File} file
+ * @param {Record<number, string>} pages - From getOcrPages()
+ */
+export function seedOcrPages(file, pages) {
+  ocrCache.set(file, new Map(Object.entries(pages).map(([page, text]) => [Number(page), String(text)])));
+}
+
+/**
+ * Text OCR has produced so far for a file ('' if none of its pages were scanned).
+ * @param {File} file
+ * @returns {string}
+ */
+export function getOcrText(file) {
+  const pages = ocrCache.get(file);
+  if (!pages) return '';
+  return [...pages.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, text]) => text)
+    .join('\n');
+}
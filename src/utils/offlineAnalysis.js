@@ -0,0 +1,289 @@
+import { priorityFromConfidence, buildSummary } from './analysisSchema';
+import { splitQuestions } from './questionExtraction';
+
+/**
+ * Rule-based analysis used in Offline mode and when every AI model fails.
+ * Syllabus lines become topics, past papers are split into questions, and
+ * each question is matched to its closest topic by TF-IDF cosine similarity.
+ * Output follows the analysis schema in analysisSchema.js.
+ */
+
+const STOPWORDS = new Set(
+  `a about above after again all also an and any are as at be because been before being below between both but by
+  can could did do does doing down during each explain few find for from further given had has have having here how
+  if in into is it its itself just marks mark more most must no nor not now of off on once only or other our out over
+  own same shall should show so some such than that the their them then there these they this those through to too
+  under until up use used using very was way we were what when where which while who whom why will with would you
+  your write briefly discuss describe define derive state prove obtain determine compute calculate evaluate consider
+  following figure fig neat sketch diagram example examples short note notes answer question questions part parts
+  any two three four five marks unit hours hrs`.split(/\s+/)
+);
+
+const UNIT_HEADING = /^(?:unit|module|chapter|part)\s*[-–:.]?\s*([ivx]+|\d+)\b[\s:.\-–)]*(.*)$/i;
+const SECTION_END = /^(?:text\s*books?|reference\s*books?|references|course\s*outcomes?|suggested\s*readings?|lab(?:oratory)?\s*experiments?)\b/i;
+const NOISE_LINE = /\b(?:credits?|hours?|hrs|l-t-p|ltp|prerequisites?|course\s*code|marks|total)\b\s*[:-]?\s*\d*/i;
+
+/** Similarity below this leaves a question unmatched. */
+const MIN_SIMILARITY = 0.1;
+
+/** Topics in the result when few were asked; every asked topic is always kept. */
+const MAX_TOPICS = 30;
+
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && word.endsWith('es') && !word.endsWith('ses')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercase, drop stopwords and short tokens, strip plurals.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z][a-z0-9-]*/g) || [])
+    .map((word) => word.replace(/-+$/, ''))
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function cleanTopicName(raw) {
+  return raw
+    .replace(/^[\s\-–•*·▪◦o]+/, '')
+    .replace(/^\(?[a-z0-9]{1,3}[.)]\s+/i, '')
+    .replace(/[\s.:;,\-–]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isTopicCandidate(name) {
+  if (name.length < 3 || name.length > 90) return false;
+  if (NOISE_LINE.test(name) && tokenize(name.replace(NOISE_LINE, '')).length === 0) return false;
+  return tokenize(name).length > 0;
+}
+
+/**
+ * Pull units and topics out of syllabus text. Topics are the comma, semicolon
+ * or line separated items under each "Unit"/"Module" heading; without headings
+ * the whole text is treated as one unit.
+ * @param {string} text
+ * @returns {Array<{ name: string, unit: string|null }>}
+ */
+export function parseSyllabusTopics(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  // With unit headings, only lines inside a unit count (skips the course header)
+  const hasUnits = lines.some((line) => UNIT_HEADING.test(line));
+  const topics = [];
+  const seen = new Set();
+  let unit = null;
+  let inTopics = !hasUnits;
+
+  const addItems = (chunk) => {
+    for (const item of chunk.split(/[,;•▪]|\s[–-]\s|\.\s+(?=[A-Z])/)) {
+      const name = cleanTopicName(item);
+      const key = name.toLowerCase();
+      if (!isTopicCandidate(name) || seen.has(key)) continue;
+      seen.add(key);
+      topics.push({ name, unit });
+    }
+  };
+
+  for (const line of lines) {
+    if (SECTION_END.test(line)) {
+      unit = null;
+      inTopics = false;
+      continue;
+    }
+    const heading = line.match(UNIT_HEADING);
+    if (heading) {
+      inTopics = true;
+      const title = cleanTopicName(heading[2].replace(/\(\s*\d+\s*(?:hours?|hrs|lectures?)\s*\)/i, ''));
+      unit = `Unit ${heading[1].toUpperCase()}`;
+      // "Unit 2: Fourier Series, Fourier Transform" - the rest of the line lists topics
+      if (title.includes(',') || title.includes(';')) addItems(title);
+      else if (title) unit = `${unit}: ${title}`;
+      continue;
+    }
+    if (inTopics) addItems(line);
+  }
+
+  return topics;
+}
+
+function termFrequencies(tokens) {
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  return counts;
+}
+
+function tfidfVector(tokens, idf) {
+  const vector = new Map();
+  for (const [token, count] of termFrequencies(tokens)) {
+    vector.set(token, (1 + Math.log(count)) * (idf.get(token) || 0));
+  }
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [token, weight] of a) {
+    normA += weight * weight;
+    if (b.has(token)) dot += weight * b.get(token);
+  }
+  for (const weight of b.values()) normB += weight * weight;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function effortFor(topic, matchedQuestions) {
+  if (matchedQuestions.length > 0) {
+    const avgWords = matchedQuestions.reduce((sum, q) => sum + q.text.split(' ').length, 0) / matchedQuestions.length;
+    if (avgWords < 20) return 'Low';
+    if (avgWords < 45) return 'Medium';
+    return 'High';
+  }
+  const words = topic.tokens.length;
+  if (words <= 2) return 'Low';
+  if (words <= 4) return 'Medium';
+  return 'High';
+}
+
+function rewardFor(frequency, maxFrequency) {
+  if (frequency === 0) return 'Low';
+  const share = frequency / maxFrequency;
+  if (share >= 0.6) return 'High';
+  if (share >= 0.25) return 'Medium';
+  return 'Low';
+}
+
+/**
+ * Most distinctive words in a topic's questions that aren't already in its name.
+ */
+function keyConceptsFor(topic, matchedQuestions, idf, surfaceForms) {
+  const scores = new Map();
+  for (const question of matchedQuestions) {
+    for (const [token, weight] of question.vector) {
+      if (!topic.tokens.includes(token)) scores.set(token, (scores.get(token) || 0) + weight);
+    }
+  }
+  return [...scores.entries()]
+    .filter(([token]) => (idf.get(token) || 0) > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([token]) => surfaceForms.get(token) || token);
+}
+
+/**
+ * Run the offline analysis.
+ * @param {{ syllabusText: string, papers: Array<{ year: number, term: string, text: string }> }} input
+ * @returns {{ topics: Array, summary: object }} Raw analysis in the shared schema
+ */
+export function analyzeOffline({ syllabusText, papers }) {
+  const syllabusTopics = parseSyllabusTopics(syllabusText || '');
+  if (syllabusTopics.length === 0) {
+    throw Object.assign(new Error('Offline mode could not find any topics in the syllabus text.'), {
+      code: 'INVALID_ANALYSIS',
+    });
+  }
+
+  const surfaceForms = new Map();
+  const rememberSurface = (text) => {
+    for (const word of text.match(/[A-Za-z][A-Za-z0-9-]*/g) || []) {
+      const [token] = tokenize(word);
+      if (token && !surfaceForms.has(token)) surfaceForms.set(token, word.toLowerCase());
+    }
+  };
+
+  const questions = papers.flatMap((paper) =>
+    splitQuestions(paper.text || '').map((question) => {
+      rememberSurface(question.text);
+      return { ...question, year: paper.year, term: paper.term, tokens: tokenize(question.text) };
+    })
+  );
+  const topics = syllabusTopics.map((topic) => ({
+    ...topic,
+    tokens: tokenize(topic.name),
+    unitTokens: topic.unit ? tokenize(topic.unit.replace(/^Unit [IVX\d]+:?/, '')) : [],
+  }));
+
+  // IDF over every question and topic so words common to the whole course weigh less
+  const documents = [...questions.map((q) => q.tokens), ...topics.map((t) => t.tokens)];
+  const documentFrequency = new Map();
+  for (const tokens of documents) {
+    for (const token of new Set(tokens)) documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+  }
+  const idf = new Map(
+    [...documentFrequency].map(([token, df]) => [token, Math.log((1 + documents.length) / (1 + df)) + 1])
+  );
+
+  for (const question of questions) question.vector = tfidfVector(question.tokens, idf);
+  for (const topic of topics) {
+    // The unit title counts a little, so generic topic names still match questions from their unit
+    topic.vector = tfidfVector(topic.tokens, idf);
+    for (const [token, weight] of tfidfVector(topic.unitTokens, idf)) {
+      topic.vector.set(token, (topic.vector.get(token) || 0) + weight * 0.3);
+    }
+    topic.phrase = topic.name.toLowerCase();
+  }
+
+  const matches = new Map(topics.map((topic) => [topic, []]));
+  for (const question of questions) {
+    const lowerText = question.text.toLowerCase();
+    let best = null;
+    let bestScore = MIN_SIMILARITY;
+    for (const topic of topics) {
+      // An exact mention of the topic name beats any bag-of-words score
+      const score = lowerText.includes(topic.phrase) ? 1 : cosine(topic.vector, question.vector);
+      if (score > bestScore) {
+        best = topic;
+        bestScore = score;
+      }
+    }
+    if (best) matches.get(best).push(question);
+  }
+
+  const paperCount = Math.max(1, papers.length);
+  const years = papers.map((paper) => paper.year).filter(Number.isFinite);
+  const minYear = Math.min(...years);
+  const yearSpan = Math.max(1, Math.max(...years) - minYear);
+  const maxFrequency = Math.max(1, ...[...matches.values()].map((list) => list.length));
+
+  const analysed = topics.map((topic) => {
+    const matched = matches.get(topic);
+    const frequency = matched.length;
+    const papersWithTopic = new Set(matched.map((q) => `${q.year}|${q.term}`)).size;
+    const latestYear = Math.max(...matched.map((q) => q.year));
+    const recency = frequency > 0 && years.length > 0 ? (latestYear - minYear) / yearSpan : 0;
+    const confidence = frequency === 0
+      ? 10
+      : Math.round(Math.min(98, 100 * (0.6 * (papersWithTopic / paperCount) + 0.25 * (frequency / maxFrequency) + 0.15 * recency)));
+
+    return {
+      name: topic.name,
+      confidence,
+      effort: effortFor(topic, matched),
+      reward: rewardFor(frequency, maxFrequency),
+      frequency,
+      appearances: matched.map((q) => ({ year: q.year, term: q.term, questionNo: q.questionNo })),
+      keyConcepts: keyConceptsFor(topic, matched, idf, surfaceForms),
+      priority: priorityFromConfidence(confidence),
+    };
+  });
+
+  // Every asked topic is kept so its questions stay linked; never-asked ones fill up to the cap
+  const sorted = analysed.sort((a, b) => b.confidence - a.confidence || b.frequency - a.frequency);
+  const asked = sorted.filter((topic) => topic.frequency > 0);
+  const result = [...asked, ...sorted.filter((topic) => topic.frequency === 0)].slice(0, Math.max(MAX_TOPICS, asked.length));
+
+  const units = new Map();
+  for (const topic of syllabusTopics) {
+    const name = topic.unit || 'Syllabus';
+    if (!units.has(name)) units.set(name, []);
+    units.get(name).push(topic.name);
+  }
+  const syllabusUnits = [...units].map(([name, topics]) => ({ name, topics }));
+
+  return { topics: result, summary: buildSummary(result), syllabusUnits };
+}
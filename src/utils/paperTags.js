@@ -0,0 +1,80 @@
+/**
+ * Exam terms a past paper can be tagged with.
+ */
+export const EXAM_TERMS = ['Mid-Sem', 'End-Sem'];
+
+/**
+ * Guess the exam year from a filename like "EC301_2022_endsem.pdf".
+ * @param {string} name
+ * @returns {number}
+ */
+export function guessYearFromName(name) {
+  const match = (name || '').match(/(?:19|20)\d{2}/);
+  return match ? Number(match[0]) : new Date().getFullYear();
+}
+
+/**
+ * Guess the exam term from a filename. Defaults to End-Sem.
+ * @param {string} name
+ * @returns {string}
+ */
+export function guessTermFromName(name) {
+  return /mid/i.test(name || '') ? 'Mid-Sem' : 'End-Sem';
+}
+
+/**
+ * Wrap an uploaded PYQ file with its year/term tags.
+ * @param {File} file
+ * @returns {{ id: string, file: File, year: number, term: string }}
+ */
+export function createPaper(file) {
+  return {
+    id: `${file.name}-${file.size}-${file.lastModified}`,
+    file,
+    year: guessYearFromName(file.name),
+    term: guessTermFromName(file.name),
+  };
+}
+
+/**
+ * Human-readable label for a tagged paper, e.g. "2022 End-Sem".
+ * @param {{ year: number, term: string }} paper
+ * @returns {string}
+ */
+export function formatPaperLabel(paper) {
+  return `${paper.year} ${paper.term}`;
+}
+
+/**
+ * Label for a single topic appearance, e.g. "2022 End-Sem · Q3b".
+ * @param {{ year: number, term: string, questionNo?: string }} appearance
+ * @returns {string}
+ */
+export function formatAppearance(appearance) {
+  const label = formatPaperLabel(appearance);
+  return appearance.questionNo ? `${label} · Q${appearance.questionNo}` : label;
+}
+
+/**
+ * Inverse of formatAppearance(): "2022 End-Sem · Q3b" -> { year, term, questionNo }.
+ * @param {string} label
+ * @returns {{ year: number, term: string, questionNo?: string } | null}
+ */
+export function parseAppearance(label) {
+  const match = label.trim().match(/^(\d{4}) (\S+)(?: · Q(.+))?$/);
+  if (!match || !EXAM_TERMS.includes(match[2])) return null;
+  const appearance = { year: Number(match[1]), term: match[2] };
+  if (match[3]) appearance.questionNo = match[3];
+  return appearance;
+}
+
+/**
+ * Sort appearances newest first, End-Sem before Mid-Sem within a year.
+ * @param {Array<{ year: number, term: string }>} appearances
+ * @returns {Array}
+ */
+export function sortAppearances(appearances) {
+  return [...(appearances || [])].sort(
+    (a, b) => b.year - a.year || EXAM_TERMS.indexOf(b.term) - EXAM_TERMS.indexOf(a.term)
+  );
+}
@@ -0,0 +1,48 @@
+/**
+ * Pull every fully received object out of the `"topics": [...]` array of a
+ * JSON document that is still streaming in. Objects that are cut off are
+ * ignored until their closing brace arrives.
+ * @param {string} text - The reply received so far (may include a ```json fence)
+ * @returns {Array<object>}
+ */
+export function extractCompleteTopics(text) {
+  const keyMatch = /"topics"\s*:\s*\[/.exec(text || '');
+  if (!keyMatch) return [];
+
+  const topics = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = keyMatch.index + keyMatch[0].length; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (depth === 0 && char === '{') objectStart = i;
+      depth++;
+    } else if (char === '}' || char === ']') {
+      if (depth === 0) break; // end of the topics array
+      depth--;
+      if (depth === 0 && char === '}' && objectStart !== -1) {
+        try {
+          topics.push(JSON.parse(text.slice(objectStart, i + 1)));
+        } catch {
+          // Malformed object; the schema repair pass handles the final reply
+        }
+        objectStart = -1;
+      }
+    }
+  }
+
+  return topics;
+}
@@ -1,29 +1,77 @@
+import { throwIfAborted } from './abort';
+import { isScannedPage, recognizePdfPage } from './ocr';
+
 /**
- * Extract text from a PDF file (browser). Uses first pages up to maxChars.
+ * Extract text page by page from a PDF file (browser), stopping once maxChars
+ * have been read. Pages without a text layer (scanned images) are run through OCR.
  * @param {File} file - PDF file
- * @param {number} maxChars - Maximum characters to extract (default 5000)
- * @returns {Promise<string>}
+ * @param {object} [options]
+ * @param {number} [options.maxChars] - Stop after the page that reaches this many characters
+ * @param {AbortSignal} [options.signal] - Stops between pages and rejects with CANCELLED
+ * @param {boolean} [options.ocr] - OCR scanned pages (default true)
+ * @param {(status: { page: number, numPages: number, progress: number }) => void} [options.onOcrProgress]
+ * @returns {Promise<Array<{ page: number, text: string }>>}
  */
-export async function extractTextFromPdf(file, maxChars = 5000) {
+export async function extractPdfPages(file, { maxChars = Infinity, signal, ocr = true, onOcrProgress } = {}) {
   const pdfjsLib = await import('pdfjs-dist');
   const pdfjs = pdfjsLib.default ?? pdfjsLib;
 
   if (pdfjs.GlobalWorkerOptions && !pdfjs.GlobalWorkerOptions.workerSrc) {
-    pdfjs.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5/build/pdf.worker.min.mjs';
+    // Bundled worker so extraction also works offline
+    const { default: workerSrc } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+    pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
   }
 
   const arrayBuffer = await file.arrayBuffer();
-  const pdf = await pdfjs.getDocument({ data: arrayBuffer }).promise;
-  const numPages = pdf.numPages;
-  let text = '';
+  throwIfAborted(signal);
+  const loadingTask = pdfjs.getDocument({ data: arrayBuffer });
+  const onAbort = () => loadingTask.destroy();
+  signal?.addEventListener('abort', onAbort, { once: true });
 
-  for (let i = 1; i <= numPages && text.length < maxChars; i++) {
-    const page = await pdf.getPage(i);
-    const content = await page.getTextContent();
-    const strings = content.items.map((item) => item.str).filter(Boolean);
-    text += strings.join(' ') + '\n';
-    if (text.length >= maxChars) break;
+  try {
+    const pdf = await loadingTask.promise;
+    const numPages = pdf.numPages;
+    const pages = [];
+    let length = 0;
+
+    for (let i = 1; i <= numPages && length < maxChars; i++) {
+      throwIfAborted(signal);
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      // Keep pdf.js line breaks so syllabus units and question numbers stay on their own lines
+      let pageText = content.items
+        .map((item) => (item.hasEOL ? `${item.str}\n` : item.str))
+        .filter(Boolean)
+        .join(' ')
+        .replace(/ *\n */g, '\n');
+      if (ocr && isScannedPage(pageText)) {
+        pageText = await recognizePdfPage(file, page, {
+          signal,
+          onProgress: (progress) => onOcrProgress?.({ page: i, numPages, progress }),
+        });
+      }
+      pages.push({ page: i, text: pageText });
+      length += pageText.length + 1;
+    }
+
+    return pages;
+  } catch (error) {
+    // pdf.js rejects with its own error when destroyed mid-load
+    throwIfAborted(signal);
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
   }
+}
 
-  return text.slice(0, maxChars);
+/**
+ * Extract text from a PDF file (browser). Uses first pages up to maxChars.
+ * @param {File} file - PDF file
+ * @param {number} maxChars - Maximum characters to extract (default 5000)
+ * @param {object} [options] - See extractPdfPages()
+ * @returns {Promise<string>}
+ */
+export async function extractTextFromPdf(file, maxChars = 5000, options = {}) {
+  const pages = await extractPdfPages(file, { ...options, maxChars });
+  return pages.map((page) => `${page.text}\n`).join('').slice(0, maxChars);
 }
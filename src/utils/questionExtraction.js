@@ -0,0 +1,168 @@
+/**
+ * Split past-paper text into individual questions with their number, marks
+ * and page. Used to show the questions behind each topic and by the offline
+ * engine.
+ */
+
+const MAIN_QUESTION = /(?:^|\s)(?:Q(?:uestion)?\s*\.?\s*(\d{1,2})|(\d{1,2})\s*[.)])\s*[.:)]?\s+(?=\S)/gi;
+const SUB_QUESTION = /(?:^|\s)\(?([a-h])\)\s+(?=\S)/g;
+
+// "(5 marks)", "[10]", "(10M)", "5 Marks", "10M" - the last one in a question wins. A bare
+// "[10]" only counts at the end of the question (or before other tags like "[CO2]").
+// Outside brackets only a capital M counts, so "a 6 m beam" is not 6 marks; "marks"
+// is matched in any case by hand since the regex has no /i flag
+const MARKS =
+  /[[(]\s*(\d{1,2})\s*(?:[Mm][Aa][Rr][Kk][Ss]?|[Mm])\s*[\])]|[[(]\s*(\d{1,2})\s*[\])](?=\s*(?:[[(]|$))|\b(\d{1,2})\s*(?:[Mm][Aa][Rr][Kk][Ss]?|M)\b/g;
+
+function splitByMarkers(text, regex, accept) {
+  const markers = [];
+  for (const match of text.matchAll(regex)) {
+    const label = accept(match, markers);
+    if (label) markers.push({ label, start: match.index, bodyStart: match.index + match[0].length });
+  }
+  return markers.map((marker, i) => ({
+    label: marker.label,
+    start: marker.start,
+    text: text.slice(marker.bodyStart, markers[i + 1]?.start ?? text.length).trim(),
+  }));
+}
+
+/**
+ * Split question paper text into questions numbered as printed ("3", "3b").
+ * Main numbers must run in order (1, 2, 3...) so stray numbers in the text
+ * are not mistaken for questions. Falls back to one question per paragraph.
+ * `start` is the question's offset in the text with whitespace collapsed.
+ * @param {string} text
+ * @returns {Array<{ questionNo: string, text: string, start: number }>}
+ */
+export function splitQuestions(text) {
+  const flat = text.replace(/\s+/g, ' ');
+  const mains = splitByMarkers(flat, MAIN_QUESTION, (match, markers) => {
+    const number = Number(match[1] || match[2]);
+    const expected = markers.length ? Number(markers[markers.length - 1].label) + 1 : 1;
+    return number === expected ? String(number) : null;
+  });
+
+  if (mains.length === 0) {
+    return text
+      .split(/\n\s*\n|\n(?=[A-Z])/)
+      .map((chunk) => chunk.replace(/\s+/g, ' ').trim())
+      .filter((chunk) => chunk.split(' ').length >= 4)
+      .map((chunk, i) => ({ questionNo: String(i + 1), text: chunk, start: flat.indexOf(chunk) }));
+  }
+
+  return mains.flatMap((main) => {
+    const bodyOffset = flat.indexOf(main.text, main.start);
+    const subs = splitByMarkers(main.text, SUB_QUESTION, (match, markers) => {
+      const expected = String.fromCharCode('a'.charCodeAt(0) + markers.length);
+      return match[1].toLowerCase() === expected ? match[1].toLowerCase() : null;
+    });
+    if (subs.length === 0) return [{ questionNo: main.label, text: main.text, start: main.start }];
+    return subs.map((sub) => ({
+      questionNo: `${main.label}${sub.label}`,
+      text: sub.text,
+      start: bodyOffset + sub.start,
+    }));
+  });
+}
+
+/**
+ * Marks printed with a question, or null.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseMarks(text) {
+  const matches = [...text.matchAll(MARKS)];
+  if (matches.length === 0) return null;
+  const last = matches[matches.length - 1];
+  return Number(last[1] || last[2] || last[3]);
+}
+
+/**
+ * Questions of one paper, with the page each starts on.
+ * @param {Array<{ page: number, text: string }>} pages - From extractPdfPages()
+ * @returns {Array<{ questionNo: string, text: string, marks: number|null, page: number }>}
+ */
+export function extractQuestions(pages) {
+  // Join pages exactly as splitQuestions() flattens them so offsets map back to pages
+  const pageStarts = [];
+  let flat = '';
+  for (const { page, text } of pages) {
+    if (flat) flat += ' ';
+    pageStarts.push({ page, start: flat.length });
+    flat += text.replace(/\s+/g, ' ').trim();
+  }
+  const pageAt = (offset) => pageStarts.filter((p) => p.start <= offset).pop()?.page ?? pages[0]?.page ?? 1;
+
+  return splitQuestions(flat).map(({ questionNo, text, start }) => ({
+    questionNo,
+    text,
+    marks: parseMarks(text),
+    page: pageAt(start + 1),
+  }));
+}
+
+/**
+ * Canonical question number: "Q.3 (b)" -> "3b".
+ * @param {string} questionNo
+ */
+export function normalizeQuestionNo(questionNo) {
+  return String(questionNo ?? '')
+    .toLowerCase()
+    .replace(/^q(?:uestion)?/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Finds which owner's appearances name a question. An appearance of "3"
+ * claims every part of question 3; an appearance of "3b" claims question 3
+ * when the paper wasn't split into parts. The first owner to claim wins.
+ * @param {Array<[owner: any, appearances: Array]>} claims
+ * @returns {(question: object) => any} The owner, or null
+ */
+function questionOwners(claims) {
+  const owners = new Map();
+  for (const [owner, appearances] of claims) {
+    for (const appearance of appearances || []) {
+      const key = `${appearance.year}|${appearance.term}|${normalizeQuestionNo(appearance.questionNo)}`;
+      if (!owners.has(key)) owners.set(key, owner);
+    }
+  }
+
+  const ownerOfPart = (prefix) => {
+    for (const [key, owner] of owners) {
+      if (key.startsWith(prefix) && /^[a-z]+$/.test(key.slice(prefix.length))) return owner;
+    }
+    return null;
+  };
+
+  return (question) => {
+    const prefix = `${question.year}|${question.term}|`;
+    const number = normalizeQuestionNo(question.questionNo);
+    const mainNumber = number.match(/^\d+/)?.[0];
+    return (
+      owners.get(prefix + number) ??
+      (mainNumber && mainNumber !== number ? owners.get(prefix + mainNumber) : undefined) ??
+      (mainNumber === number ? ownerOfPart(prefix + number) : null)
+    );
+  };
+}
+
+/**
+ * Set `topic` on each question from the topics' appearances, and flag
+ * `outsideSyllabus` on unlinked questions the model listed as off-syllabus.
+ * Questions left with neither were not classified by the model.
+ * @param {Array<{ year: number, term: string, questionNo: string }>} questions
+ * @param {Array<{ name: string, appearances: Array }>} topics
+ * @param {Array<{ year: number, term: string, questionNo?: string }>} [outsideSyllabus]
+ * @returns {Array} Questions with `topic` (string or null) and `outsideSyllabus`
+ */
+export function linkQuestionsToTopics(questions, topics, outsideSyllabus = []) {
+  const topicOf = questionOwners(topics.map((topic) => [topic.name, topic.appearances]));
+  const isOutside = questionOwners([[true, outsideSyllabus]]);
+
+  return questions.map((question) => {
+    const topic = topicOf(question);
+    return { ...question, topic, outsideSyllabus: !topic && Boolean(isOutside(question)) };
+  });
+}
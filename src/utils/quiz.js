@@ -0,0 +1,106 @@
+/**
+ * Practice quiz shape and scoring. A quiz is
+ * `{ topicName, questions: Array<McqQuestion|ShortQuestion> }` where
+ *
+ *   McqQuestion   = { id, type: 'mcq', prompt, options: string[], answerIndex, explanation }
+ *   ShortQuestion = { id, type: 'short', prompt, marks, rubric: string[], modelAnswer }
+ *
+ * MCQs are worth one mark and graded here; short answers are graded by the model.
+ */
+
+/** Quiz score (percent) from which a topic counts as done, and below which it needs revision. */
+export const QUIZ_DONE_PERCENT = 80;
+export const QUIZ_REVISION_PERCENT = 50;
+
+const DEFAULT_SHORT_MARKS = 5;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function normalizeQuestion(raw) {
+  if (!raw || typeof raw !== 'object' || !isNonEmptyString(raw.prompt)) return null;
+
+  if (raw.type === 'mcq') {
+    const options = Array.isArray(raw.options) ? raw.options.filter(isNonEmptyString).map((o) => o.trim()) : [];
+    const answerIndex = Number(raw.answerIndex);
+    if (options.length < 2 || !Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= options.length) return null;
+    return {
+      type: 'mcq',
+      prompt: raw.prompt.trim(),
+      options,
+      answerIndex,
+      explanation: isNonEmptyString(raw.explanation) ? raw.explanation.trim() : '',
+    };
+  }
+
+  if (raw.type === 'short') {
+    const marks = Math.round(Number(raw.marks));
+    return {
+      type: 'short',
+      prompt: raw.prompt.trim(),
+      marks: marks > 0 ? Math.min(marks, 20) : DEFAULT_SHORT_MARKS,
+      rubric: Array.isArray(raw.rubric) ? raw.rubric.filter(isNonEmptyString) : [],
+      modelAnswer: isNonEmptyString(raw.modelAnswer) ? raw.modelAnswer.trim() : '',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a generated quiz, dropping malformed questions.
+ * @param {object} raw - Parsed model reply
+ * @param {string} topicName
+ * @returns {{ value: object|null, errors: string[] }}
+ */
+export function normalizeQuiz(raw, topicName) {
+  if (!raw || !Array.isArray(raw.questions)) {
+    return { value: null, errors: ['questions must be an array'] };
+  }
+  const questions = raw.questions
+    .map(normalizeQuestion)
+    .filter(Boolean)
+    .map((question, index) => ({ id: `q${index + 1}`, ...question }));
+  if (questions.length === 0) {
+    return { value: null, errors: ['quiz has no valid questions'] };
+  }
+  return { value: { topicName, questions }, errors: [] };
+}
+
+/**
+ * Score a submitted quiz.
+ * @param {object} quiz
+ * @param {Record<string, number|string>} answers - Option index for MCQs, text for short answers
+ * @param {Record<string, { score: number, feedback: string }>} shortGrades - Model grades by question id
+ * @returns {{ results: Array<{ id: string, score: number, maxScore: number, correct: boolean, feedback: string }>, score: number, maxScore: number, percent: number }}
+ */
+export function gradeQuiz(quiz, answers, shortGrades = {}) {
+  const results = quiz.questions.map((question) => {
+    if (question.type === 'mcq') {
+      const correct = answers[question.id] === question.answerIndex;
+      return { id: question.id, score: correct ? 1 : 0, maxScore: 1, correct, feedback: question.explanation };
+    }
+    const grade = shortGrades[question.id];
+    const score = Math.max(0, Math.min(question.marks, Math.round(grade?.score ?? 0)));
+    return {
+      id: question.id,
+      score,
+      maxScore: question.marks,
+      correct: score === question.marks,
+      feedback: grade?.feedback || (isNonEmptyString(answers[question.id]) ? 'Could not be graded.' : 'Not answered.'),
+    };
+  });
+  const score = results.reduce((sum, result) => sum + result.score, 0);
+  const maxScore = results.reduce((sum, result) => sum + result.maxScore, 0);
+  return { results, score, maxScore, percent: maxScore ? Math.round((score / maxScore) * 100) : 0 };
+}
+
+/**
+ * Topic status a quiz score implies (see topicProgress.js).
+ * @param {number} percent
+ * @returns {'done'|'studying'|'needs-revision'}
+ */
+export function statusFromQuizScore(percent) {
+  if (percent >= QUIZ_DONE_PERCENT) return 'done';
+  if (percent >= QUIZ_REVISION_PERCENT) return 'studying';
+  return 'needs-revision';
+}
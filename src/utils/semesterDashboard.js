@@ -0,0 +1,50 @@
+import { EFFORT_HOURS } from './studyPlanner';
+
+/** Length of the combined semester priority list. */
+export const SEMESTER_TOP_TOPICS = 20;
+
+const hoursFor = (topic) => EFFORT_HOURS[topic.effort] ?? EFFORT_HOURS.Medium;
+const round = (hours) => Math.round(hours * 10) / 10;
+
+/**
+ * Merge the latest analysis of each subject in a semester. Study hours use
+ * the planner's per-effort estimates; remaining hours leave out topics ticked
+ * off in that subject's study plan.
+ * @param {Array<{ course: object, analysis: object|null }>} subjects - `analysis` is null for courses not analysed yet
+ * @returns {{
+ *   subjects: Array<{ course: object, analysis: object|null, totalTopics: number, highPriority: number, studyHours: number, remainingHours: number }>,
+ *   totalHighPriority: number,
+ *   totalStudyHours: number,
+ *   totalRemainingHours: number,
+ *   topTopics: Array<{ course: object, topic: object }>,
+ * }}
+ */
+export function buildSemesterDashboard(subjects) {
+  const rows = subjects.map(({ course, analysis }) => {
+    const topics = analysis?.topics || [];
+    const completed = new Set(analysis?.studyPlan?.completedTopics || []);
+    return {
+      course,
+      analysis,
+      totalTopics: topics.length,
+      highPriority: topics.filter((topic) => topic.priority === 'High').length,
+      studyHours: round(topics.reduce((sum, topic) => sum + hoursFor(topic), 0)),
+      remainingHours: round(
+        topics.filter((topic) => !completed.has(topic.name)).reduce((sum, topic) => sum + hoursFor(topic), 0)
+      ),
+    };
+  });
+
+  const topTopics = rows
+    .flatMap(({ course, analysis }) => (analysis?.topics || []).map((topic) => ({ course, topic })))
+    .sort((a, b) => b.topic.confidence - a.topic.confidence || b.topic.frequency - a.topic.frequency)
+    .slice(0, SEMESTER_TOP_TOPICS);
+
+  return {
+    subjects: rows,
+    totalHighPriority: rows.reduce((sum, row) => sum + row.highPriority, 0),
+    totalStudyHours: round(rows.reduce((sum, row) => sum + row.studyHours, 0)),
+    totalRemainingHours: round(rows.reduce((sum, row) => sum + row.remainingHours, 0)),
+    topTopics,
+  };
+}
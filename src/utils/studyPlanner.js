@@ -0,0 +1,172 @@
+/**
+ * Estimated study hours per effort level.
+ */
+export const EFFORT_HOURS = { Low: 1.5, Medium: 3, High: 5 };
+
+/**
+ * Length of one spaced-revision slot, and the days after a topic is finished
+ * on which it gets revised.
+ */
+export const REVISION_HOURS = 0.5;
+export const REVISION_OFFSETS = [1, 3, 7];
+
+/**
+ * Furthest ahead an exam can be planned for. Plans are built day by day, so
+ * a mistyped year (e.g. 20271) must not turn into millions of days.
+ */
+export const MAX_PLAN_DAYS = 365;
+
+const LEVEL_RANK = { Low: 0, Medium: 1, High: 2 };
+
+/**
+ * Local calendar date as YYYY-MM-DD (no timezone shift).
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Parse YYYY-MM-DD as a local date.
+ * @param {string} key
+ * @returns {Date}
+ */
+export function fromDateKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Whether `value` is a real calendar date written as YYYY-MM-DD.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isDateKey(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toDateKey(fromDateKey(value)) === value;
+}
+
+export function addDays(key, days) {
+  const date = fromDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * Study order: Low-Effort/High-Reward first, then higher reward, higher
+ * confidence and lower effort.
+ * @param {Array} topics
+ * @returns {Array}
+ */
+export function orderTopicsForStudy(topics) {
+  const isQuickWin = (t) => t.effort === 'Low' && t.reward === 'High';
+  return [...topics].sort(
+    (a, b) =>
+      isQuickWin(b) - isQuickWin(a) ||
+      LEVEL_RANK[b.reward] - LEVEL_RANK[a.reward] ||
+      b.confidence - a.confidence ||
+      LEVEL_RANK[a.effort] - LEVEL_RANK[b.effort]
+  );
+}
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Build a day-by-day schedule from `startDate` up to the day before the exam.
+ * Each day first takes any revision slots that are due (carrying them forward
+ * if the day is full or skipped), then fills the remaining hours with study.
+ *
+ * @param {object} params
+ * @param {Array} params.topics - Analysis topics (effort, reward, confidence)
+ * @param {string} params.examDate - YYYY-MM-DD
+ * @param {number} params.hoursPerDay
+ * @param {string} [params.startDate] - YYYY-MM-DD, defaults to today
+ * @param {string[]} [params.completedTopics] - Topic names already done
+ * @param {string[]} [params.skippedDates] - Days the student can't (or didn't) study
+ * @throws {Error} When a date is not YYYY-MM-DD or the exam is more than MAX_PLAN_DAYS away
+ * @returns {{ days: Array<{ date: string, sessions: Array<{ topic: string, kind: 'study'|'revision', hours: number }>, totalHours: number, skipped: boolean }>, unscheduled: string[], totalStudyHours: number }}
+ */
+export function buildStudyPlan({
+  topics,
+  examDate,
+  hoursPerDay,
+  startDate = toDateKey(new Date()),
+  completedTopics = [],
+  skippedDates = [],
+}) {
+  if (!isDateKey(startDate) || !isDateKey(examDate)) {
+    throw new Error('Study plan dates must be written as YYYY-MM-DD.');
+  }
+  if (examDate > addDays(startDate, MAX_PLAN_DAYS)) {
+    throw new Error(`The exam must be at most ${MAX_PLAN_DAYS} days away.`);
+  }
+
+  const done = new Set(completedTopics);
+  const skipped = new Set(skippedDates);
+  const queue = orderTopicsForStudy(topics.filter((t) => !done.has(t.name))).map((t) => ({
+    name: t.name,
+    remaining: EFFORT_HOURS[t.effort] ?? EFFORT_HOURS.Medium,
+  }));
+  const totalStudyHours = round(queue.reduce((sum, t) => sum + t.remaining, 0));
+
+  const revisionsDue = new Map(); // date -> topic names
+  let carriedRevisions = [];
+  const days = [];
+
+  for (let date = startDate; date < examDate; date = addDays(date, 1)) {
+    const due = [...carriedRevisions, ...(revisionsDue.get(date) || [])];
+    carriedRevisions = [];
+
+    if (skipped.has(date) || hoursPerDay <= 0) {
+      carriedRevisions = due;
+      days.push({ date, sessions: [], totalHours: 0, skipped: skipped.has(date) });
+      continue;
+    }
+
+    let capacity = hoursPerDay;
+    const sessions = [];
+
+    for (const topic of due) {
+      if (capacity >= REVISION_HOURS) {
+        sessions.push({ topic, kind: 'revision', hours: REVISION_HOURS });
+        capacity -= REVISION_HOURS;
+      } else {
+        carriedRevisions.push(topic);
+      }
+    }
+
+    while (capacity > 0 && queue.length > 0) {
+      const current = queue[0];
+      const hours = Math.min(capacity, current.remaining);
+      sessions.push({ topic: current.name, kind: 'study', hours: round(hours) });
+      current.remaining = round(current.remaining - hours);
+      capacity = round(capacity - hours);
+
+      if (current.remaining <= 0) {
+        queue.shift();
+        for (const offset of REVISION_OFFSETS) {
+          const revisionDate = addDays(date, offset);
+          if (revisionDate < examDate) {
+            revisionsDue.set(revisionDate, [...(revisionsDue.get(revisionDate) || []), current.name]);
+          }
+        }
+      }
+    }
+
+    days.push({
+      date,
+      sessions,
+      totalHours: round(hoursPerDay - capacity),
+      skipped: false,
+    });
+  }
+
+  return {
+    days,
+    unscheduled: queue.map((t) => t.name),
+    totalStudyHours,
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Per-topic study progress, saved on the analysis as
+ * `progress: { [topicName]: { status, selfConfidence, lastQuiz? } }`. "done" is
+ * kept in step with the study planner's `studyPlan.completedTopics`; `lastQuiz`
+ * (`{ percent, at }`) is the latest practice quiz score.
+ */
+
+export const TOPIC_STATUSES = [
+  { id: 'not-started', label: 'Not started' },
+  { id: 'studying', label: 'Studying' },
+  { id: 'done', label: 'Done' },
+  { id: 'needs-revision', label: 'Needs revision' },
+];
+
+/** Self-rated confidence runs from 1 (shaky) to this value (exam-ready). */
+export const MAX_SELF_CONFIDENCE = 5;
+
+const DEFAULT_PROGRESS = { status: 'not-started', selfConfidence: null };
+
+const matchKey = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Progress for one topic, with defaults for topics never touched.
+ * @param {object} analysis
+ * @param {string} topicName
+ * @returns {{ status: string, selfConfidence: number|null }}
+ */
+export function getTopicProgress(analysis, topicName) {
+  const progress = analysis?.progress?.[topicName];
+  if (progress) return { ...DEFAULT_PROGRESS, ...progress };
+  // Ticked off in the planner before progress tracking existed
+  return analysis?.studyPlan?.completedTopics?.includes(topicName) ? { ...DEFAULT_PROGRESS, status: 'done' } : DEFAULT_PROGRESS;
+}
+
+function withCompleted(studyPlan, topicName, isDone) {
+  const completed = (studyPlan?.completedTopics || []).filter((name) => name !== topicName);
+  return { ...studyPlan, completedTopics: isDone ? [...completed, topicName] : completed };
+}
+
+/**
+ * Update one topic's status and/or self-rated confidence.
+ * @param {object} analysis
+ * @param {string} topicName
+ * @param {{ status?: string, selfConfidence?: number|null, lastQuiz?: { percent: number, at: number } }} patch
+ * @returns {object} New analysis
+ */
+export function setTopicProgress(analysis, topicName, patch) {
+  const next = { ...getTopicProgress(analysis, topicName), ...patch };
+  const updated = { ...analysis, progress: { ...analysis.progress, [topicName]: next } };
+  if (patch.status) updated.studyPlan = withCompleted(analysis.studyPlan, topicName, patch.status === 'done');
+  return updated;
+}
+
+/**
+ * Save new study planner settings, marking topics ticked or unticked there
+ * as done or not started.
+ * @param {object} analysis
+ * @param {object} studyPlan
+ * @returns {object} New analysis
+ */
+export function applyStudyPlan(analysis, studyPlan) {
+  const before = new Set(analysis.studyPlan?.completedTopics || []);
+  const after = new Set(studyPlan.completedTopics || []);
+  const progress = { ...analysis.progress };
+  for (const name of after) {
+    if (!before.has(name)) progress[name] = { ...getTopicProgress(analysis, name), status: 'done' };
+  }
+  for (const name of before) {
+    if (!after.has(name)) progress[name] = { ...getTopicProgress(analysis, name), status: 'not-started' };
+  }
+  return { ...analysis, studyPlan, progress };
+}
+
+/**
+ * Copy progress from an earlier analysis onto topics with the same name
+ * (ignoring case and spacing), e.g. after re-running with a new paper.
+ * @param {object|null} previous
+ * @param {object} analysis
+ * @returns {object} `analysis` with `progress` and completed planner topics carried over
+ */
+export function carryOverProgress(previous, analysis) {
+  if (!previous) return analysis;
+  const oldByKey = new Map(
+    (previous.topics || []).map((topic) => [matchKey(topic.name), getTopicProgress(previous, topic.name)])
+  );
+  const progress = {};
+  for (const topic of analysis.topics) {
+    const old = oldByKey.get(matchKey(topic.name));
+    if (old && (old.status !== DEFAULT_PROGRESS.status || old.selfConfidence !== null)) progress[topic.name] = old;
+  }
+  if (Object.keys(progress).length === 0) return analysis;
+  const completedTopics = Object.keys(progress).filter((name) => progress[name].status === 'done');
+  return { ...analysis, progress, studyPlan: { ...analysis.studyPlan, completedTopics } };
+}
+
+/**
+ * Progress counts for the summary cards.
+ * @param {object} analysis
+ * @returns {{ highPriorityTotal: number, highPriorityDone: number, done: number, needsRevision: number, remainingQuickWins: number }}
+ */
+export function summarizeProgress(analysis) {
+  const topics = analysis?.topics || [];
+  const statusOf = (topic) => getTopicProgress(analysis, topic.name).status;
+  const highPriority = topics.filter((topic) => topic.priority === 'High');
+  return {
+    highPriorityTotal: highPriority.length,
+    highPriorityDone: highPriority.filter((topic) => statusOf(topic) === 'done').length,
+    done: topics.filter((topic) => statusOf(topic) === 'done').length,
+    needsRevision: topics.filter((topic) => statusOf(topic) === 'needs-revision').length,
+    remainingQuickWins: topics.filter((topic) => isRemainingQuickWin(analysis, topic)).length,
+  };
+}
+
+/**
+ * A Low-Effort/High-Reward topic not yet marked done.
+ * @param {object} analysis
+ * @param {object} topic
+ */
+export function isRemainingQuickWin(analysis, topic) {
+  return topic.effort === 'Low' && topic.reward === 'High' && getTopicProgress(analysis, topic.name).status !== 'done';
+}
@@ -1,7 +1,53 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createRequire } from 'node:module'
+import { readFileSync } from 'node:fs'
+
+const require = createRequire(import.meta.url)
+
+// OCR runs fully offline: the Tesseract worker, WASM core and English
+// language data are served from /tesseract/ instead of a CDN.
+const TESSERACT_ASSETS = {
+  'tesseract/worker.min.js': 'tesseract.js/dist/worker.min.js',
+  'tesseract/tesseract-core-lstm.wasm.js': 'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'tesseract/tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  'tesseract/tesseract-core-relaxedsimd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js',
+  'tesseract/lang/eng.traineddata.gz': '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+}
+
+function tesseractAssets() {
+  return {
+    name: 'tesseract-assets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url?.split('?')[0].replace(server.config.base, '')
+        const source = TESSERACT_ASSETS[path]
+        if (!source) return next()
+        res.setHeader('Content-Type', path.endsWith('.gz') ? 'application/octet-stream' : 'text/javascript')
+        res.end(readFileSync(require.resolve(source)))
+      })
+    },
+    generateBundle() {
+      for (const [fileName, source] of Object.entries(TESSERACT_ASSETS)) {
+        this.emitFile({ type: 'asset', fileName, source: readFileSync(require.resolve(source)) })
+      }
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ isSsrBuild }) => ({
+  plugins: [react(), !isSsrBuild && tesseractAssets()],
+  // `vite build --ssr` bundles the API server (server/) for Node, where
+  // pdf.js needs its legacy build
+  ...(isSsrBuild && {
+    resolve: {
+      alias: [{ find: /^pdfjs-dist$/, replacement: 'pdfjs-dist/legacy/build/pdf.mjs' }],
+    },
+    build: {
+      outDir: 'dist-server',
+      copyPublicDir: false,
+      rollupOptions: { input: ['server/index.js', 'server/mockModelApi.js'] },
+    },
+  }),
+}))